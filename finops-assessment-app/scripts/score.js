@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+// ---- Batch scoring without the UI: scores exported answer files on a model and prints overall, domain,
+// capability and lens scores with their maturity labels, as JSON or CSV (one row per score, see SCORE_COLUMNS).
+//
+//   node scripts/score.js [--model public/model.json] [--format json|csv] [--out <file>] <answers.json | folder> ...
+//
+// Folders are read one level deep (*.json). Respondent files and files without `answersByCap` are skipped
+// with a note on stderr; answers saved against another question layout are migrated as in the app.
+import { readFile, readdir, stat, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { ensureQuestionIds, validateModel } from "../src/model.js";
+import { computeReport, savedAnswers, reportSummary } from "../src/scoring.js";
+import { SCORE_COLUMNS, scoreRows, toCSV } from "../src/results.js";
+
+const USAGE = "Usage: node scripts/score.js [--model <model.json|model.xlsx>] [--format json|csv] [--out <file>] <answers.json | folder> ...";
+const DEFAULT_MODEL = new URL("../public/model.json", import.meta.url);
+
+function parseArgs(argv) {
+  const opts = { model: DEFAULT_MODEL, format: "json", out: null, inputs: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (["--model", "--format", "--out"].includes(a)) {
+      if (argv[i + 1] == null) throw new Error(`${a} needs a value.`);
+      opts[a.slice(2)] = argv[++i];
+    } else if (a === "-h" || a === "--help") opts.help = true;
+    else if (a.startsWith("--")) throw new Error(`Unknown option ${a}.\n${USAGE}`);
+    else opts.inputs.push(a);
+  }
+  if (!["json", "csv"].includes(opts.format)) throw new Error(`Unknown format "${opts.format}" (expected json or csv).`);
+  return opts;
+}
+
+// JSON or Excel model (same sheets as Admin → Export Model as Excel); errors stop the run
+async function loadModel(file) {
+  const name = file instanceof URL ? file.pathname : file;
+  let obj;
+  if (/\.xlsx?$/i.test(name)) {
+    const [XLSX, { modelFromWorkbook }] = await Promise.all([import("xlsx"), import("../src/excel.js")]);
+    obj = modelFromWorkbook(XLSX.read(await readFile(file)));
+  } else obj = JSON.parse(await readFile(file, "utf8"));
+  const { errors, warnings } = validateModel(obj);
+  if (errors.length) throw new Error(`Invalid model ${name}:\n` + errors.map(e => `  ${e.path} ${e.message}`).join("\n"));
+  warnings.forEach(w => console.error(`model warning: ${w.path} ${w.message}`));
+  return ensureQuestionIds(obj);
+}
+
+async function answerFiles(inputs) {
+  const files = [];
+  for (const p of inputs) {
+    if ((await stat(p)).isDirectory()) files.push(...(await readdir(p)).filter(f => /\.json$/i.test(f)).sort().map(f => path.join(p, f)));
+    else files.push(p);
+  }
+  return files;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help || !opts.inputs.length) { console.error(USAGE); process.exitCode = opts.help ? 0 : 1; return; }
+  const model = await loadModel(opts.model);
+
+  const scored = [];
+  for (const file of await answerFiles(opts.inputs)) {
+    let obj;
+    try { obj = JSON.parse(await readFile(file, "utf8")); } catch (e) { console.error(`skipped ${file}: ${e.message}`); continue; }
+    if (obj?.respondent || !obj?.answersByCap) { console.error(`skipped ${file}: not an answers export`); continue; }
+    if (obj.modelVersion && model.version && obj.modelVersion !== model.version) console.error(`${file}: answered on model ${obj.modelVersion}, scored on ${model.version}`);
+    const report = computeReport({ model, selectedCaps: obj.selectedCaps, answersByCap: savedAnswers(model, obj), targets: obj.targets || {} });
+    scored.push({ source: file, meta: obj.meta || {}, report });
+  }
+
+  let output;
+  if (opts.format === "csv") {
+    output = toCSV(scored.flatMap(x => scoreRows({ source: x.source, model, meta: x.meta, report: x.report })), SCORE_COLUMNS) + "\r\n";
+    if (opts.out) output = "\ufeff" + output; // byte order mark so Excel opens the file as UTF-8
+  } else {
+    const assessments = scored.map(x => {
+      const { maturityScale, ...summary } = reportSummary(x.report);
+      return { source: x.source, customer: x.meta.customer || "", date: x.meta.date || "", ...summary };
+    });
+    output = JSON.stringify({ modelVersion: model.version || "", scoredAt: new Date().toISOString(), maturityScale: scored[0]?.report.maturityScale, assessments }, null, 2) + "\n";
+  }
+  if (opts.out) await writeFile(opts.out, output); else process.stdout.write(output);
+  console.error(`${scored.length} answer file(s) scored.`);
+}
+
+main().catch(e => { console.error(e.message); process.exitCode = 1; });
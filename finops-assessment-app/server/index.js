@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+// ---- Optional sync server: lets colleagues continue each other's assessments from another browser.
+// The app works without it; Admin → Server sync connects to it. Node built-ins only, data in JSON files.
+//
+//   node server/index.js            (or npm run server)
+//   PORT=8787  HOST=127.0.0.1  FINOPS_DATA=server/data  FINOPS_TOKEN=<shared secret, optional>  FINOPS_ORIGIN=<allowed origin, default *>
+//
+// Only this machine can connect by default. HOST=0.0.0.0 opens it to the network: set FINOPS_TOKEN then.
+//
+// REST API, for each collection in models | customers | assessments | snapshots:
+//   GET    /api/<collection>        → [{ id, rev, updatedAt, data }]
+//   GET    /api/<collection>/<id>   → { id, rev, updatedAt, data }                       404 when unknown
+//   PUT    /api/<collection>/<id>   { data, baseRev } → the stored record (rev + 1)      409 { error, current } when
+//                                    baseRev is not the stored revision (omit baseRev to create)
+//   DELETE /api/<collection>/<id>?rev=<n>                                                409 as above
+//   GET    /api/health              → { ok, collections }
+import http from "node:http";
+import { fileURLToPath } from "node:url";
+import { COLLECTIONS, ConflictError, createFileStore } from "./store.js";
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || "127.0.0.1";
+const DATA_DIR = process.env.FINOPS_DATA || fileURLToPath(new URL("./data", import.meta.url));
+const TOKEN = process.env.FINOPS_TOKEN || "";
+const ORIGIN = process.env.FINOPS_ORIGIN || "*";
+const MAX_BODY = 25 * 1024 * 1024; // assessments can carry evidence attachments
+
+class HttpError extends Error {
+  constructor(status, message) { super(message); this.status = status; }
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": ORIGIN,
+    "Access-Control-Allow-Methods": "GET, PUT, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY) throw new HttpError(413, "Request body too large.");
+    chunks.push(chunk);
+  }
+  try { return JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"); }
+  catch { throw new HttpError(400, "Body is not valid JSON."); }
+}
+
+export function createServer(store, { token = TOKEN } = {}) {
+  return http.createServer(async (req, res) => {
+    try {
+      if (req.method === "OPTIONS") return send(res, 204);
+      if (token && req.headers.authorization !== `Bearer ${token}`) throw new HttpError(401, "Missing or wrong access token.");
+      const url = new URL(req.url, "http://localhost");
+      const [api, col, id, extra] = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+      if (api !== "api" || extra) throw new HttpError(404, "Not found.");
+      if (col === "health" && !id) return send(res, 200, { ok: true, collections: COLLECTIONS });
+      if (!COLLECTIONS.includes(col)) throw new HttpError(404, `Unknown collection "${col}".`);
+
+      if (!id) {
+        if (req.method !== "GET") throw new HttpError(405, "Method not allowed.");
+        return send(res, 200, await store.list(col));
+      }
+      if (req.method === "GET") {
+        const record = await store.get(col, id);
+        if (!record) throw new HttpError(404, `No ${col} record "${id}".`);
+        return send(res, 200, record);
+      }
+      if (req.method === "PUT") {
+        const body = await readBody(req);
+        if (!body.data || typeof body.data !== "object") throw new HttpError(400, "Body must be { data, baseRev }.");
+        return send(res, 200, await store.put(col, id, body.data, body.baseRev));
+      }
+      if (req.method === "DELETE") {
+        const rev = url.searchParams.get("rev");
+        if (!(await store.remove(col, id, rev == null ? null : Number(rev)))) throw new HttpError(404, `No ${col} record "${id}".`);
+        return send(res, 204);
+      }
+      throw new HttpError(405, "Method not allowed.");
+    } catch (e) {
+      if (e instanceof ConflictError) return send(res, 409, { error: e.message, current: e.current });
+      if (e instanceof HttpError) return send(res, e.status, { error: e.message });
+      console.error(e);
+      send(res, 500, { error: "Internal server error." });
+    }
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  createServer(createFileStore(DATA_DIR)).listen(PORT, HOST, () => {
+    console.log(`FinOps sync server on http://${HOST}:${PORT} · data in ${DATA_DIR}${TOKEN ? " · token required" : ""}`);
+    if (!["127.0.0.1", "localhost", "::1"].includes(HOST) && !TOKEN) console.warn("Warning: reachable from the network without FINOPS_TOKEN.");
+  });
+}
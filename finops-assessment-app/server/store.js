@@ -0,0 +1,69 @@
+// ---- File-backed store for the sync server: one JSON file per collection in the data directory,
+// { <id>: { id, rev, updatedAt, data } }. Every write bumps `rev`; a write must name the revision it
+// was based on (baseRev) so two people editing the same record cannot silently overwrite each other.
+// Records are kept in prototype-less objects and looked up as own properties only, so ids such as
+// "__proto__" or "constructor" are ordinary ids.
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+export const COLLECTIONS = ["models", "customers", "assessments", "snapshots"];
+
+export class ConflictError extends Error {
+  constructor(current) { super("The record was changed by someone else."); this.current = current; }
+}
+
+export function createFileStore(dir) {
+  const cache = new Map();
+  let queue = Promise.resolve(); // writes run one after another, so a read-modify-write never interleaves
+
+  const file = (col) => path.join(dir, `${col}.json`);
+  const table = (...sources) => Object.assign(Object.create(null), ...sources);
+  const own = (records, id) => Object.hasOwn(records, id) ? records[id] : undefined;
+  async function load(col) {
+    if (!cache.has(col)) {
+      let records = table();
+      try { records = table(JSON.parse(await readFile(file(col), "utf8"))); }
+      catch (e) { if (e.code !== "ENOENT") throw e; }
+      cache.set(col, records);
+    }
+    return cache.get(col);
+  }
+  // Write to a temporary file first: a crash halfway leaves the previous version intact
+  async function save(col, records) {
+    await mkdir(dir, { recursive: true });
+    const tmp = `${file(col)}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify(records, null, 2));
+    await rename(tmp, file(col));
+  }
+  const serial = (fn) => (queue = queue.then(fn, fn));
+
+  return {
+    async list(col) { return Object.values(await load(col)); },
+    async get(col, id) { return own(await load(col), id) || null; },
+    put(col, id, data, baseRev) {
+      return serial(async () => {
+        const records = await load(col);
+        const current = own(records, id);
+        if (current && current.rev !== baseRev) throw new ConflictError(current);
+        const record = { id, rev: (current?.rev || 0) + 1, updatedAt: new Date().toISOString(), data };
+        const next = table(records, { [id]: record });
+        await save(col, next);
+        cache.set(col, next);
+        return record;
+      });
+    },
+    remove(col, id, baseRev) {
+      return serial(async () => {
+        const records = await load(col);
+        const current = own(records, id);
+        if (!current) return false;
+        if (baseRev != null && current.rev !== baseRev) throw new ConflictError(current);
+        const rest = table(records);
+        delete rest[id];
+        await save(col, rest);
+        cache.set(col, rest);
+        return true;
+      });
+    },
+  };
+}
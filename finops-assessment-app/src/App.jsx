@@ -1,16 +1,28 @@
 import React, { useMemo, useState, useEffect, useRef } from "react";
+import { ASSESSMENT_STATUSES, emptyWorkspace, addCustomer, findCustomerByName, addAssessment, updateAssessment, removeAssessment, removeCustomer, customerAssessments } from "./workspace.js";
+import { downloadChart } from "./image.js";
+import { storageGet, storageSet, migrateFromLocalStorage, storageInfo, requestPersistence, describeStorageError } from "./storage.js";
+import { LEVELS, LENSES, SKIP_ANSWERS, NOT_APPLICABLE, CONFIDENCE, isSkipAnswer, answerLevel, hasAnswerDetails, getWeighting, getMaturityScale, maturityFromScore, validateMaturityScale, ensureQuestionIds, questionOrder, migrateAnswers, validateModel, localizeModel, modelLocales, DOMAINS, reportGroups } from "./model.js";
+import { INVITE_KEY, RESUME_KEY, encodeShare, decodeShare, shareFromHash, shareUrl, modelFingerprint, stripAttachments } from "./share.js";
+import { ROLES, AGGREGATIONS, DISAGREEMENT_STEPS, newRespondent, aggregateAnswers, disagreements, answeredCount } from "./respondents.js";
+import { LOCALES, makeT, detectLocale, catalogIssues } from "./i18n.js";
+import { newCapability, newQuestion, moveItem, diffModels } from "./modelEdit.js";
+import { INDUSTRIES, COMPANY_SIZES, MIN_PEERS, RANGE_MIN_PEERS, summarize, percentileOf, entryFromReport, buildBenchmark, validateBenchmark, pickSegment, segmentKey } from "./benchmark.js";
+import { LENS_COLORS, computeReport, compareAssessments, savedAnswers, reportSummary } from "./scoring.js";
+import { ANSWER_COLUMNS, CAPABILITY_COLUMNS, LENS_COLUMNS, answerRows, capabilityRows, lensRows, toCSV } from "./results.js";
+import { SyncConflict, createSyncClient, syncState, sameState, mergeStates, resolveConflicts } from "./sync.js";
 // ---- Constants
 const APP_NAME = "FinOps Maturity Index";
 const MODEL_VERSION_FALLBACK = "1.3";
 const SNAP_KEY = "finops_cache_history_v1";
 const BRAND_KEY = "finops_brand_v1";
 const MODEL_HASH_KEY = "finops_auto_model_hash_v1";
-
-const LEVELS = ["Pre-crawl", "Crawl", "Walk", "Run", "Fly"];
-const LENSES = ["Knowledge", "Process", "Metrics", "Adoption", "Automation"];
-
-// Lens palette used for option tints and, later, graphs
-const LENS_COLORS = ["#8b5cf6", "#f59e0b", "#ef4444", "#6366f1", "#3b82f6"]; // Knowledge, Process, Metrics, Adoption, Automation
+const WORKSPACE_KEY = "finops_workspace_v1";
+const AUTOSAVE_KEY = "finops_autosave_v1";
+const LOCALE_KEY = "finops_locale_v1"; // { ui, report } language choice
+const BENCHMARK_KEY = "finops_benchmark_v1";
+const SYNC_KEY = "finops_sync_v1"; // { url, token, records: { <assessmentId>: { rev, base, syncedAt } } }
+const SYNC_DELAY_MS = 1500, SYNC_POLL_MS = 30000;
 
 // Lens color styles for options & badges
 const LENS_STYLE = {
@@ -22,6 +34,13 @@ const LENS_STYLE = {
   Default:   { color: "#111827", tint: "rgba(17,24,39,0.06)" },
 };
 const getLensStyle = (lens) => LENS_STYLE[lens] || LENS_STYLE.Default;
+const DOMAIN_COLORS = ["#0f766e", "#0891b2", "#2563eb", "#4f46e5"]; // in DOMAINS order; other report groups are gray
+const domainColor = (group) => DOMAIN_COLORS[DOMAINS.indexOf(group)] || "#6b7280";
+const skipLabel = (a, t = (s) => s) => a === NOT_APPLICABLE ? t("Not applicable") : t(a);
+
+// Translation function for the components below; the Report tab provides its own (report language)
+const I18n = React.createContext(makeT("en"));
+const useT = () => React.useContext(I18n);
 
 // Lightweight UI atoms
 const Card = ({ children, className = "" }) => (
@@ -42,41 +61,227 @@ const Button = ({ children, onClick, type = "button", className = "", disabled }
   >{children}</button>
 );
 
-// Helpers
-const prettyDate = (iso) => { try { return new Date(iso).toLocaleString(); } catch { return iso; } };
-function maturityFromScore(avg100) {
-  if (avg100 < 10) return { key: "Pre-crawl", emoji: "👶" };
-  if (avg100 < 30) return { key: "Crawl", emoji: "🐢" };
-  if (avg100 < 55) return { key: "Walk", emoji: "🚶" };
-  if (avg100 < 80) return { key: "Run", emoji: "🏃" };
-  return { key: "Fly", emoji: "🦸" };
+// Per-question note, evidence (links or small attached files) and assessor confidence
+const MAX_ATTACHMENT_BYTES = 2 * 1024 * 1024;
+const safeHref = (url) => /^(https?:|data:)/i.test(url || "") ? url : undefined;
+function AnswerDetailsEditor({ answer, onChange }) {
+  const t = useT();
+  const [url, setUrl] = useState("");
+  const [open, setOpen] = useState(() => hasAnswerDetails(answer));
+  const a = (answer && typeof answer === "object") ? answer : {};
+  const evidence = a.evidence || [];
+  const addLink = () => {
+    const u = url.trim(); if (!u) return;
+    onChange({ evidence: [...evidence, { name: u, url: /^[a-z]+:/i.test(u) ? u : `https://${u}` }] }); setUrl("");
+  };
+  const attach = (file) => {
+    if (file.size > MAX_ATTACHMENT_BYTES) { alert(t("Attachment too large (max 2 MB). Add a link instead.")); return; }
+    const r = new FileReader(); r.onload = () => onChange({ evidence: [...evidence, { name: file.name, url: r.result }] }); r.readAsDataURL(file);
+  };
+  return (
+    <details className="mt-2 text-sm" open={open} onToggle={e=>setOpen(e.currentTarget.open)}>
+      <summary className="cursor-pointer text-xs text-gray-600 select-none">{t("Notes, evidence & confidence")}</summary>
+      <div className="mt-2 space-y-2">
+        <textarea rows={2} placeholder={t("Why was this answer chosen?")} className="w-full border rounded-xl px-3 py-2" value={a.note || ""} onChange={e=>onChange({ note: e.target.value })} />
+        <div className="flex flex-wrap items-center gap-2">
+          <input type="text" placeholder={t("Evidence link")} className="flex-1 min-w-[12rem] border rounded-xl px-3 py-1.5" value={url} onChange={e=>setUrl(e.target.value)} onKeyDown={e=>{ if (e.key === "Enter") { e.preventDefault(); addLink(); } }} />
+          <Button onClick={addLink} className="py-1.5 text-xs">{t("Add link")}</Button>
+          <label className="px-3 py-1.5 rounded-2xl border bg-white cursor-pointer text-xs">{t("Attach file")}
+            <input type="file" className="hidden" onChange={(e)=> { e.target.files && e.target.files[0] && attach(e.target.files[0]); e.target.value = ""; }} />
+          </label>
+          <label className="text-xs text-gray-600">{t("Confidence")}
+            <select className="ml-1 border rounded-xl px-2 py-1" value={a.confidence || ""} onChange={e=>onChange({ confidence: e.target.value || undefined })}>
+              <option value="">–</option>
+              {CONFIDENCE.map(c => <option key={c} value={c}>{t(c)}</option>)}
+            </select>
+          </label>
+        </div>
+        {evidence.length > 0 && (
+          <ul className="text-xs space-y-1">
+            {evidence.map((ev, i) => (
+              <li key={i} className="flex items-center gap-2">
+                <EvidenceLink ev={ev} className="truncate" />
+                <button className="text-red-600" onClick={()=>onChange({ evidence: evidence.filter((_, j) => j !== i) })}>{t("remove")}</button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </details>
+  );
+}
+// A link to a URL or an attached file; attachments left out of a share link only show their name
+function EvidenceLink({ ev, className = "" }) {
+  const t = useT();
+  if (!ev.url) return <span className={className}>{ev.name} <span className="text-gray-400">({t("attachment not included in link")})</span></span>;
+  return <a href={safeHref(ev.url)} download={ev.url.startsWith("data:") ? ev.name : undefined} target="_blank" rel="noreferrer" className={`underline ${className}`}>{ev.name}</a>;
+}
+function AnswerDetails({ answer }) {
+  const t = useT();
+  if (!hasAnswerDetails(answer)) return null;
+  return (
+    <div className="text-xs text-gray-600 space-y-1">
+      {answer.note && <div className="whitespace-pre-wrap"><span className="font-medium">{t("Note:")}</span> {answer.note}</div>}
+      {answer.evidence?.length > 0 && (
+        <div>
+          <span className="font-medium">{t("Evidence:")}</span>{" "}
+          {answer.evidence.map((ev, i) => (
+            <span key={i}>{i > 0 && ", "}<EvidenceLink ev={ev} /></span>
+          ))}
+        </div>
+      )}
+      {answer.confidence && <div><span className="font-medium">{t("Confidence:")}</span> {t(answer.confidence)}</div>}
+    </div>
+  );
+}
+
+// One question as the assessor answers it: text, lens chip, the five level options and the skip answers.
+// Also the live preview of the Admin model editor; `children` go below the options (answer details).
+function QuestionCard({ q, name, answer, onAnswer, children }) {
+  const t = useT();
+  const selectedLevel = answerLevel(answer);
+  const ls = getLensStyle(q.lens);
+  return (
+    <div className="p-3 rounded-xl border">
+      <div className="font-medium">{q.text}</div>
+      {q.lens ? (
+        <div className="mb-2">
+          <span
+            className="inline-flex items-center rounded-full border px-2 py-0.5 text-xs"
+            title={selectedLevel ? t(selectedLevel) : ''}
+            style={{ borderColor: ls.color, backgroundColor: ls.tint, color: ls.color }}
+          >
+            {t(q.lens)}
+          </span>
+        </div>
+      ) : null}
+      <div className="space-y-2">
+        {LEVELS.map(level => {
+          const selected = selectedLevel === level;
+          return (
+            <label key={level} className="block">
+              <input
+                type="radio"
+                name={name}
+                value={level}
+                className="hidden"
+                onChange={()=>onAnswer(level)}
+                checked={selected}
+              />
+              <div
+                className="rounded-full border px-4 py-3 text-sm transition-colors"
+                style={{
+                  borderColor: selected ? ls.color : "#E5E7EB",
+                  backgroundColor: selected ? ls.tint : "#FFFFFF",
+                  color: "#111827",
+                }}
+              >
+                {q.options?.[level] || t(level)}
+              </div>
+            </label>
+          );
+        })}
+        <div className="flex flex-wrap gap-2 pt-1">
+          {SKIP_ANSWERS.map(skip => {
+            const selected = selectedLevel === skip;
+            return (
+              <button
+                key={skip}
+                type="button"
+                onClick={()=>onAnswer(skip)}
+                className={`rounded-full border border-dashed px-3 py-1 text-xs ${selected ? "bg-gray-200 border-gray-500 text-gray-900" : "bg-white border-gray-300 text-gray-500 hover:bg-gray-50"}`}
+              >{skipLabel(skip, t)}</button>
+            );
+          })}
+        </div>
+      </div>
+      {children}
+    </div>
+  );
 }
 
-function Thermometer({ value }){
-  const items = ["Pre-crawl","Crawl","Walk","Run","Fly"];
+// Helpers
+const aggregationLabel = (a, t) => a ? (a.rounding ? `${t(a.label)} (${t(a.rounding)})` : t(a.label)) : "";
+const prettyDate = (iso) => { try { return new Date(iso).toLocaleString(); } catch { return iso; } };
+function downloadFile(filename, content, type){ const blob = new Blob([content], { type }); const a = document.createElement("a"); a.href = URL.createObjectURL(blob); a.download = filename; a.click(); URL.revokeObjectURL(a.href); }
+// RFC 4180 CSV from an array of objects; `columns` fixes the order
+function Thermometer({ value, scale }){
+  const t = useT();
+  // Bands are drawn at the scale's own thresholds, so the bar matches the label underneath
+  const bands = scale.map((b, i) => ({ ...b, from: i ? b.min : 0, to: scale[i + 1]?.min ?? 100 }));
   return (
     <div className="my-3 print:break-inside-avoid">
-      <div className="flex items-center justify-between text-xs text-gray-600 mb-1">
-        {items.map((k)=> <span key={k}>{k}</span>)}
+      <div className="relative h-4 text-xs text-gray-600 mb-1">
+        {bands.map((b)=> <span key={b.key} className="absolute whitespace-nowrap" style={{left:`${(b.from + b.to) / 2}%`, transform:"translateX(-50%)"}}>{t(b.label || b.key)}</span>)}
       </div>
       <div className="h-3 rounded-full bg-gray-200 relative overflow-hidden">
-        <div className="absolute inset-y-0 left-0 bg-black/10" style={{width:`20%`}}></div>
-        <div className="absolute inset-y-0 left-[20%] bg-black/15" style={{width:`20%`}}></div>
-        <div className="absolute inset-y-0 left-[40%] bg-black/20" style={{width:`20%`}}></div>
-        <div className="absolute inset-y-0 left-[60%] bg-black/25" style={{width:`20%`}}></div>
+        {bands.map((b, i) => (
+          <div key={b.key} className="absolute inset-y-0" style={{left:`${b.from}%`, width:`${b.to - b.from}%`, background:`rgba(0,0,0,${0.06 + 0.05 * i})`}}></div>
+        ))}
         <div className="absolute inset-y-0 left-0 bg-black/70" style={{width:`${Math.max(0, Math.min(100, value))}%`}}></div>
       </div>
       <div className="text-sm mt-1">
-        {(() => { const m = maturityFromScore(value); return <span className="font-medium">{m.emoji} {m.key}</span>; })()}
-        <span className="text-gray-500"> · Overall {Math.round(value)} / 100</span>
+        {(() => { const m = maturityFromScore(value, scale); return <span className="font-medium">{m.emoji} {t(m.label)}</span>; })()}
+        <span className="text-gray-500"> · {t("Overall {score} / 100", { score: Math.round(value) })}</span>
       </div>
     </div>
   );
 }
 
 // --- Charts (SVG) ---
-function SpiderLite({ data, size = 360 }) {
-  if (!data || !data.length) return <div className="text-sm text-gray-600">No data.</div>;
+// Width of an element, kept up to date when it resizes
+function useWidth(ref, fallback) {
+  const [w, setW] = useState(fallback);
+  useEffect(() => {
+    const el = ref.current; if (!el) return;
+    const setWidth = () => setW(el.clientWidth || fallback);
+    setWidth();
+    if (typeof ResizeObserver !== 'undefined') {
+      const ro = new ResizeObserver(() => setWidth());
+      ro.observe(el);
+      return () => ro.disconnect();
+    } else {
+      window.addEventListener('resize', setWidth);
+      return () => window.removeEventListener('resize', setWidth);
+    }
+  }, []);
+  return w;
+}
+
+// Hover card of a chart: a title and one line per value ("● Current  62 / 100 · 🏃 Run"), at the mouse position
+function ChartTooltip({ tip, scale }) {
+  const t = useT();
+  if (!tip) return null;
+  return (
+    <div className="absolute z-10 pointer-events-none bg-white border rounded-xl shadow px-3 py-2 text-xs whitespace-nowrap print:hidden" style={{ left: tip.x + 12, top: tip.y + 12 }}>
+      <div className="font-semibold mb-1">{tip.title}</div>
+      {tip.lines.map((l, i) => {
+        const m = scale && typeof l.value === "number" ? maturityFromScore(l.value, scale) : null;
+        return (
+          <div key={i} className="flex items-center gap-1">
+            <span className="inline-block w-2 h-2 rounded-full" style={{ background: l.color }}></span>
+            <span className="text-gray-600">{l.label}</span>
+            <span className="ml-auto pl-3 font-medium">{typeof l.value === "number" ? `${Math.round(l.value)} / 100` : t("no answers")}</span>
+            {m && <span className="text-gray-600">· {m.emoji} {t(m.label)}</span>}
+          </div>
+        );
+      })}
+      {tip.hint && <div className="text-gray-500 mt-1">{tip.hint}</div>}
+    </div>
+  );
+}
+// Mouse position within `ref`, for ChartTooltip
+const pointerIn = (ref, e) => { const b = ref.current.getBoundingClientRect(); return { x: e.clientX - b.left, y: e.clientY - b.top }; };
+
+// Without `series` the spider draws d.total, with optional target/baseline/median/band overlays; with
+// `series` ([{ field, label, color }]) one polygon per series instead. Rings are labelled on the top axis,
+// hovering an axis shows its values, and `onAxisClick(i)` makes the axes clickable.
+function SpiderLite({ data, size = 360, scale, labels = {}, series, onAxisClick }) {
+  const t = useT();
+  labels = { total: t("Current"), target: t("Target"), baseline: t("Baseline"), median: t("Peer median"), band: t("Peer quartiles (25–75%)"), ...labels };
+  const ref = useRef(null);
+  const [tip, setTip] = useState(null); // { i, x, y }
+  if (!data || !data.length) return <div className="text-sm text-gray-600">{t("No data.")}</div>;
   const N = data.length;
   const cx = size / 2, cy = size / 2;
   const r = (size / 2) - 28; // margin for labels
@@ -86,45 +291,117 @@ function SpiderLite({ data, size = 360 }) {
     const rad = toRad(angle);
     return { x: cx + r * Math.cos(rad), y: cy + r * Math.sin(rad) };
   };
-  const pt = (i) => {
-    const d = data[i];
-    const ratio = Math.max(0, Math.min(1, (d.total || 0) / (d.fullMark || 1)));
-    const angle = -90 + (360 / N) * i;
-    const rad = toRad(angle);
-    const rr = r * ratio;
-    return { x: cx + rr * Math.cos(rad), y: cy + rr * Math.sin(rad) };
+  const at = (i, value, fullMark) => {
+    const ratio = Math.max(0, Math.min(1, (value || 0) / (fullMark || 1)));
+    const m = maxAt(i);
+    return { x: cx + (m.x - cx) * ratio, y: cy + (m.y - cy) * ratio };
   };
   const gridSteps = 4;
   const rings = Array.from({ length: gridSteps }, (_, k) => (k + 1) / gridSteps);
-  const poly = data.map((_, i) => {
-    const p = pt(i);
-    return `${p.x},${p.y}`;
-  }).join(" ");
+  const poly = data.map((d, i) => { const p = at(i, d.total, d.fullMark); return `${p.x},${p.y}`; }).join(" ");
+  // optional "target" and "baseline" polygons (same scale as d.total; missing values sit at the centre)
+  const has = (field) => data.some(d => typeof d[field] === "number");
+  const overlay = (field) => has(field) ? data.map((d, i) => { const p = at(i, d[field], d.fullMark); return `${p.x},${p.y}`; }).join(" ") : null;
+  const targetPoly = overlay("target");
+  const baselinePoly = overlay("baseline");
+  // benchmark: median line and the p25..p75 band (outer ring minus inner ring)
+  const medianPoly = overlay("median");
+  const bandPath = overlay("p75") && overlay("p25") ? `M${overlay("p75").replace(/ /g, " L")} Z M${overlay("p25").replace(/ /g, " L")} Z` : null;
 
   const labelFont = N > 18 ? 9 : (N > 12 ? 10 : 11);
   const labelOffset = Math.max(10, Math.min(22, r * 0.06));
 
+  // Legend inside the svg, so downloads carry it: one row per `size` of width
+  const legendItems = series
+    ? series.map(s => ({ label: s.label, color: s.color }))
+    : [
+        has("baseline") && { label: labels.baseline, color: "#f59e0b" },
+        { label: labels.total, color: "#111827" },
+        has("target") && { label: labels.target, color: "#8b5cf6", dash: "6 4" },
+        has("median") && { label: labels.median, color: "#0d9488", dash: "2 3" },
+        bandPath && { label: labels.band, color: "rgba(20,184,166,0.35)", band: true },
+      ].filter(Boolean);
+  const legendRows = [];
+  if (legendItems.length > 1) legendItems.forEach(it => {
+    const w = 26 + String(it.label).length * 6.2;
+    const row = legendRows[legendRows.length - 1];
+    if (row && row.width + w <= size) { row.items.push({ ...it, x: row.width }); row.width += w; }
+    else legendRows.push({ items: [{ ...it, x: 0 }], width: w });
+  });
+  const legendTop = size + 10;
+  const height = size + (legendRows.length ? 14 + legendRows.length * 18 : 0);
+
+  // Hit area per axis: the wedge around it, out to the labels
+  const step = 360 / N, R = r + labelOffset + 10;
+  const wedge = (i) => {
+    const [a0, a1] = [-90 + step * i - step / 2, -90 + step * i + step / 2].map(toRad);
+    return `M${cx},${cy} L${cx + R * Math.cos(a0)},${cy + R * Math.sin(a0)} A${R},${R} 0 ${step > 180 ? 1 : 0} 1 ${cx + R * Math.cos(a1)},${cy + R * Math.sin(a1)} Z`;
+  };
+  const tipFor = ({ i, x, y }) => {
+    const d = data[i];
+    const lines = series
+      ? series.map(s => ({ label: s.label, color: s.color, value: d[s.field] }))
+      : [
+          { label: labels.total, color: "#111827", value: d.total },
+          typeof d.target === "number" && { label: labels.target, color: "#8b5cf6", value: d.target },
+          typeof d.baseline === "number" && { label: labels.baseline, color: "#f59e0b", value: d.baseline },
+          typeof d.median === "number" && { label: labels.median, color: "#0d9488", value: d.median },
+        ].filter(Boolean);
+    return { x, y, title: d.subject, lines, hint: onAxisClick ? t("Click to see the answers") : "" };
+  };
+
   return (
-    <svg width={size} height={size} role="img" style={{ overflow: 'visible' }}>
-      <g>
-        {rings.map((f, idx) => (
-          <circle key={idx} cx={cx} cy={cy} r={r * f} fill="none" stroke="#E5E7EB" />
+    <div ref={ref} className="relative">
+      <svg width={size} height={height} role="img" style={{ overflow: 'visible' }}>
+        <g>
+          {rings.map((f, idx) => (
+            <circle key={idx} cx={cx} cy={cy} r={r * f} fill="none" stroke="#E5E7EB" />
+          ))}
+          {Array.from({ length: N }).map((_, i) => {
+            const m = maxAt(i);
+            return <line key={i} x1={cx} y1={cy} x2={m.x} y2={m.y} stroke={tip?.i === i ? "#9CA3AF" : "#E5E7EB"} />
+          })}
+          {rings.map((f, idx) => (
+            <text key={idx} x={cx + 3} y={cy - r * f - 2} fontSize={8} fill="#9CA3AF">{Math.round(f * (data[0].fullMark || 100))}</text>
+          ))}
+          {bandPath && <path d={bandPath} fill="rgba(20,184,166,0.18)" fillRule="evenodd" stroke="none" />}
+          {medianPoly && <polygon points={medianPoly} fill="none" stroke="#0d9488" strokeDasharray="2 3" strokeWidth={1.5} />}
+          {targetPoly && <polygon points={targetPoly} fill="rgba(139,92,246,0.08)" stroke="#8b5cf6" strokeDasharray="6 4" strokeWidth={1.5} />}
+          {baselinePoly && <polygon points={baselinePoly} fill="rgba(245,158,11,0.15)" stroke="#f59e0b" strokeWidth={1.5} />}
+          {series
+            ? series.map(s => <polygon key={s.field} points={overlay(s.field) || ""} fill={s.color} fillOpacity={0.06} stroke={s.color} strokeWidth={1.5} />)
+            : <polygon points={poly} fill="rgba(17,24,39,0.2)" stroke="#111827" />}
+          {!series && data.map((d, i) => { const p = at(i, d.total, d.fullMark); return <circle key={i} cx={p.x} cy={p.y} r={tip?.i === i ? 3.5 : 2} fill="#111827" />; })}
+          {data.map((d, i) => {
+            const m = maxAt(i);
+            const angle = -90 + (360 / N) * i;
+            const rad = toRad(angle);
+            const lx = m.x + Math.cos(rad) * labelOffset;
+            const ly = m.y + Math.sin(rad) * labelOffset;
+            return <text key={i} x={lx} y={ly} fontSize={labelFont} textAnchor="middle" fill={tip?.i === i ? "#111827" : "#374151"} fontWeight={tip?.i === i ? 600 : 400}>{d.subject}</text>
+          })}
+        </g>
+        {legendRows.map((row, ri) => (
+          <g key={ri} transform={`translate(${(size - row.width) / 2},${legendTop + ri * 18})`}>
+            {row.items.map(it => (
+              <g key={it.label} transform={`translate(${it.x},0)`}>
+                {it.band
+                  ? <rect x={0} y={-4} width={16} height={8} fill={it.color} />
+                  : <line x1={0} x2={16} y1={0} y2={0} stroke={it.color} strokeWidth={2} strokeDasharray={it.dash} />}
+                <text x={20} y={3.5} fontSize={10} fill="#4B5563">{it.label}</text>
+              </g>
+            ))}
+          </g>
         ))}
-        {Array.from({ length: N }).map((_, i) => {
-          const m = maxAt(i);
-          return <line key={i} x1={cx} y1={cy} x2={m.x} y2={m.y} stroke="#E5E7EB" />
-        })}
-        <polygon points={poly} fill="rgba(17,24,39,0.2)" stroke="#111827" />
-        {data.map((d, i) => {
-          const m = maxAt(i);
-          const angle = -90 + (360 / N) * i;
-          const rad = toRad(angle);
-          const lx = m.x + Math.cos(rad) * labelOffset;
-          const ly = m.y + Math.sin(rad) * labelOffset;
-          return <text key={i} x={lx} y={ly} fontSize={labelFont} textAnchor="middle" fill="#374151">{d.subject}</text>
-        })}
-      </g>
-    </svg>
+        <g data-no-export="">
+          {data.map((_, i) => (
+            <path key={i} d={wedge(i)} fill="#000" fillOpacity={0} style={{ cursor: onAxisClick ? "pointer" : "default" }}
+              onMouseMove={(e) => setTip({ i, ...pointerIn(ref, e) })} onMouseLeave={() => setTip(null)} onClick={onAxisClick ? () => onAxisClick(i) : undefined} />
+          ))}
+        </g>
+      </svg>
+      <ChartTooltip tip={tip && tipFor(tip)} scale={scale} />
+    </div>
   );
 }
 
@@ -135,51 +412,108 @@ function computeSpiderSize(N, containerWidth = 800) {
   return Math.max(420, Math.min(desired, maxByContainer));
 }
 
-function SpiderAuto({ data }) {
+function SpiderAuto({ data, ...props }) {
   const ref = useRef(null);
-  const [w, setW] = useState(640);
-  useEffect(() => {
-    const el = ref.current; if (!el) return;
-    const setWidth = () => setW(el.clientWidth || 640);
-    setWidth();
-    if (typeof ResizeObserver !== 'undefined') {
-      const ro = new ResizeObserver(() => setWidth());
-      ro.observe(el);
-      return () => ro.disconnect();
-    } else {
-      window.addEventListener('resize', setWidth);
-      return () => window.removeEventListener('resize', setWidth);
-    }
-  }, []);
+  const w = useWidth(ref, 640);
   const size = computeSpiderSize(data?.length || 0, w);
   return (
-    <div ref={ref} className="w-full flex justify-center">
-      <SpiderLite data={data} size={size} />
+    <div ref={ref} className="w-full flex flex-col items-center">
+      <SpiderLite data={data} size={size} {...props} />
     </div>
   );
 }
 
-function LensBarsLite({ items }) {
-  if (!items || !items.length) return null;
+// SVG and PNG (print resolution) download of the chart inside, as `<name>.svg` / `<name>.png`
+function ChartDownload({ name, children }) {
+  const t = useT();
+  const ref = useRef(null);
+  const download = (format) => {
+    const svg = ref.current?.querySelector("svg");
+    if (svg) downloadChart(svg, name, format).catch(e => alert(t("Could not export the chart: {error}", { error: e.message })));
+  };
   return (
-    <div className="space-y-2">
-      {items.map((it, idx) => (
-        <div key={idx}>
-          <div className="flex items-center justify-between text-xs mb-1">
-            <span>{it.label}</span>
-            <span className="text-gray-500">{Math.round(it.value)}%</span>
-          </div>
-          <div className="h-3 rounded-full bg-gray-200 overflow-hidden">
-            <div className="h-3" style={{ width: `${Math.max(0, Math.min(100, it.value))}%`, background: it.color }} />
-          </div>
-        </div>
+    <div ref={ref}>
+      <div className="flex justify-end gap-1 mb-1 print:hidden">
+        {["svg", "png"].map(f => (
+          <button key={f} type="button" className="text-xs px-2 py-0.5 rounded-lg border bg-white text-gray-500 hover:text-black" onClick={()=>download(f)}>{f.toUpperCase()}</button>
+        ))}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+// Overall score per assessment over time (0..100), with the maturity thresholds as guide lines
+function TrendLite({ points, scale, width = 360, height = 120 }) {
+  if (!points || !points.length) return null;
+  const pad = { l: 28, r: 8, t: 8, b: 18 };
+  const iw = width - pad.l - pad.r, ih = height - pad.t - pad.b;
+  const x = (i) => pad.l + (points.length === 1 ? iw / 2 : (iw * i) / (points.length - 1));
+  const y = (v) => pad.t + ih * (1 - Math.max(0, Math.min(100, v)) / 100);
+  return (
+    <svg width={width} height={height} role="img">
+      {scale.map(b => (
+        <g key={b.key}>
+          <line x1={pad.l} x2={width - pad.r} y1={y(b.min)} y2={y(b.min)} stroke="#E5E7EB" />
+          <text x={pad.l - 4} y={y(b.min) + 3} fontSize={8} textAnchor="end" fill="#9CA3AF">{b.min}</text>
+        </g>
       ))}
+      <polyline points={points.map((p, i) => `${x(i)},${y(p.value)}`).join(" ")} fill="none" stroke="#111827" strokeWidth={1.5} />
+      {points.map((p, i) => (
+        <g key={i}>
+          <circle cx={x(i)} cy={y(p.value)} r={3} fill="#111827"><title>{`${p.label}: ${Math.round(p.value)} / 100`}</title></circle>
+          <text x={x(i)} y={height - 4} fontSize={8} textAnchor="middle" fill="#6B7280">{p.label}</text>
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+// One bar per lens (0..100) on a labelled axis; hovering a bar shows its score and maturity
+function LensBarsLite({ items, scale }) {
+  const t = useT();
+  const ref = useRef(null);
+  const width = Math.max(280, useWidth(ref, 480));
+  const [tip, setTip] = useState(null); // { i, x, y }
+  if (!items || !items.length) return null;
+  const pad = { l: 96, r: 44, t: 4, b: 18 }, row = 22, bar = 12;
+  const height = pad.t + items.length * row + pad.b;
+  const iw = width - pad.l - pad.r;
+  const x = (v) => pad.l + iw * Math.max(0, Math.min(100, v)) / 100;
+  return (
+    <div ref={ref} className="relative w-full">
+      <svg width={width} height={height} role="img">
+        {[0, 25, 50, 75, 100].map(v => (
+          <g key={v}>
+            <line x1={x(v)} x2={x(v)} y1={pad.t} y2={height - pad.b} stroke="#E5E7EB" />
+            <text x={x(v)} y={height - 5} fontSize={9} textAnchor="middle" fill="#9CA3AF">{v}</text>
+          </g>
+        ))}
+        {items.map((it, i) => {
+          const y = pad.t + i * row + (row - bar) / 2;
+          return (
+            <g key={i}>
+              <text x={pad.l - 8} y={y + bar - 2} fontSize={11} textAnchor="end" fill="#374151">{t(it.label)}</text>
+              <rect x={pad.l} y={y} width={iw} height={bar} rx={bar / 2} fill="#E5E7EB" fillOpacity={0.6} />
+              <rect x={pad.l} y={y} width={x(it.value) - pad.l} height={bar} rx={bar / 2} fill={it.color} />
+              <text x={width - pad.r + 6} y={y + bar - 2} fontSize={11} fill="#6B7280">{Math.round(it.value)}%</text>
+            </g>
+          );
+        })}
+        <g data-no-export="">
+          {items.map((it, i) => (
+            <rect key={i} x={0} y={pad.t + i * row} width={width} height={row} fill="#000" fillOpacity={tip?.i === i ? 0.03 : 0}
+              onMouseMove={(e) => setTip({ i, ...pointerIn(ref, e) })} onMouseLeave={() => setTip(null)} />
+          ))}
+        </g>
+      </svg>
+      <ChartTooltip tip={tip && { x: tip.x, y: tip.y, title: t(items[tip.i].label), lines: [{ label: t("Score"), color: items[tip.i].color, value: items[tip.i].value }] }} scale={scale} />
     </div>
   );
 }
 
 // Simple dev self-tests rendered in Admin (since no formal test runner here)
-function runDevTests() {
+function runDevTests(model) {
   const tests = [];
   const t = (name, fn) => { try { fn(); tests.push({ name, pass: true }); } catch(e){ tests.push({ name, pass: false, msg: String(e) }); } };
   t("maturityFromScore: 0 => Pre-crawl", ()=>{ if (maturityFromScore(0).key !== "Pre-crawl") throw new Error("expected Pre-crawl"); });
@@ -187,28 +521,659 @@ function runDevTests() {
   t("maturityFromScore: 54 => Walk",      ()=>{ if (maturityFromScore(54).key !== "Walk") throw new Error("expected Walk"); });
   t("maturityFromScore: 79 => Run",       ()=>{ if (maturityFromScore(79).key !== "Run") throw new Error("expected Run"); });
   t("maturityFromScore: 95 => Fly",       ()=>{ if (maturityFromScore(95).key !== "Fly") throw new Error("expected Fly"); });
+  t("maturity scale of the loaded model is valid", ()=>{ const { errors } = validateMaturityScale(getMaturityScale(model)); if (errors.length) throw new Error(errors.map(e => `${e.path}: ${e.message}`).join("; ")); });
+  t("maturityFromScore: custom scale", ()=>{ const sc = [{ key: "Low", min: 0 }, { key: "High", min: 50, label: "High!" }]; const m = maturityFromScore(50, sc); if (m.key !== "High" || m.label !== "High!") throw new Error("expected High!"); });
+  t("validateMaturityScale: descending thresholds rejected", ()=>{ if (!validateMaturityScale([{ key: "a", min: 0 }, { key: "b", min: 0 }]).errors.length) throw new Error("should fail"); });
+  t("answerRows: one row per question, score only for scored levels", ()=>{
+    const m = { version: "9", capabilities: [{ key: "a", name: "A", report_group: "G", questions: [{ id: "q1", text: "Q1", lens: "Process", options: { "Walk": "w" }, scores: { "Walk": 10 } }, { id: "q2", lens: "People", scores: {} }] }] };
+    const rows = answerRows({ model: m, meta: { customer: "C" }, selectedCaps: ["a"], answersByCap: { a: { q1: { level: "Walk", note: "n" }, q2: "N/A" } } });
+    if (rows.length !== 2 || rows[0].score !== 10 || rows[0].option_text !== "w" || rows[0].note !== "n" || rows[0].report_group !== "G") throw new Error(JSON.stringify(rows[0]));
+    if (rows[1].level !== "N/A" || rows[1].score !== "") throw new Error(JSON.stringify(rows[1]));
+  });
+  t("aggregateAnswers: mean/median/min/max on the level scale, skips left out", ()=>{
+    const m = { capabilities: [{ key: "a", questions: [{ id: "q" }, { id: "n" }] }] };
+    const rs = [{ answersByCap: { a: { q: "Crawl", n: "N/A" } } }, { answersByCap: { a: { q: { level: "Run" }, n: "N/A" } } }, { answersByCap: { a: { q: "Fly", n: "Don't know" } } }];
+    const got = AGGREGATIONS.map(x => aggregateAnswers(m, rs, x.key).a.q).join(",");
+    if (got !== "Run,Run,Crawl,Fly") throw new Error(got);
+    if (aggregateAnswers(m, rs).a.n !== "Don't know" || aggregateAnswers(m, rs.slice(0, 2)).a.n !== "N/A") throw new Error("skip answers");
+  });
+  t("aggregateAnswers: notes, evidence and confidence of every respondent are kept", ()=>{
+    const m = { capabilities: [{ key: "a", questions: [{ id: "q" }, { id: "n" }] }] };
+    const rs = [
+      { name: "Ann", answersByCap: { a: { q: { level: "Walk", note: "tagging policy", confidence: "High", evidence: [{ name: "wiki", url: "https://x" }] } } } },
+      { name: "Bob", answersByCap: { a: { q: { level: "Run", note: "dashboards", confidence: "Medium" }, n: { note: "unsure" } } } },
+    ];
+    const out = aggregateAnswers(m, rs).a;
+    if (out.q.level !== "Run" || out.q.note !== "Ann: tagging policy\nBob: dashboards" || out.q.evidence?.length !== 1 || out.q.confidence !== "Medium") throw new Error(JSON.stringify(out.q));
+    if (out.n.level !== undefined || out.n.note !== "Bob: unsure") throw new Error(JSON.stringify(out.n));
+  });
+  t("disagreements: two or more levels apart", ()=>{
+    const m = { capabilities: [{ key: "a", name: "A", questions: [{ id: "q1" }, { id: "q2" }] }] };
+    const rs = [{ name: "x", answersByCap: { a: { q1: "Crawl", q2: "Walk" } } }, { name: "y", answersByCap: { a: { q1: "Run", q2: "Run" } } }];
+    const d = disagreements(m, rs, ["a"]);
+    if (d.length !== 1 || d[0].questionId !== "q1" || d[0].spread !== 2) throw new Error(JSON.stringify(d));
+  });
+  t("i18n: every translation has every key and the same placeholders", ()=>{ const issues = catalogIssues(); if (issues.length) throw new Error(issues.slice(0, 3).join("; ")); });
+  t("localizeModel: translated texts, English fallback, ids and scores kept", ()=>{
+    const m = { capabilities: [{ key: "a", name: "Tagging", translations: { nl: { name: "Taggen" } }, questions: [
+      { id: "q", text: "Tagged?", options: { Crawl: "Some", Run: "All" }, scores: { Crawl: 5 }, translations: { nl: { text: "Getagd?", options: { Crawl: "Enkele" } } } },
+    ] }] };
+    const c = localizeModel(m, "nl").capabilities[0], q = c.questions[0];
+    if (c.name !== "Taggen" || q.text !== "Getagd?" || q.options.Crawl !== "Enkele" || q.options.Run !== "All" || q.id !== "q" || q.scores.Crawl !== 5) throw new Error(JSON.stringify(c));
+    if (localizeModel(m, "en") !== m || localizeModel(m, "fr").capabilities[0].name !== "Tagging") throw new Error("fallback");
+  });
+  t("benchmark: quartiles, percentile and minimum group size", ()=>{
+    const st = summarize([10, 20, 30, 40, 50]);
+    if (st.median !== 30 || st.p25 !== 20 || st.p75 !== 40 || "min" in st || "max" in st) throw new Error(JSON.stringify(st));
+    if (summarize([10, 20, 30, 40]) !== null || summarize([...Array(10).keys()]).max !== 9) throw new Error("group size");
+    if (percentileOf(30, st) !== 50 || percentileOf(35, st) !== 63 || percentileOf(10, st) !== 13 || percentileOf(0, st) !== 0 || percentileOf(100, st) !== 100) throw new Error("percentile");
+    const e = (industry, score, lens) => ({ industry, size: "", overall: score, lenses: {}, capabilities: { a: { score, lenses: lens ? { Process: score } : {} } } });
+    const b = buildBenchmark([10, 20, 30, 40, 50].map((s, i) => e("Retail", s, i < 4)).concat(e("Other", 60, true)));
+    if (b.segments.map(segmentKey).join() !== "|,Retail|" || b.segments[1].capabilities.a.median !== 30) throw new Error(JSON.stringify(b.segments));
+    if (b.segments[1].capabilities.a.lenses.Process || !b.segments[0].capabilities.a.lenses.Process) throw new Error("lens under the group size");
+    if (pickSegment(b, "Other", "").n !== 6) throw new Error("fallback to all peers");
+  });
+  t("model editor: a moved question is one move, a new capability validates", ()=>{
+    const q = (id) => ({ id, text: id, lens: "Process", scores: { "Pre-crawl": 0, Crawl: 5, Walk: 10, Run: 15, Fly: 20 } });
+    const a = { version: "1", capabilities: [{ key: "c", name: "C", questions: [q("x"), q("y"), q("z")] }] };
+    const c = { ...a.capabilities[0], questions: moveItem(a.capabilities[0].questions, 0, 2) };
+    const added = newCapability(a);
+    const b = { version: "2", capabilities: [c, { ...added, name: "New", questions: [newQuestion(added)] }] };
+    const d = diffModels(a, b).map(x => `${x.kind} ${x.path}`).join();
+    if (d !== "changed version,moved c/x,added new-capability") throw new Error(d);
+    if (validateModel({ ...b, capabilities: b.capabilities.map(k => ({ ...k, questions: k.questions.map(x => ({ ...x, text: x.text || "?" })) })) }).errors.length) throw new Error("blank items invalid");
+  });
+  t("workspace: removing a customer drops its assessments", ()=>{
+    let [ws, c] = addCustomer(emptyWorkspace(), "Acme");
+    let a; [ws, a] = addAssessment(ws, c.id, { answersByCap: {} });
+    ws = removeCustomer({ ...ws, activeId: a.id }, c.id);
+    if (ws.assessments.length || ws.activeId !== null) throw new Error("assessment kept");
+  });
+  t("toCSV: quotes separators and quotes", ()=>{ if (toCSV([{ a: 'x,"y"', b: 1 }], ["a", "b"]) !== 'a,b\r\n"x,""y""",1') throw new Error("bad CSV"); });
   t("getLensStyle: unknown lens => Default", ()=>{ const s = getLensStyle("Foo"); if (!s || s.color !== LENS_STYLE.Default.color) throw new Error("fallback failed"); });
   t("computeSpiderSize growth", ()=>{ if (!(computeSpiderSize(22, 1200) > computeSpiderSize(6, 1200))) throw new Error("should grow with N"); });
+  t("ensureQuestionIds: fills missing ids", ()=>{ const m = ensureQuestionIds({ capabilities: [{ key: "a", questions: [{ id: "x" }, {}] }] }); if (m.capabilities[0].questions[1].id !== "a-q2") throw new Error("expected a-q2"); });
+  t("migrateAnswers: index keys remapped via saved order", ()=>{
+    const m = { capabilities: [{ key: "a", questions: [{ id: "a-2" }, { id: "a-1" }] }] };
+    const { answers, report } = migrateAnswers({ a: { 0: "Walk", 1: "Fly" } }, m, { a: ["a-1", "a-2"] });
+    if (answers.a["a-1"] !== "Walk" || answers.a["a-2"] !== "Fly" || report.remapped.length !== 2) throw new Error("remap failed");
+  });
+  t("validateModel: misspelled level and unknown lens", ()=>{
+    const { errors } = validateModel({ version: "1", capabilities: [{ key: "a", name: "A", questions: [{ id: "q", text: "Q", lens: "Foo", scores: { "Pre-Crawl": 0 } }] }] });
+    if (!errors.some(e => e.path.endsWith("scores.Pre-Crawl")) || !errors.some(e => e.path.endsWith(".lens"))) throw new Error("issues not reported");
+  });
+  t("validateModel: duplicate capability keys", ()=>{ const { errors } = validateModel({ capabilities: [{ key: "a", questions: [] }, { key: "a", questions: [] }] }); if (!errors.some(e => e.path === "capabilities[1].key")) throw new Error("duplicate not reported"); });
+  t("migrateAnswers: keeps N/A and Don't know", ()=>{ const { answers } = migrateAnswers({ a: { q: NOT_APPLICABLE } }, { capabilities: [{ key: "a", questions: [{ id: "q" }] }] }); if (answers.a.q !== NOT_APPLICABLE) throw new Error("skip answer lost"); });
+  t("migrateAnswers: keeps note/evidence/confidence", ()=>{ const a = { level: "Run", note: "n", confidence: "High" }; const { answers } = migrateAnswers({ x: { 0: a } }, { capabilities: [{ key: "x", questions: [{ id: "q" }] }] }, { x: ["q"] }); if (answers.x.q !== a) throw new Error("details lost"); });
+  t("stripAttachments: uploaded files keep only their name, links stay", ()=>{
+    const ev = stripAttachments({ a: { q: { level: "Run", evidence: [{ name: "f.pdf", url: "data:application/pdf;base64,AA" }, { name: "wiki", url: "https://x" }] } } }).a.q.evidence;
+    if (ev[0].url !== undefined || !ev[0].attachment || ev[0].name !== "f.pdf" || ev[1].url !== "https://x") throw new Error(JSON.stringify(ev));
+  });
+  t("answerLevel: string and object answers", ()=>{ if (answerLevel("Walk") !== "Walk" || answerLevel({ level: "Run" }) !== "Run" || answerLevel(undefined) !== undefined) throw new Error("wrong level"); });
+  t("getWeighting: unlisted => 1, report group multiplies", ()=>{
+    const w = getWeighting({ weighting: { capabilities: { a: 2 }, report_groups: { G: 3 } } });
+    if (w.cap({ key: "a", report_group: "G" }) !== 6 || w.cap({ key: "b" }) !== 1 || w.lens("Process") !== 1) throw new Error("wrong weights");
+  });
+  t("migrateAnswers: removed question => orphaned", ()=>{ const { report } = migrateAnswers({ a: { gone: "Run" }, b: { x: "Run" } }, { capabilities: [{ key: "a", questions: [] }] }); if (report.orphaned.length !== 2) throw new Error("expected 2 orphaned"); });
+  t("mergeStates: one-sided changes merge, same answer changed twice conflicts", ()=>{
+    const base = { meta: { customer: "Acme", date: "2025-01-01" }, answersByCap: { a: { q1: "Walk", q2: "Crawl" } } };
+    const mine = { meta: { customer: "Acme", date: "2025-02-01" }, answersByCap: { a: { q1: "Run", q2: "Crawl" } } };
+    const theirs = { meta: { customer: "Acme BV", date: "2025-01-01" }, answersByCap: { a: { q1: "Fly", q2: "Crawl", q3: "Walk" } } };
+    const r = mergeStates(base, mine, theirs);
+    if (r.merged.meta.customer !== "Acme BV" || r.merged.meta.date !== "2025-02-01" || r.merged.answersByCap.a.q3 !== "Walk") throw new Error("one-sided change lost");
+    if (r.conflicts.length !== 1 || r.conflicts[0].mine !== "Run" || r.conflicts[0].theirs !== "Fly") throw new Error("conflict not reported");
+    if (resolveConflicts(r, { [r.conflicts[0].key]: "theirs" }).answersByCap.a.q1 !== "Fly") throw new Error("choice not applied");
+  });
+  t("mergeStates: answer removed on one side stays removed", ()=>{
+    const base = { answersByCap: { a: { q1: "Walk" } }, respondents: [{ id: "r1", name: "Ann", answersByCap: {} }] };
+    const r = mergeStates(base, { ...base, answersByCap: { a: {} } }, base);
+    if (r.merged.answersByCap.a || r.conflicts.length || r.merged.respondents[0].name !== "Ann" || !sameState(r.merged, { answersByCap: {}, respondents: base.respondents })) throw new Error("removal not merged");
+  });
   return tests;
 }
 
+// ---- Model editor (Admin): edits a draft of the model. Validation, the diff against the loaded model
+// and a preview of the Assessment card follow every edit; the draft is downloaded or used in this session.
+const PATH_CAP = /^capabilities\[(\d+)\]/;
+function ModelEditor({ model, draft, onChange, onApply, onClose }) {
+  const t = useT();
+  const [capIdx, setCapIdx] = useState(0);
+  const [preview, setPreview] = useState({}); // question id → level picked in the preview
+  const caps = draft.capabilities || [];
+  const ci = Math.min(capIdx, caps.length - 1);
+  const cap = caps[ci];
+  const { errors, warnings } = useMemo(() => validateModel(draft), [draft]);
+  const changes = useMemo(() => diffModels(model, draft), [model, draft]);
+  const capIssues = (i) => errors.concat(warnings).filter(x => Number(PATH_CAP.exec(x.path)?.[1]) === i);
+
+  const setCaps = (next) => onChange({ ...draft, capabilities: next });
+  const patchCap = (patch) => setCaps(caps.map((c, i) => i === ci ? { ...c, ...patch } : c));
+  const patchQuestion = (qi, patch) => patchCap({ questions: cap.questions.map((q, i) => i === qi ? { ...q, ...patch } : q) });
+  const patchLevel = (qi, field, level, value) => patchQuestion(qi, { [field]: { ...cap.questions[qi][field], [level]: value } });
+  function addCapability(){ setCaps([...caps, newCapability(draft)]); setCapIdx(caps.length); }
+  function removeCapability(){
+    if (!confirm(t("Delete capability \"{name}\" and its {n} question(s)?", { name: cap.name || cap.key, n: cap.questions?.length || 0 }))) return;
+    setCaps(caps.filter((_, i) => i !== ci)); setCapIdx(Math.max(0, ci - 1));
+  }
+  function moveCapability(dir){ setCaps(moveItem(caps, ci, ci + dir)); setCapIdx(Math.max(0, Math.min(caps.length - 1, ci + dir))); }
+  function removeQuestion(qi){
+    if (!confirm(t("Delete question \"{text}\"?", { text: cap.questions[qi].text || cap.questions[qi].id }))) return;
+    patchCap({ questions: cap.questions.filter((_, i) => i !== qi) });
+  }
+  function download(){ downloadFile(`finops-model.v${draft.version || MODEL_VERSION_FALLBACK}.json`, JSON.stringify(draft, null, 2), "application/json"); }
+  function discard(){ if (!changes.length || confirm(t("Discard {n} change(s) to the model?", { n: changes.length }))) onClose(); }
+  const short = (v) => { const s = v == null ? "" : String(v); return s.length > 60 ? s.slice(0, 57) + "…" : s; };
+  const input = "w-full border rounded-xl px-3 py-2 text-sm";
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <label className="text-sm">{t("Version")}
+          <input className="ml-2 border rounded-xl px-3 py-2 text-sm w-24" value={draft.version ?? ""} onChange={e=>onChange({ ...draft, version: e.target.value })} />
+        </label>
+        <Button onClick={download} className="border-gray-300 bg-white">{t("Download model")}</Button>
+        <Button onClick={onApply} className="bg-black text-white hover:bg-gray-800" disabled={errors.length > 0 || !changes.length}>{t("Use in this session")}</Button>
+        <Button onClick={discard} className="border-gray-300 bg-white">{t("Close editor")}</Button>
+        <span className="text-xs text-gray-600">
+          <span className={errors.length ? "text-red-700 font-medium" : ""}>{t("{n} error(s)", { n: errors.length })}</span> · {t("{n} warning(s)", { n: warnings.length })} · {t("{n} change(s)", { n: changes.length })}
+        </span>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-3">
+        {caps.map((c, i) => (
+          <button key={i} type="button" onClick={()=>setCapIdx(i)} className={`px-3 py-1 rounded-full border text-xs ${i === ci ? "bg-black text-white border-black" : "bg-white"} ${capIssues(i).length && i !== ci ? "border-amber-400" : ""}`}>
+            {c.name || c.key || t("(unnamed)")}
+          </button>
+        ))}
+        <button type="button" onClick={addCapability} className="px-3 py-1 rounded-full border border-dashed text-xs text-gray-600">{t("+ Capability")}</button>
+      </div>
+
+      {cap && (
+        <div className="grid md:grid-cols-2 gap-4">
+          <div className="space-y-3">
+            <div className="grid grid-cols-2 gap-2">
+              <label className="text-sm">{t("Key")}<input className={`mt-1 ${input}`} value={cap.key ?? ""} onChange={e=>patchCap({ key: e.target.value })} /></label>
+              <label className="text-sm">{t("Name")}<input className={`mt-1 ${input}`} value={cap.name ?? ""} onChange={e=>patchCap({ name: e.target.value })} /></label>
+              <label className="text-sm col-span-2">{t("Description")}<textarea rows={2} className={`mt-1 ${input}`} value={cap.description ?? ""} onChange={e=>patchCap({ description: e.target.value })} /></label>
+              <label className="text-sm">{t("Report group")}
+                <input className={`mt-1 ${input}`} list="finops-domains" value={cap.report_group ?? ""} onChange={e=>patchCap({ report_group: e.target.value })} />
+                <datalist id="finops-domains">{DOMAINS.map(d => <option key={d} value={d} />)}</datalist>
+              </label>
+              <div className="flex items-end gap-2">
+                <Button onClick={()=>moveCapability(-1)} disabled={ci === 0}>↑</Button>
+                <Button onClick={()=>moveCapability(1)} disabled={ci === caps.length - 1}>↓</Button>
+                <Button onClick={removeCapability} className="border-red-300 text-red-600 bg-white">{t("Delete")}</Button>
+              </div>
+            </div>
+
+            {(cap.questions || []).map((q, qi) => (
+              <div key={qi} className="p-3 rounded-xl border space-y-2">
+                <div className="flex items-center gap-2">
+                  <span className="text-xs font-semibold text-gray-500 flex-1">{t("Question {n}", { n: qi + 1 })}</span>
+                  <Button onClick={()=>patchCap({ questions: moveItem(cap.questions, qi, qi - 1) })} disabled={qi === 0}>↑</Button>
+                  <Button onClick={()=>patchCap({ questions: moveItem(cap.questions, qi, qi + 1) })} disabled={qi === cap.questions.length - 1}>↓</Button>
+                  <Button onClick={()=>removeQuestion(qi)} className="border-red-300 text-red-600 bg-white">{t("Delete")}</Button>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  <label className="text-xs">{t("Id")}<input className={`mt-1 ${input}`} value={q.id ?? ""} onChange={e=>patchQuestion(qi, { id: e.target.value })} /></label>
+                  <label className="text-xs">{t("Lens")}
+                    <select className={`mt-1 ${input}`} value={q.lens || ""} onChange={e=>patchQuestion(qi, { lens: e.target.value })}>
+                      <option value="">{t("(no lens)")}</option>
+                      {LENSES.map(l => <option key={l} value={l}>{t(l)}</option>)}
+                    </select>
+                  </label>
+                </div>
+                <textarea rows={2} className={input} placeholder={t("Question text")} value={q.text ?? ""} onChange={e=>patchQuestion(qi, { text: e.target.value })} />
+                <table className="w-full text-xs">
+                  <thead className="text-gray-500"><tr><th className="text-left p-1">{t("Level")}</th><th className="text-left p-1">{t("Option text")}</th><th className="text-right p-1">{t("Score")}</th></tr></thead>
+                  <tbody>
+                    {LEVELS.map(l => (
+                      <tr key={l}>
+                        <td className="p-1 whitespace-nowrap">{t(l)}</td>
+                        <td className="p-1"><input className="w-full border rounded-lg px-2 py-1" value={q.options?.[l] ?? ""} onChange={e=>patchLevel(qi, "options", l, e.target.value)} /></td>
+                        <td className="p-1 w-20"><input type="number" step="0.5" className="w-full border rounded-lg px-2 py-1 text-right" value={q.scores?.[l] ?? ""} onChange={e=>patchLevel(qi, "scores", l, e.target.value === "" ? null : Number(e.target.value))} /></td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ))}
+            <Button onClick={()=>patchCap({ questions: [...(cap.questions || []), newQuestion(cap)] })} className="border-gray-300 bg-white">{t("+ Question")}</Button>
+          </div>
+
+          <div className="space-y-3">
+            <div className="rounded-2xl border">
+              <div className="px-4 py-2 border-b text-sm font-semibold">{t("Preview")} · {cap.name || cap.key}</div>
+              <div className="p-3 space-y-3">
+                {(cap.questions || []).map((q, qi) => (
+                  <QuestionCard key={qi} q={q} name={`preview-${qi}`} answer={preview[`${cap.key}/${q.id}`]} onAnswer={(level)=>setPreview(p => ({ ...p, [`${cap.key}/${q.id}`]: level }))} />
+                ))}
+                {!cap.questions?.length && <div className="text-sm text-gray-500">{t("This capability has no questions yet.")}</div>}
+              </div>
+            </div>
+
+            {(errors.length > 0 || warnings.length > 0) && (
+              <div className={`text-xs rounded-xl p-3 border ${errors.length ? "bg-red-50 border-red-200" : "bg-amber-50 border-amber-200"}`}>
+                <div className="font-semibold mb-1">{t("Model validation")}</div>
+                <ul className="space-y-0.5 max-h-48 overflow-auto">
+                  {errors.concat(warnings).map((x, i) => {
+                    const at = PATH_CAP.exec(x.path);
+                    return (
+                      <li key={i} className={i < errors.length ? "text-red-700" : "text-amber-800"}>
+                        {at ? <button type="button" className="underline" onClick={()=>setCapIdx(Number(at[1]))}><code>{x.path}</code></button> : <code>{x.path}</code>} {x.message}
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            )}
+
+            <div className="text-xs rounded-xl p-3 border bg-gray-50">
+              <div className="font-semibold mb-1">{t("Changes against the loaded model")}</div>
+              {!changes.length ? <div className="text-gray-600">{t("No changes yet.")}</div> : (
+                <ul className="space-y-0.5 max-h-64 overflow-auto">
+                  {changes.map((c, i) => (
+                    <li key={i}>
+                      <span className="font-medium">{t(c.kind)}</span> <code>{c.path}</code>
+                      {c.kind === "changed" ? <> {short(c.from)} → <b>{short(c.to)}</b></> : (c.from || c.to ? ` (${short(c.from || c.to)})` : "")}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div className="text-gray-500 mt-2">{t("Translations, weights and the maturity scale are kept as they are; removed or renamed questions lose their answers when the model is used.")}</div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ---- Respondent questionnaire (#respond=<invite>): one question at a time, without Admin, meta or
+// assessor fields. The invite carries { customer, selectedCaps, modelVersion, modelHash, assessor };
+// progress is kept in this browser and in a resume code, and the end screen downloads an answers
+// file for Admin → Import Answers (it is added as a respondent).
+const RESPONDENT_PROGRESS_KEY = "finops_respondent_v1";
+
+function Questionnaire({ inviteToken, resumeToken, locale, onLocale }) {
+  const t = useT();
+  const [invite, setInvite] = useState(null);
+  const [model, setModel] = useState(null);
+  const [error, setError] = useState("");
+  const [modelChanged, setModelChanged] = useState(false);
+  const [respondent, setRespondent] = useState({ name: "", role: ROLES[0] });
+  const [answers, setAnswers] = useState({}); // {capKey: {questionId: LEVEL | { level, note }}}
+  const [step, setStep] = useState(-1); // -1 = intro, questions.length = end screen
+  const [resumeCode, setResumeCode] = useState(""); // shown after "Save & resume later"
+  const [resumeInput, setResumeInput] = useState("");
+  const [ready, setReady] = useState(false);
+  const progressKey = `${RESPONDENT_PROGRESS_KEY}:${inviteToken.slice(-32)}`;
+
+  const localModel = useMemo(() => localizeModel(model, locale), [model, locale]);
+  const questions = useMemo(() => (localModel?.capabilities || [])
+    .filter(c => !invite?.selectedCaps?.length || invite.selectedCaps.includes(c.key))
+    .flatMap(cap => cap.questions.map(q => ({ cap, q }))), [localModel, invite]);
+
+  function applyProgress(p, m = model){
+    if (!p) return;
+    setRespondent({ name: p.name || "", role: p.role || ROLES[0] });
+    setAnswers(migrateAnswers(p.answersByCap || {}, m, p.questionIds).answers);
+    setStep(typeof p.step === "number" ? p.step : 0);
+  }
+  const progress = () => ({ name: respondent.name, role: respondent.role, step, answersByCap: answers, questionIds: questionOrder(model) });
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const inv = await decodeShare(inviteToken);
+        const res = await fetch("/model.json", { cache: "no-store" });
+        if (!res.ok) throw new Error(t("The questionnaire could not be loaded (HTTP {status}).", { status: res.status }));
+        const m = ensureQuestionIds(await res.json());
+        if (validateModel(m).errors.length) throw new Error(t("The questionnaire on this site is invalid; contact your assessor."));
+        if (inv.modelHash && inv.modelHash !== await modelFingerprint(m)) setModelChanged(true);
+        setInvite(inv); setModel(m);
+        if (inv.locale && !localStorage.getItem(LOCALE_KEY)) onLocale(inv.locale);
+        const saved = resumeToken ? await decodeShare(resumeToken) : await storageGet(progressKey).catch(() => undefined);
+        applyProgress(saved, m);
+      } catch (e) { setError(e.message); }
+      setReady(true);
+    })();
+  }, []);
+
+  // Keep progress in this browser as well (best effort; the resume code is the portable copy)
+  useEffect(() => {
+    if (ready && model && step >= 0) storageSet(progressKey, progress()).catch(() => {});
+  }, [ready, step, JSON.stringify(answers), respondent.name, respondent.role]);
+
+  function setLevel(capKey, qId, level){
+    setAnswers(prev => { const cur = prev[capKey]?.[qId]; return { ...prev, [capKey]: { ...(prev[capKey] || {}), [qId]: cur?.note ? { ...cur, level } : level } }; });
+  }
+  function setNote(capKey, qId, note){
+    setAnswers(prev => {
+      const level = answerLevel(prev[capKey]?.[qId]);
+      const byQ = { ...(prev[capKey] || {}) };
+      if (note) byQ[qId] = { level, note }; else if (level) byQ[qId] = level; else delete byQ[qId];
+      return { ...prev, [capKey]: byQ };
+    });
+  }
+  async function saveForLater(){
+    try { setResumeCode(await encodeShare(progress())); } catch (e) { alert(t("Could not create a resume code: {error}", { error: e.message })); }
+  }
+  async function resumeFromInput(){
+    const raw = resumeInput.trim();
+    const code = raw.includes(`${RESUME_KEY}=`) ? shareFromHash(raw.slice(raw.indexOf("#")), RESUME_KEY) : raw;
+    try { applyProgress(await decodeShare(code)); setResumeInput(""); } catch (e) { alert(t("This resume code is not valid: {error}", { error: e.message })); }
+  }
+  function downloadAnswersFile(){
+    const r = newRespondent(respondent.name || t("Respondent"), respondent.role, answers);
+    const out = {
+      appName: APP_NAME, exportedAt: new Date().toISOString(), modelVersion: model.version || MODEL_VERSION_FALLBACK,
+      meta: { date: new Date().toISOString().slice(0, 10), customer: invite.customer || "", assessor: invite.assessor || "" },
+      modelKeys: model.capabilities.map(c => c.key), questionIds: questionOrder(model), selectedCaps: questions.reduce((a, x) => a.includes(x.cap.key) ? a : [...a, x.cap.key], []),
+      targets: {}, answersByCap: answers, respondent: { name: r.name, role: r.role }, respondents: [r], activeRespondentId: r.id,
+    };
+    const slug = (s) => (s || "").replace(/[^\w-]+/g, "_");
+    downloadFile(`finops-answers${invite.customer ? "-" + slug(invite.customer) : ""}-${slug(r.name)}.json`, JSON.stringify(out, null, 2), "application/json");
+  }
+
+  const answered = questions.filter(({ cap, q }) => answerLevel(answers[cap.key]?.[q.id])).length;
+  const resumeLink = resumeCode ? shareUrl(window.location.href, { [INVITE_KEY]: inviteToken, [RESUME_KEY]: resumeCode }) : "";
+  const current = step >= 0 && step < questions.length ? questions[step] : null;
+
+  return (
+    <div className="min-h-screen bg-gray-50 text-gray-900">
+      <header className="border-b bg-white">
+        <div className="max-w-3xl mx-auto px-4 py-3 flex items-center gap-3">
+          <div className="shrink-0 w-10 h-10 rounded-2xl bg-black text-white grid place-items-center overflow-hidden">
+            <img src="/Logo black-2.svg" alt="Costra" className="w-10 h-10 object-contain" onError={(e)=>{e.currentTarget.outerHTML='C';}} />
+          </div>
+          <div className="min-w-0">
+            <h1 className="text-lg font-semibold truncate">{APP_NAME}</h1>
+            <p className="text-xs text-gray-500 truncate">{invite?.customer ? t("Questionnaire for {customer}", { customer: invite.customer }) : t("Questionnaire")}</p>
+          </div>
+          <LocaleSelect className="ml-auto" value={locale} onChange={onLocale} />
+        </div>
+      </header>
+      <main className="max-w-3xl mx-auto px-4 py-6">
+        {!ready && <Card><CardBody>{t("Loading the questionnaire…")}</CardBody></Card>}
+        {ready && error && <Card><CardBody className="text-red-700">{error}</CardBody></Card>}
+        {ready && !error && model && (
+          <>
+            {modelChanged && <div className="mb-4 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-xl px-3 py-2">{t("The questionnaire changed since this link was made. You can still answer; your assessor will match the answers up.")}</div>}
+
+            {step < 0 && (
+              <Card>
+                <CardHeader>{t("Welcome")}</CardHeader>
+                <CardBody>
+                  <p className="text-sm text-gray-700 mb-4">
+                    {t("{who} to answer {n} questions about how {customer} manages cloud cost (FinOps).", { who: invite.assessor ? t("{assessor} asks you", { assessor: invite.assessor }) : t("You are asked"), n: questions.length, customer: invite.customer || t("your organisation") })}
+                    {" "}{t("Pick the description closest to today's situation; use \"Don't know\" or \"Not applicable\" where needed. It takes about {minutes} minutes and you can stop and resume at any time.", { minutes: Math.max(5, Math.round(questions.length / 4)) })}
+                  </p>
+                  <div className="grid md:grid-cols-2 gap-3 mb-4">
+                    <label className="text-sm">{t("Your name")}
+                      <input type="text" className="mt-1 w-full border rounded-xl px-3 py-2" value={respondent.name} onChange={e=>setRespondent(r=>({ ...r, name: e.target.value }))} />
+                    </label>
+                    <label className="text-sm">{t("Your role")}
+                      <select className="mt-1 w-full border rounded-xl px-3 py-2" value={respondent.role} onChange={e=>setRespondent(r=>({ ...r, role: e.target.value }))}>
+                        {ROLES.map(x => <option key={x} value={x}>{t(x)}</option>)}
+                      </select>
+                    </label>
+                  </div>
+                  <Button onClick={()=>setStep(0)} className="bg-black text-white hover:bg-gray-800" disabled={!respondent.name.trim() || !questions.length}>{t("Start")}</Button>
+                  <div className="mt-6 pt-4 border-t text-sm">
+                    <div className="text-gray-600 mb-1">{t("Continuing on another device? Paste your resume code or link.")}</div>
+                    <div className="flex gap-2">
+                      <input type="text" className="flex-1 border rounded-xl px-3 py-2" value={resumeInput} onChange={e=>setResumeInput(e.target.value)} />
+                      <Button onClick={resumeFromInput} disabled={!resumeInput.trim()}>{t("Resume")}</Button>
+                    </div>
+                  </div>
+                </CardBody>
+              </Card>
+            )}
+
+            {current && (() => {
+              const { cap, q } = current;
+              const a = answers[cap.key]?.[q.id];
+              const selectedLevel = answerLevel(a);
+              const ls = getLensStyle(q.lens);
+              return (
+                <Card>
+                  <CardBody>
+                    <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
+                      <span>{t("Question {n} of {total}", { n: step + 1, total: questions.length })}</span>
+                      <span>{t("{n} answered", { n: answered })}</span>
+                    </div>
+                    <div className="h-2 rounded-full bg-gray-100 mb-4 overflow-hidden">
+                      <div className="h-2 bg-violet-500" style={{ width: `${(step / questions.length) * 100}%` }} />
+                    </div>
+                    <div className="text-sm text-gray-500">{cap.name}</div>
+                    <div className="text-lg font-medium mb-2">{q.text}</div>
+                    {q.lens && <span className="inline-flex items-center rounded-full border px-2 py-0.5 text-xs mb-3" style={{ borderColor: ls.color, backgroundColor: ls.tint, color: ls.color }}>{t(q.lens)}</span>}
+                    <div className="space-y-2">
+                      {LEVELS.map(level => {
+                        const selected = selectedLevel === level;
+                        return (
+                          <button key={level} type="button" onClick={()=>setLevel(cap.key, q.id, level)}
+                            className="block w-full text-left rounded-full border px-4 py-3 text-sm transition-colors"
+                            style={{ borderColor: selected ? ls.color : "#E5E7EB", backgroundColor: selected ? ls.tint : "#FFFFFF" }}
+                          >{q.options?.[level] || level}</button>
+                        );
+                      })}
+                      <div className="flex flex-wrap gap-2 pt-1">
+                        {SKIP_ANSWERS.map(skip => (
+                          <button key={skip} type="button" onClick={()=>setLevel(cap.key, q.id, skip)}
+                            className={`rounded-full border border-dashed px-3 py-1 text-xs ${selectedLevel === skip ? "bg-gray-200 border-gray-500 text-gray-900" : "bg-white border-gray-300 text-gray-500 hover:bg-gray-50"}`}
+                          >{skipLabel(skip, t)}</button>
+                        ))}
+                      </div>
+                    </div>
+                    <label className="block text-sm text-gray-600 mt-4">{t("Comment (optional)")}
+                      <textarea rows={2} className="mt-1 w-full border rounded-xl px-3 py-2" value={a?.note || ""} onChange={e=>setNote(cap.key, q.id, e.target.value)} />
+                    </label>
+                    <div className="flex items-center gap-2 mt-4">
+                      <Button onClick={()=>setStep(s=>s - 1)}>{t("← Back")}</Button>
+                      <Button onClick={()=>setStep(s=>s + 1)} className="bg-black text-white hover:bg-gray-800">{step === questions.length - 1 ? t("Finish") : t("Next →")}</Button>
+                      <Button onClick={saveForLater} className="ml-auto">{t("Save & resume later")}</Button>
+                    </div>
+                  </CardBody>
+                </Card>
+              );
+            })()}
+
+            {step >= questions.length && questions.length > 0 && (
+              <Card>
+                <CardHeader>{t("Thank you, {name}", { name: respondent.name })}</CardHeader>
+                <CardBody>
+                  <p className="text-sm text-gray-700 mb-4">
+                    {t("You answered {n} of {total} questions. Download your answers and send the file to {assessor}.", { n: answered, total: questions.length, assessor: invite.assessor || t("your assessor") })}
+                  </p>
+                  <div className="flex flex-wrap gap-2">
+                    <Button onClick={downloadAnswersFile} className="bg-black text-white hover:bg-gray-800">{t("Download answers file")}</Button>
+                    <Button onClick={()=>setStep(questions.length - 1)}>{t("← Review answers")}</Button>
+                  </div>
+                </CardBody>
+              </Card>
+            )}
+
+            {resumeCode && (
+              <Card className="mt-4">
+                <CardBody>
+                  <div className="text-sm font-medium mb-1">{t("Your progress is saved")}</div>
+                  <p className="text-sm text-gray-600 mb-2">{t("This browser remembers where you were. To continue elsewhere, keep this resume link (or paste the code on the start screen):")}</p>
+                  <textarea readOnly rows={3} className="w-full border rounded-xl px-3 py-2 text-xs font-mono" value={resumeLink} onFocus={e=>e.target.select()} />
+                  <div className="flex gap-2 mt-2">
+                    <Button onClick={()=>navigator.clipboard.writeText(resumeLink).then(()=>alert(t("Resume link copied.")), e=>alert(t("Copy failed: {error}", { error: e.message })))} className="text-sm">{t("Copy link")}</Button>
+                    <Button onClick={()=>navigator.clipboard.writeText(resumeCode).then(()=>alert(t("Resume code copied.")), e=>alert(t("Copy failed: {error}", { error: e.message })))} className="text-sm">{t("Copy code")}</Button>
+                    <Button onClick={()=>setResumeCode("")} className="text-sm ml-auto">{t("Close")}</Button>
+                  </div>
+                </CardBody>
+              </Card>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
+
+// `model` marks the languages its questions are not translated into
+function LocaleSelect({ value, onChange, className = "", title, model }) {
+  const t = useT();
+  const texts = model ? modelLocales(model) : null;
+  return (
+    <select className={`border rounded-xl px-2 py-1 text-sm bg-white ${className}`} value={value} onChange={e=>onChange(e.target.value)} title={title || t("Language")}>
+      {LOCALES.map(l => <option key={l.key} value={l.key}>{l.label}{texts && !texts.includes(l.key) ? ` – ${t("questions untranslated")}` : ""}</option>)}
+    </select>
+  );
+}
+
+function loadLocales() {
+  const fallback = detectLocale();
+  try { return { ui: fallback, report: fallback, ...JSON.parse(localStorage.getItem(LOCALE_KEY) || "{}") }; }
+  catch { return { ui: fallback, report: fallback }; }
+}
+
+// Respondent links open the questionnaire, everything else the assessor app
 export default function App() {
-  const [activeTab, setActiveTab] = useState("setup");
+  // UI language and, separately, the language the Report (and its exports) is written in
+  const [locales, setLocales] = useState(loadLocales);
+  const changeLocales = (patch) => setLocales(prev => { const next = { ...prev, ...patch }; localStorage.setItem(LOCALE_KEY, JSON.stringify(next)); return next; });
+  const t = useMemo(() => makeT(locales.ui), [locales.ui]);
+  useEffect(() => { document.documentElement.lang = t.locale; }, [t]);
+  const [tokens] = useState(() => [shareFromHash(window.location.hash), shareFromHash(window.location.hash, INVITE_KEY)].join("|"));
+  useEffect(() => {
+    // a share or respondent link pasted into an open tab only changes the fragment; reload so it opens cleanly
+    const onHash = () => { if ([shareFromHash(window.location.hash), shareFromHash(window.location.hash, INVITE_KEY)].join("|") !== tokens) window.location.reload(); };
+    window.addEventListener("hashchange", onHash);
+    return () => window.removeEventListener("hashchange", onHash);
+  }, []);
+  const invite = shareFromHash(window.location.hash, INVITE_KEY);
+  return (
+    <I18n.Provider value={t}>
+      {invite
+        ? <Questionnaire inviteToken={invite} resumeToken={shareFromHash(window.location.hash, RESUME_KEY)} locale={locales.ui} onLocale={(ui) => changeLocales({ ui, report: ui })} />
+        : <AssessorApp locales={locales} onLocales={changeLocales} />}
+    </I18n.Provider>
+  );
+}
+
+function AssessorApp({ locales, onLocales }) {
+  const t = useT();
+  const tr = useMemo(() => makeT(locales.report), [locales.report]); // Report and its exports
+  const [activeTab, setActiveTab] = useState(() => shareFromHash(window.location.hash) ? "report" : "setup");
 
   // model structure expected:
-  // { version: "1.x", capabilities: [ { key, name, description, report_group, questions: [ { id?, text, lens, options: {...}, scores: {...} } ] } ] }
+  // { version: "1.x", capabilities: [ { key, name, description, report_group, questions: [ { id, text, lens, options: {...}, scores: {...} } ] } ] }
   const [model, setModel] = useState(null);
   const [modelSource, setModelSource] = useState("manual");
+  const [modelHash, setModelHash] = useState(""); // fingerprint of the scoring-relevant model content (share links)
+
+  // Opened via a share link (#share=...): read-only Report of the shared state; nothing is persisted
+  const [shareToken] = useState(() => shareFromHash(window.location.hash));
+  const [shared, setShared] = useState(null); // decoded share payload
+
+  // Persistent state (workspace, snapshots, brand, autosave) lives in IndexedDB and is loaded
+  // asynchronously; nothing is written back before that load has finished (storageReady).
+  const [storageReady, setStorageReady] = useState(false);
+  const [storageErrors, setStorageErrors] = useState([]); // [{ ts, error }], newest first; described in the current language
+  const [storageStats, setStorageStats] = useState(null); // { usage, quota, persisted, backend }
+  const [lastAutosave, setLastAutosave] = useState(null);
+  const restoredRef = useRef(null); // promise of the autosaved working state, awaited by the model auto-load
+  function noteStorageError(e){ setStorageErrors(prev => [{ ts: new Date().toISOString(), error: e }, ...prev].slice(0, 10)); }
+  function persist(key, value){ return storageSet(key, value).then(() => true, (e) => { noteStorageError(e); return false; }); }
+
+  // Customer workspace (customers + their assessments).
+  // The working state below is written back into the active assessment as it changes.
+  const [workspace, setWorkspace] = useState(emptyWorkspace);
+  useEffect(()=>{ if (storageReady) persist(WORKSPACE_KEY, workspace); }, [workspace, storageReady]);
+  const activeAssessment = workspace.assessments.find(a => a.id === workspace.activeId) || null;
+  const activeCustomer = activeAssessment ? workspace.customers.find(c => c.id === activeAssessment.customerId) : null;
+  const [newCustomerName, setNewCustomerName] = useState("");
+
   const [selectedCaps, setSelectedCaps] = useState([]); // capability keys
-  const [answersByCap, setAnswersByCap] = useState({}); // {capKey: {questionIndex: LEVEL}}
+  const [answersByCap, setAnswersByCap] = useState({}); // {capKey: {questionId: LEVEL}}
+  // Respondents each answer into their own set; answersByCap holds the active respondent's answers while
+  // the entry in `respondents` is only refreshed on switching (allRespondents below is always current).
+  // An empty list means a single assessor, as before.
+  const [respondents, setRespondents] = useState([]); // [{ id, name, role, answersByCap }]
+  const [activeRespondentId, setActiveRespondentId] = useState(null);
+  const [aggregation, setAggregation] = useState("mean"); // how the Report combines respondents
+  const [newRespondentName, setNewRespondentName] = useState("");
+  const [newRespondentRole, setNewRespondentRole] = useState(ROLES[0]);
+  const [migration, setMigration] = useState(null); // { source, report } of the last answer migration
+  const [modelIssues, setModelIssues] = useState(null); // { source, errors, warnings } of the last model validation
+  const [modelDraft, setModelDraft] = useState(null); // model being edited in Admin, null when the editor is closed
   const [meta, setMeta] = useState({ date: new Date().toISOString().slice(0,10), customer: "", assessor: "" });
+  const [targets, setTargets] = useState({}); // {capKey: LEVEL} desired maturity per capability
+  const [snapshots, setSnapshots] = useState([]); // cache history, newest first
 
-  // Branding (logos), persisted to localStorage
-  const [brand, setBrand] = useState(() => {
-    try { return JSON.parse(localStorage.getItem(BRAND_KEY)) || { costraLogo: "", partnerLogo: "" }; }
-    catch { return { costraLogo: "", partnerLogo: "" }; }
-  });
-  useEffect(()=>{ localStorage.setItem(BRAND_KEY, JSON.stringify(brand)); }, [brand]);
+  // Branding (logos)
+  const [brand, setBrand] = useState({ costraLogo: "", partnerLogo: "" });
+  useEffect(()=>{ if (storageReady) persist(BRAND_KEY, brand); }, [brand, storageReady]);
+
+  // Peer benchmark (imported or built from answer files); the Report picks the segment closest to meta.industry/size
+  const [benchmark, setBenchmark] = useState(null);
+  const [benchmarkSegment, setBenchmarkSegment] = useState(""); // segmentKey, "" = closest to the customer
+  useEffect(()=>{ if (storageReady) persist(BENCHMARK_KEY, benchmark); }, [benchmark, storageReady]);
+
+  // Server sync (optional, Admin → Server sync). Per synced assessment we keep the server revision and the
+  // state at the last sync, the base for merging in changes made elsewhere. Without a url nothing is sent.
+  const [sync, setSync] = useState({ url: "", token: "", records: {} });
+  useEffect(()=>{ if (storageReady) persist(SYNC_KEY, sync); }, [sync, storageReady]);
+  const [syncForm, setSyncForm] = useState({ url: "", token: "" });
+  const [syncStatus, setSyncStatus] = useState({ state: "off" }); // off | checking | ok | syncing | error | conflict, with message/at
+  const [syncConflict, setSyncConflict] = useState(null); // { assessmentId, base, current, choices } waiting for the user
+  const [serverAssessments, setServerAssessments] = useState(null); // records listed from the server
+  const syncClient = useMemo(() => sync.url ? createSyncClient(sync) : null, [sync.url, sync.token]);
+  const syncBusyRef = useRef(false);
+  const syncRef = useRef(null); // latest syncActiveAssessment, for timers
+  const uploadedRef = useRef(new Set()); // "<collection>/<id>" of customers and models already on the server
+
+  // Load persistent state once: move pre-IndexedDB localStorage data over, then restore the
+  // autosaved working state (or, failing that, the active workspace assessment)
+  useEffect(() => {
+    restoredRef.current = (async () => {
+      let restored = null;
+      try {
+        await migrateFromLocalStorage([SNAP_KEY, BRAND_KEY, WORKSPACE_KEY]);
+        const [snaps, savedBrand, savedWs, autosave, savedBenchmark, savedSync] = await Promise.all([storageGet(SNAP_KEY), storageGet(BRAND_KEY), storageGet(WORKSPACE_KEY), storageGet(AUTOSAVE_KEY), storageGet(BENCHMARK_KEY), storageGet(SYNC_KEY)]);
+        const ws = { ...emptyWorkspace(), ...(savedWs || {}) };
+        if (Array.isArray(snaps)) setSnapshots(snaps);
+        if (savedBrand) setBrand(savedBrand);
+        if (savedBenchmark) setBenchmark(savedBenchmark);
+        if (savedSync?.url) { setSync({ records: {}, ...savedSync }); setSyncForm({ url: savedSync.url, token: savedSync.token || "" }); }
+        setWorkspace(ws);
+        restored = autosave || ws.assessments.find(a => a.id === ws.activeId) || null;
+        if (shareToken) {
+          try { restored = await decodeShare(shareToken); setShared(restored); }
+          catch (e) { alert(t("Could not open the share link: {error}", { error: e.message })); restored = null; }
+        }
+        if (restored) {
+          setMeta(restored.meta || meta); setSelectedCaps(restored.selectedCaps || []); setTargets(restored.targets || {}); setAnswersByCap(restored.answersByCap || {});
+          setRespondents(restored.respondents || []); setActiveRespondentId(restored.activeRespondentId || null); setAggregation(restored.aggregation || "mean");
+          if (autosave?.savedAt && !shareToken) setLastAutosave(autosave.savedAt);
+        }
+      } catch (e) { noteStorageError(e); }
+      setStorageReady(true);
+      requestPersistence();
+      return restored;
+    })();
+  }, []);
+
+  // Autosave the in-progress assessment (debounced). State is only ever replaced, never mutated, so identity
+  // is enough to see a change; serializing answers with their attachments on every render is not.
+  useEffect(() => {
+    if (!storageReady || shareToken) return;
+    const h = setTimeout(() => {
+      const savedAt = new Date().toISOString();
+      persist(AUTOSAVE_KEY, { savedAt, meta, selectedCaps, targets, answersByCap, respondents: allRespondents, activeRespondentId, aggregation, questionIds: questionOrder(model) }).then(ok => ok && setLastAutosave(savedAt));
+    }, 400);
+    return () => clearTimeout(h);
+  }, [storageReady, model, meta, selectedCaps, targets, answersByCap, respondents, activeRespondentId, aggregation]);
+
+  useEffect(() => {
+    if (activeTab === "admin") storageInfo().then(setStorageStats, noteStorageError);
+  }, [activeTab, snapshots.length, lastAutosave]);
   function onLogoFile(which, file){ const r = new FileReader(); r.onload = () => setBrand(prev => ({...prev, [which]: r.result})); r.readAsDataURL(file); }
   function removeLogo(which){ setBrand(prev => ({...prev, [which]: ""})); }
 
@@ -216,9 +1181,17 @@ export default function App() {
   const [currentCapKey, setCurrentCapKey] = useState(null);
   const [lensCapKey, setLensCapKey] = useState(null);
   const [lensOpen, setLensOpen] = useState(false);
+  const [spiderByLens, setSpiderByLens] = useState(false); // Report spider: one polygon per lens instead of the total
 
-  // derived
-  const allCaps = model?.capabilities || [];
+  // Compare tab: two sources ("current", "snap:<id>", "file:<id>") and answer files imported for comparison only
+  const [compareA, setCompareA] = useState("");
+  const [compareB, setCompareB] = useState("current");
+  const [compareFiles, setCompareFiles] = useState([]);
+
+  // derived; uiModel/reportModel carry the texts in the chosen UI and report language
+  const uiModel = useMemo(() => localizeModel(model, locales.ui), [model, locales.ui]);
+  const reportModel = useMemo(() => localizeModel(model, locales.report), [model, locales.report]);
+  const allCaps = uiModel?.capabilities || [];
   const selectedCapsSafe = selectedCaps.length ? selectedCaps : allCaps.map(c => c.key);
 
   // Keep currentCapKey / lensCapKey in sync with selection
@@ -236,61 +1209,29 @@ export default function App() {
     }
   }, [model, selectedCapsSafe.join('|')]);
 
+  // Respondents with the live answers of the active one; the Report scores their combination
+  const allRespondents = useMemo(() => respondents.map(r => r.id === activeRespondentId ? { ...r, answersByCap } : r), [respondents, activeRespondentId, answersByCap]);
+  const multiRespondent = allRespondents.length > 1;
+  const activeRespondent = allRespondents.find(r => r.id === activeRespondentId) || null;
+  const reportAnswers = useMemo(
+    () => model && multiRespondent ? aggregateAnswers(model, allRespondents, aggregation) : answersByCap,
+    [model, multiRespondent, allRespondents, aggregation, answersByCap]
+  );
+
   // Compute report
-  const report = useMemo(() => {
-    if (!model) return null;
-
-    // capability totals (sum of question weights 0..20)
-    const capTotals = allCaps
-      .filter(c => selectedCapsSafe.includes(c.key))
-      .map(cap => {
-        let sum20 = 0;
-        const lensTotals = LENSES.reduce((acc, l) => (acc[l] = { sum: 0, answered: 0, answers: [] }, acc), {});
-
-        cap.questions.forEach((q, idx) => {
-          const lvl = answersByCap?.[cap.key]?.[idx];
-          const w = (lvl && typeof q.scores?.[lvl] === "number") ? q.scores[lvl] : null; // 0..20
-          if (typeof w === "number") {
-            sum20 += w;
-            if (q.lens && lensTotals[q.lens]) {
-              lensTotals[q.lens].sum += w;
-              lensTotals[q.lens].answered += 1;
-              const text = q.options?.[lvl] || lvl;
-              lensTotals[q.lens].answers.push({ question: q.text, choice: text, weight20: w, level: lvl });
-            }
-          }
-        });
-
-        const max20 = Math.max(1, cap.questions.length * 20);
-        const capScore100 = (sum20 / max20) * 100;
-
-        return { capKey: cap.key, name: cap.name, sum20, max20, capScore100, lensTotals };
-      });
-
-    // overall
-    const overallAvgCapScore100 = capTotals.length
-      ? capTotals.reduce((a,c) => a + c.capScore100, 0) / capTotals.length
-      : 0;
-
-    // spider (TOTAL per cap, not average)
-    const spiderData = capTotals.map((c) => ({ subject: c.name, total: c.sum20, fullMark: c.max20 }));
-
-    // overall lens trend across all capabilities (people perspective)
-    const lensAgg = LENSES.reduce((acc, l) => (acc[l] = { sum: 0, answered: 0 }, acc), {});
-    capTotals.forEach(c => {
-      LENSES.forEach(l => {
-        const tt = c.lensTotals[l];
-        if (tt) { lensAgg[l].sum += tt.sum; lensAgg[l].answered += tt.answered; }
-      });
-    });
-    const lensOverview = LENSES.map((l, i) => {
-      const a = lensAgg[l];
-      const value = a.answered ? (a.sum / (a.answered * 20)) * 100 : 0;
-      return { label: l, value, color: LENS_COLORS[i] };
-    });
+  const report = useMemo(
+    () => reportModel ? computeReport({ model: reportModel, selectedCaps: selectedCapsSafe, answersByCap: reportAnswers, targets }) : null,
+    [reportModel, selectedCapsSafe.join("|"), JSON.stringify(reportAnswers), JSON.stringify(targets)]
+  );
 
-    return { capTotals, overallAvgCapScore100, spiderData, lensOverview };
-  }, [model, selectedCapsSafe.join("|"), JSON.stringify(answersByCap)]);
+  // Write the working state back into the active workspace assessment whenever it changes
+  useEffect(() => {
+    if (!activeAssessment || !model || shareToken) return;
+    const state = workingState();
+    const same = ["meta", "selectedCaps", "targets", "answersByCap", "respondents", "aggregation"].every(k => JSON.stringify(state[k]) === JSON.stringify(activeAssessment[k]));
+    if (same && activeAssessment.lastScore != null) return;
+    setWorkspace(ws => updateAssessment(ws, activeAssessment.id, { ...state, lastScore: report ? report.overallAvgCapScore100 : null }));
+  }, [workspace.activeId, model, JSON.stringify(meta), selectedCapsSafe.join("|"), JSON.stringify(targets), JSON.stringify(answersByCap), JSON.stringify(respondents), aggregation]);
 
   // Auto-load model.json from /public once (and reset if it changed)
   useEffect(() => {
@@ -301,7 +1242,7 @@ export default function App() {
         if (!res.ok) return;
         const text = await res.text();
         const obj = JSON.parse(text);
-        if (!obj?.capabilities) return;
+        if (!checkModel(obj, 'public/model.json')) return;
         // compute a stable hash of file contents; fallback to length+version if subtle crypto not available
         let hash = '';
         try {
@@ -311,64 +1252,515 @@ export default function App() {
           hash = `len:${text.length}|ver:${obj.version||''}`;
         }
         const prev = localStorage.getItem(MODEL_HASH_KEY);
-        setModel(obj);
-        setModelSource('public/model.json');
-        if (hash !== prev) {
+        const restored = await restoredRef.current; // migrate the restored answers, not the empty initial state
+        adoptModel(obj, 'public/model.json', restored?.answersByCap || {}, restored?.questionIds);
+        if (hash !== prev && !shareToken) {
           localStorage.setItem(MODEL_HASH_KEY, hash);
           setSelectedCaps(obj.capabilities.map(c=>c.key));
-          setAnswersByCap({});
         }
       } catch (_) { /* ignore auto-load errors */ }
     })();
   }, []);
 
+  useEffect(() => { if (model) modelFingerprint(model).then(setModelHash, () => setModelHash("")); }, [model]);
+  const shareMismatch = shared && model && modelHash && shared.modelHash !== modelHash;
+
   // --- Mechanics
-  function importJSONFile(file, handler) {
+  function importJSONFile(file, handler, onError = (e) => alert(t("Invalid JSON: {error}", { error: e.message }))) {
     const reader = new FileReader();
-    reader.onload = () => { try { handler(JSON.parse(String(reader.result))); } catch (e) { alert("Invalid JSON: " + e.message); } };
+    reader.onload = () => { let obj; try { obj = JSON.parse(String(reader.result)); } catch (e) { onError(e); return; } handler(obj); };
     reader.readAsText(file);
   }
+  // Load a model and carry the current answers over to it (instead of wiping them)
+  function adoptModel(obj, source, fromAnswers = answersByCap, fromOrder = questionOrder(model)) {
+    const next = ensureQuestionIds(obj);
+    const { answers, report } = migrateAnswers(fromAnswers, next, fromOrder);
+    setModel(next); setModelSource(source); setAnswersByCap(answers);
+    setRespondents(rs => rs.map(r => ({ ...r, answersByCap: migrateAnswers(r.answersByCap, next, fromOrder).answers })));
+    noteMigration(source, report);
+  }
+  function noteMigration(source, report) {
+    const changed = report.remapped.length + report.dropped.length + report.orphaned.length;
+    setMigration(changed ? { source, report } : null);
+  }
+  // Validate a model and record the outcome for Admin; returns false when it must not be loaded
+  function checkModel(obj, source) {
+    const { errors, warnings } = validateModel(obj);
+    setModelIssues(errors.length || warnings.length ? { source, errors, warnings } : null);
+    return !errors.length;
+  }
   function importModel(file) {
-    importJSONFile(file, (obj) => {
-      if (!obj?.capabilities) { alert("Model must have a `capabilities` array."); return; }
-      setModel(obj); setModelSource(file.name); setSelectedCaps(obj.capabilities.map(c => c.key)); setActiveTab("setup");
-    });
+    const onLoaded = (obj) => {
+      if (!checkModel(obj, file.name)) { setActiveTab("admin"); return; }
+      adoptModel(obj, file.name); setSelectedCaps(obj.capabilities.map(c => c.key)); setActiveTab("setup");
+    };
+    const onFailed = (prefix) => (e) => { setModelIssues({ source: file.name, errors: [{ path: "$", message: prefix + e.message }], warnings: [] }); setActiveTab("admin"); };
+    if (/\.xlsx?$/i.test(file.name)) {
+      import("./excel.js").then(x => x.readModelWorkbook(file)).then(onLoaded, onFailed("Invalid workbook: "));
+      return;
+    }
+    importJSONFile(file, onLoaded, onFailed("Invalid JSON: "));
+  }
+  // Use the edited model in this session; capabilities the editor added are selected, removed ones drop out
+  function applyModelDraft(){
+    const source = t("Model editor");
+    if (!checkModel(modelDraft, source)) return;
+    const before = new Set(allCaps.map(c => c.key)), after = modelDraft.capabilities.map(c => c.key);
+    adoptModel(modelDraft, source);
+    setSelectedCaps(sel => [...sel.filter(k => after.includes(k)), ...after.filter(k => !before.has(k))]);
+    setModelDraft(null);
+  }
+  async function exportModelExcel(){
+    if (!model) { alert(t("No model loaded.")); return; }
+    try { const x = await import("./excel.js"); x.downloadModelWorkbook(model, `finops-model.v${model.version || MODEL_VERSION_FALLBACK}.xlsx`); }
+    catch (e) { alert(t("Excel export failed: {error}", { error: e.message })); }
   }
   function importAnswers(file) {
     importJSONFile(file, (obj) => {
-      try { if (obj.selectedCaps) setSelectedCaps(obj.selectedCaps); if (obj.meta) setMeta(obj.meta); if (obj.answersByCap) setAnswersByCap(obj.answersByCap); setActiveTab("report"); } catch (e) { alert("Could not import answers: " + e.message); }
+      try {
+        if (obj.respondent) { addRespondentAnswers(obj, file.name); setActiveTab("setup"); return; }
+        if (loadWork({ ...obj, meta: obj.meta || meta, selectedCaps: obj.selectedCaps || selectedCaps, answersByCap: obj.answersByCap || answersByCap, title: file.name })) setActiveTab("report");
+      } catch (e) { alert(t("Could not import answers: {error}", { error: e.message })); }
     });
   }
   function buildAnswersJSON(){
-    const out = { appName: APP_NAME, exportedAt: new Date().toISOString(), modelVersion: model?.version || MODEL_VERSION_FALLBACK, meta, modelKeys: allCaps.map(c=>c.key), selectedCaps: selectedCapsSafe, answersByCap };
+    const out = { appName: APP_NAME, exportedAt: new Date().toISOString(), modelVersion: model?.version || MODEL_VERSION_FALLBACK, meta, modelKeys: allCaps.map(c=>c.key), questionIds: questionOrder(model), selectedCaps: selectedCapsSafe, targets, answersByCap: reportAnswers };
+    // with several respondents answersByCap is their combination; each respondent's own answers travel alongside
+    if (respondents.length) Object.assign(out, { respondents: allRespondents, activeRespondentId, aggregation });
+    if (report) out.summary = reportSummary(report);
     return out;
   }
-  function exportAnswers(){ const blob = new Blob([JSON.stringify(buildAnswersJSON(), null, 2)], {type: "application/json"}); const a=document.createElement("a"); a.href=URL.createObjectURL(blob); a.download="finops-maturity-answers.v1.3.json"; a.click(); URL.revokeObjectURL(a.href); }
-  async function copyAnswers(){ try { await navigator.clipboard.writeText(JSON.stringify(buildAnswersJSON(), null, 2)); alert("Copied to clipboard."); } catch(e){ alert("Copy failed: "+e.message);} }
+  function exportAnswers(){ downloadFile("finops-maturity-answers.v1.3.json", JSON.stringify(buildAnswersJSON(), null, 2), "application/json"); }
+  // Next steps as a backlog the customer can import into their own tooling
+  const BACKLOG_COLUMNS = ["rank", "capability", "lens", "question", "currentLevel", "nextLevel", "nextStep", "targetLevel", "scoreGain", "priority"];
+  function buildBacklog(){ return (report?.nextSteps || []).map((s, i) => ({ rank: i + 1, ...s, priority: Math.round(s.priority * 1000) / 1000 })); }
+  function backlogName(ext){ return `finops-next-steps${meta.customer ? "-" + meta.customer.replace(/[^\w-]+/g, "_") : ""}.${ext}`; }
+  function exportBacklogCSV(){ downloadFile(backlogName("csv"), "\ufeff" + toCSV(buildBacklog(), BACKLOG_COLUMNS), "text/csv;charset=utf-8"); }
+  function exportBacklogJSON(){ downloadFile(backlogName("json"), JSON.stringify({ appName: APP_NAME, exportedAt: new Date().toISOString(), modelVersion: model?.version || MODEL_VERSION_FALLBACK, meta, items: buildBacklog() }, null, 2), "application/json"); }
+  // Flat tables for Excel / Power BI: answers (one row per question), capability and lens scores
+  function resultsName(ext, part){ return `finops-results${part ? "-" + part : ""}${meta.customer ? "-" + meta.customer.replace(/[^\w-]+/g, "_") : ""}.${ext}`; }
+  function chartName(part){ return `finops-${part}${meta.customer ? "-" + meta.customer.replace(/[^\w-]+/g, "_") : ""}`; }
+  function resultTables(){
+    if (!model || !report) return [];
+    return [
+      { name: "Answers", columns: ANSWER_COLUMNS, rows: answerRows({ model, meta, selectedCaps: selectedCapsSafe, answersByCap: reportAnswers }) },
+      { name: "Capabilities", columns: CAPABILITY_COLUMNS, rows: capabilityRows({ model, meta, report }) },
+      { name: "Lenses", columns: LENS_COLUMNS, rows: lensRows({ meta, report }) },
+    ];
+  }
+  function exportResultsCSV(part){
+    const table = resultTables().find(x => x.name === part);
+    if (!table) { alert(t("No model loaded.")); return; }
+    downloadFile(resultsName("csv", part.toLowerCase()), "\ufeff" + toCSV(table.rows, table.columns), "text/csv;charset=utf-8");
+  }
+  async function exportResultsXLSX(){
+    if (!model || !report) { alert(t("No model loaded.")); return; }
+    try { const x = await import("./excel.js"); x.downloadTablesWorkbook(resultTables(), resultsName("xlsx")); }
+    catch (e) { alert(t("Excel export failed: {error}", { error: e.message })); }
+  }
+  async function shareReport(){
+    if (!model) { alert(t("No model loaded.")); return; }
+    try {
+      const payload = { appName: APP_NAME, modelVersion: model.version || MODEL_VERSION_FALLBACK, modelHash, meta, selectedCaps: selectedCapsSafe, targets, questionIds: questionOrder(model), answersByCap: stripAttachments(reportAnswers) };
+      const url = shareUrl(window.location.href, await encodeShare(payload));
+      await navigator.clipboard.writeText(url);
+      alert(t("Share link copied to clipboard ({n} characters).", { n: url.length }) + (url.length > 8000 ? " " + t("Some mail clients cut off links this long — send it in a chat or document instead.") : ""));
+    } catch (e) { alert(t("Could not create a share link: {error}", { error: e.message })); }
+  }
+  function leaveSharedView(){ window.location.assign(window.location.pathname + window.location.search); }
+  async function copyAnswers(){ try { await navigator.clipboard.writeText(JSON.stringify(buildAnswersJSON(), null, 2)); alert(t("Copied to clipboard.")); } catch(e){ alert(t("Copy failed: {error}", { error: e.message }));} }
   function printAnswers(){ window.print(); }
+  async function downloadPdf(){
+    if (!model || !report) { alert(t("No report to export.")); return; }
+    try {
+      const x = await import("./pdf.js");
+      await x.downloadReportPdf({ appName: APP_NAME, model: reportModel, t: tr, meta, brand, report, selectedCaps: selectedCapsSafe, answersByCap: reportAnswers, defaultLogo: "/Logo black-2.svg" },
+        `finops-maturity-report${meta.customer ? "-" + meta.customer.replace(/[^\w-]+/g, "_") : ""}.pdf`);
+    } catch (e) { alert(t("PDF export failed: {error}", { error: e.message })); }
+  }
+  async function downloadPptx(){
+    if (!model || !report) { alert(t("No report to export.")); return; }
+    try {
+      const x = await import("./pptx.js");
+      await x.downloadReportPptx({ appName: APP_NAME, model: reportModel, t: tr, meta, brand, report, selectedCaps: selectedCapsSafe, answersByCap: reportAnswers, defaultLogo: "/Logo black-2.svg" },
+        `finops-maturity-report${meta.customer ? "-" + meta.customer.replace(/[^\w-]+/g, "_") : ""}.pptx`);
+    } catch (e) { alert(t("PowerPoint export failed: {error}", { error: e.message })); }
+  }
 
   // Snapshots
-  function loadSnapshots(){ try { return JSON.parse(localStorage.getItem(SNAP_KEY) || "[]"); } catch { return []; } }
-  function saveSnapshots(list){ localStorage.setItem(SNAP_KEY, JSON.stringify(list)); }
-  function saveSnapshot(){ const entry = { id: crypto.randomUUID(), ts: new Date().toISOString(), version: model?.version || MODEL_VERSION_FALLBACK, customer: meta.customer || "", assessor: meta.assessor || "", selectedCaps: selectedCapsSafe, answersByCap, meta }; const list = loadSnapshots(); list.unshift(entry); saveSnapshots(list); alert("Snapshot saved."); }
-  function restoreSnapshot(id){ const list = loadSnapshots(); const found = list.find(x=>x.id===id); if(!found){ alert("Snapshot not found"); return;} setSelectedCaps(found.selectedCaps || []); setAnswersByCap(found.answersByCap || {}); setMeta(found.meta || meta); setActiveTab("report"); }
-  function deleteSnapshot(id){ const list = loadSnapshots(); saveSnapshots(list.filter(x=>x.id!==id)); }
+  function saveSnapshots(list){ setSnapshots(list); return persist(SNAP_KEY, list); }
+  function saveSnapshot(){ const entry = { id: crypto.randomUUID(), ts: new Date().toISOString(), version: model?.version || MODEL_VERSION_FALLBACK, customer: meta.customer || "", assessor: meta.assessor || "", selectedCaps: selectedCapsSafe, questionIds: questionOrder(model), targets, answersByCap, respondents: allRespondents, activeRespondentId, aggregation, meta, assessmentId: workspace.activeId || undefined }; saveSnapshots([entry, ...snapshots]).then(ok => alert(ok ? t("Snapshot saved.") : t("Snapshot could not be stored — see Admin → Storage."))); if (syncClient) syncClient.put("snapshots", entry.id, entry).catch(e => setSyncStatus({ state: "error", message: e.message })); }
+  function restoreSnapshot(id){ const list = snapshots; const found = list.find(x=>x.id===id); if(!found){ alert(t("Snapshot not found")); return;} if (loadWork({ ...found, meta: found.meta || meta, title: `snapshot ${prettyDate(found.ts)}` })) setActiveTab("report"); }
+  function deleteSnapshot(id){ saveSnapshots(snapshots.filter(x=>x.id!==id)); }
+
+  // Workspace
+  function workingState(){ return { meta, selectedCaps: selectedCapsSafe, targets, answersByCap, respondents: allRespondents, activeRespondentId, aggregation, questionIds: questionOrder(model), modelVersion: model?.version || MODEL_VERSION_FALLBACK }; }
+  const hasUnsavedWork = () => !activeAssessment && Object.values(answersByCap).some(v => Object.keys(v || {}).length);
+  // File the current (unlinked) work under its customer so it is not lost when switching
+  function stashWork(ws){
+    let customer = findCustomerByName(ws, meta.customer);
+    if (!customer) [ws, customer] = addCustomer(ws, meta.customer || "Unnamed customer");
+    const [next, a] = addAssessment(ws, customer.id, { ...workingState(), lastScore: report ? report.overallAvgCapScore100 : null });
+    return [next, a];
+  }
+  function keepUnsavedWork(ws){
+    if (!hasUnsavedWork()) return ws;
+    return confirm(t("Save the current work for \"{customer}\" to the workspace first?", { customer: meta.customer || t("Unnamed customer") })) ? stashWork(ws)[0] : ws;
+  }
+  function loadWorkingState(a){
+    setMeta(a.meta || { date: new Date().toISOString().slice(0,10), customer: "", assessor: "" });
+    setSelectedCaps(a.selectedCaps || []);
+    setTargets(a.targets || {});
+    // with respondents, the active one's set is the one being edited
+    const rs = a.respondents || [];
+    const active = rs.find(r => r.id === a.activeRespondentId) || rs[0] || null;
+    const { answers, report } = migrateAnswers(active ? active.answersByCap : a.answersByCap, model, a.questionIds);
+    setRespondents(rs.map(r => ({ ...r, answersByCap: r === active ? answers : migrateAnswers(r.answersByCap, model, a.questionIds).answers })));
+    setActiveRespondentId(active?.id || null); setAggregation(a.aggregation || "mean");
+    setAnswersByCap(answers); noteMigration(a.title, report);
+  }
+  // Restored or imported work opens the assessment it came from; while another assessment is open it is filed as a
+  // new assessment of its customer instead of replacing the open one. Returns false when the user declines.
+  function loadWork(state){
+    const owner = workspace.assessments.find(a => a.id === state.assessmentId);
+    if (owner) {
+      const ws = keepUnsavedWork(workspace);
+      loadWorkingState(state); setWorkspace({ ...ws, activeId: owner.id });
+      return true;
+    }
+    if (!activeAssessment) { loadWorkingState(state); return true; }
+    const name = state.meta?.customer || "";
+    if (!confirm(t("\"{title}\" is not part of the open assessment. Add it as a new assessment for \"{customer}\"?", { title: state.title, customer: name || t("Unnamed customer") }))) return false;
+    let ws = workspace, customer = findCustomerByName(ws, name);
+    if (!customer) [ws, customer] = addCustomer(ws, name || "Unnamed customer");
+    const fields = ["meta", "selectedCaps", "targets", "answersByCap", "respondents", "activeRespondentId", "aggregation", "questionIds", "modelVersion"];
+    const [next, a] = addAssessment(ws, customer.id, Object.fromEntries(fields.filter(k => state[k] !== undefined).map(k => [k, state[k]])), state.title);
+    loadWorkingState(a); setWorkspace({ ...next, activeId: a.id });
+    return true;
+  }
+  // Respondents
+  // The respondent list to extend: answers given so far without respondents belong to whoever took the assessment
+  function respondentBase(){
+    if (allRespondents.length || !Object.values(answersByCap).some(v => Object.keys(v || {}).length)) return allRespondents;
+    const first = newRespondent(meta.assessor || "Assessor", ROLES[0], answersByCap);
+    setActiveRespondentId(first.id);
+    return [first];
+  }
+  function addRespondent(){
+    const name = newRespondentName.trim(); if (!name) return;
+    if (allRespondents.some(r => r.name.toLowerCase() === name.toLowerCase())) { alert(t("Respondent \"{name}\" already exists.", { name })); return; }
+    const list = respondentBase();
+    const r = newRespondent(name, newRespondentRole);
+    if (!list.length) setActiveRespondentId(r.id);
+    setRespondents([...list, r]);
+    setNewRespondentName("");
+  }
+  // An answers file from the respondent questionnaire joins the current assessment as one more respondent.
+  // The same file again, or another one from a respondent with the same name and role, replaces their answers.
+  function addRespondentAnswers(obj, source){
+    const { answers, report } = migrateAnswers(obj.answersByCap || {}, model, obj.questionIds);
+    const r = newRespondent(obj.respondent.name || source, obj.respondent.role, answers);
+    const same = allRespondents.find(x => x.id === obj.activeRespondentId || (x.name.toLowerCase() === r.name.toLowerCase() && x.role === r.role));
+    if (same) {
+      if (!confirm(t("Respondent \"{name}\" ({role}) is already part of this assessment. Replace their answers with this file?", { name: same.name, role: t(same.role) }))) return;
+      if (same.id === activeRespondentId) setAnswersByCap(answers);
+      setRespondents(allRespondents.map(x => x.id === same.id ? { ...x, answersByCap: answers } : x));
+      noteMigration(source, report);
+      return;
+    }
+    const list = respondentBase();
+    if (!list.length) { setActiveRespondentId(r.id); setAnswersByCap(answers); }
+    setRespondents([...list, r]);
+    if (!meta.customer && obj.meta?.customer) setMeta(m => ({ ...m, customer: obj.meta.customer }));
+    noteMigration(source, report);
+  }
+  async function copyRespondentLink(){
+    if (!model) { alert(t("No model loaded.")); return; }
+    try {
+      const invite = { customer: meta.customer || "", assessor: meta.assessor || "", selectedCaps: selectedCapsSafe, modelVersion: model.version || MODEL_VERSION_FALLBACK, modelHash };
+      const url = shareUrl(window.location.href, { [INVITE_KEY]: await encodeShare(invite) });
+      await navigator.clipboard.writeText(url);
+      alert(t("Respondent link copied to clipboard. Respondents answer one question at a time and send you an answers file; import it with Admin → Import Answers to add them as a respondent.")
+        + (modelSource !== "public/model.json" ? "\n\n" + t("Note: respondents get the site's public/model.json, not the model you imported.") : ""));
+    } catch (e) { alert(t("Could not create a respondent link: {error}", { error: e.message })); }
+  }
+  function switchRespondent(id){
+    const r = allRespondents.find(x => x.id === id); if (!r) return;
+    setRespondents(allRespondents); setActiveRespondentId(id); setAnswersByCap(r.answersByCap || {});
+  }
+  function updateRespondent(id, patch){ setRespondents(rs => rs.map(r => r.id === id ? { ...r, ...patch } : r)); }
+  function removeRespondent(id){
+    const r = allRespondents.find(x => x.id === id);
+    if (!confirm(t("Remove respondent \"{name}\" and their answers?", { name: r?.name }))) return;
+    const rest = allRespondents.filter(x => x.id !== id);
+    if (id === activeRespondentId) { setActiveRespondentId(rest[0]?.id || null); setAnswersByCap(rest[0]?.answersByCap || {}); }
+    setRespondents(rest);
+  }
+  function saveWorkToWorkspace(){ const [ws, a] = stashWork(workspace); setWorkspace({ ...ws, activeId: a.id }); }
+  function createCustomer(){
+    const name = newCustomerName.trim(); if (!name) return;
+    if (findCustomerByName(workspace, name)) { alert(t("Customer \"{name}\" already exists.", { name })); return; }
+    setWorkspace(ws => addCustomer(ws, name)[0]); setNewCustomerName("");
+  }
+  function openAssessment(id){
+    if (id !== workspace.activeId) {
+      const ws = keepUnsavedWork(workspace);
+      loadWorkingState(ws.assessments.find(a => a.id === id));
+      setWorkspace({ ...ws, activeId: id });
+    }
+    setActiveTab("setup");
+  }
+  function newAssessment(customerId){
+    const ws0 = keepUnsavedWork(workspace);
+    const customer = ws0.customers.find(c => c.id === customerId);
+    const state = { meta: { date: new Date().toISOString().slice(0,10), customer: customer.name, assessor: meta.assessor }, selectedCaps: allCaps.map(c => c.key), targets: {}, answersByCap: {}, questionIds: questionOrder(model), modelVersion: model?.version || MODEL_VERSION_FALLBACK };
+    const [ws, a] = addAssessment(ws0, customerId, state);
+    loadWorkingState(a); setWorkspace({ ...ws, activeId: a.id }); setActiveTab("setup");
+  }
+  function closeAssessment(){
+    setWorkspace(ws => ({ ...ws, activeId: null }));
+    loadWorkingState({ title: "new assessment" });
+  }
+  function deleteAssessmentEntry(id){
+    const a = workspace.assessments.find(x => x.id === id);
+    if (!confirm(t("Delete assessment \"{title}\"?", { title: a?.title }))) return;
+    if (id === workspace.activeId) closeAssessment();
+    setWorkspace(ws => removeAssessment(ws, id));
+  }
+  function deleteCustomerEntry(id){
+    const c = workspace.customers.find(x => x.id === id);
+    if (!confirm(t("Delete customer \"{name}\" and all of its assessments?", { name: c?.name }))) return;
+    if (activeAssessment?.customerId === id) closeAssessment();
+    setWorkspace(ws => removeCustomer(ws, id));
+  }
+
+  // Server sync
+  const syncRecord = (id, rev, base) => setSync(s => ({ ...s, records: { ...s.records, [id]: { rev, base, syncedAt: new Date().toISOString() } } }));
+  async function connectServer(){
+    const url = syncForm.url.trim(); if (!url) return;
+    setSyncStatus({ state: "checking" });
+    try {
+      await createSyncClient({ url, token: syncForm.token }).health();
+      // revisions are per server: on another server every assessment starts unsynced
+      setSync(s => ({ url, token: syncForm.token, records: s.url === url ? s.records : {} }));
+      uploadedRef.current = new Set();
+      setSyncStatus({ state: "ok", at: new Date().toISOString() });
+    } catch (e) { setSyncStatus({ state: "error", message: e.message }); }
+  }
+  function disconnectServer(){
+    if (!confirm(t("Disconnect from the server? Everything stays in this browser; changes are no longer synced."))) return;
+    setSync({ url: "", token: "", records: {} }); setSyncStatus({ state: "off" }); setSyncConflict(null); setServerAssessments(null);
+  }
+  // Customers and models are uploaded once; the first upload of a model version stays
+  async function uploadOnce(col, id, data){
+    const key = `${col}/${id}`;
+    if (uploadedRef.current.has(key)) return;
+    if (!(await syncClient.get(col, id))) await syncClient.put(col, id, data).catch(e => { if (!(e instanceof SyncConflict)) throw e; });
+    uploadedRef.current.add(key);
+  }
+  function applySyncedState(id, state){
+    setWorkspace(ws => updateAssessment(ws, id, state));
+    if (id === workspace.activeId) loadWorkingState({ ...state, activeRespondentId });
+  }
+  async function pushAssessment(a, state, current){
+    // the server copy we merged with is the new base, also when the push below fails
+    if (current) syncRecord(a.id, current.rev, syncState(current.data));
+    if (current && sameState(state, syncState(current.data))) return;
+    const customer = workspace.customers.find(c => c.id === a.customerId);
+    const saved = await syncClient.put("assessments", a.id, { ...state, customerId: a.customerId, customerName: customer?.name || state.meta?.customer || "", createdAt: a.createdAt }, current?.rev);
+    syncRecord(a.id, saved.rev, state);
+  }
+  // Bring the active assessment and its server copy together: take over what changed there since the last
+  // sync, then push. A value changed on both sides waits for the user (syncConflict).
+  async function syncActiveAssessment({ stash = false } = {}){
+    if (!syncClient || syncConflict || syncBusyRef.current) return;
+    let ws = workspace, a = activeAssessment;
+    if (!a && stash && hasUnsavedWork()) { [ws, a] = stashWork(ws); setWorkspace({ ...ws, activeId: a.id }); }
+    if (!a) return;
+    syncBusyRef.current = true; setSyncStatus({ state: "syncing" });
+    try {
+      const customer = ws.customers.find(c => c.id === a.customerId);
+      if (customer) await uploadOnce("customers", customer.id, { name: customer.name, createdAt: customer.createdAt });
+      if (model) await uploadOnce("models", String(model.version || MODEL_VERSION_FALLBACK), model);
+      const mine = syncState({ ...a, ...workingState() });
+      const record = sync.records[a.id];
+      const current = await syncClient.get("assessments", a.id);
+      let next = mine;
+      if (current && current.rev !== record?.rev) {
+        const result = mergeStates(record?.base || {}, mine, syncState(current.data));
+        if (result.conflicts.length) { setSyncConflict({ assessmentId: a.id, base: record?.base || {}, current, choices: {} }); setSyncStatus({ state: "conflict" }); return; }
+        next = result.merged;
+        if (!sameState(next, mine)) applySyncedState(a.id, next);
+      }
+      await pushAssessment(a, next, current);
+      setSyncStatus({ state: "ok", at: new Date().toISOString() });
+    } catch (e) {
+      setSyncStatus({ state: "error", message: e instanceof SyncConflict ? t("The assessment changed on the server while syncing; it is synced again shortly.") : e.message });
+    } finally { syncBusyRef.current = false; }
+  }
+  syncRef.current = syncActiveAssessment;
+  // Conflict rows: what the value is ("Tagging · <question>", "Ann · Role", …) and the two versions of it
+  function syncPathLabel([kind, ...rest]){
+    const capName = (key) => allCaps.find(c => c.key === key)?.name || key;
+    const question = (capKey, qId) => allCaps.find(c => c.key === capKey)?.questions.find(q => q.id === qId)?.text || qId;
+    if (kind === "answersByCap") return `${capName(rest[0])} · ${question(rest[0], rest[1])}`;
+    if (kind === "targets") return `${t("Target")} · ${capName(rest[0])}`;
+    if (kind === "meta") return t({ date: "Date", customer: "Customer", assessor: "Assessor" }[rest[0]] || rest[0]);
+    if (kind === "respondents") {
+      const who = allRespondents.find(r => r.id === rest[0])?.name || rest[0];
+      return rest[1] === "answersByCap" ? `${who} · ${capName(rest[2])} · ${question(rest[2], rest[3])}` : `${who} · ${rest[1]}`;
+    }
+    return kind;
+  }
+  const syncValueLabel = (v) => v === undefined ? "—"
+    : typeof v === "string" ? skipLabel(v, t)
+    : v?.level ? skipLabel(v.level, t) + (v.note ? ` — ${v.note}` : "")
+    : Array.isArray(v) ? v.join(", ") : JSON.stringify(v);
+  // The open conflict, merged again from the current local state: editing goes on while it waits, and those
+  // edits must survive "Apply and sync" (values edited since then count as "mine" unless chosen otherwise)
+  function syncConflictMerge(){
+    const { assessmentId, base, current } = syncConflict;
+    const a = workspace.assessments.find(x => x.id === assessmentId);
+    if (!a) return null;
+    return mergeStates(base, syncState(assessmentId === workspace.activeId ? { ...a, ...workingState() } : a), syncState(current.data));
+  }
+  function chooseConflict(key, side){ setSyncConflict(c => ({ ...c, choices: { ...c.choices, [key]: side } })); }
+  function chooseAllConflicts(side){ const { conflicts } = syncConflictMerge() || { conflicts: [] }; setSyncConflict(c => ({ ...c, choices: Object.fromEntries(conflicts.map(x => [x.key, side])) })); }
+  async function resolveSyncConflict(){
+    const { assessmentId, current, choices } = syncConflict;
+    const a = workspace.assessments.find(x => x.id === assessmentId);
+    const result = syncConflictMerge();
+    setSyncConflict(null);
+    if (!a) return;
+    const state = resolveConflicts(result, choices);
+    applySyncedState(assessmentId, state);
+    try { await pushAssessment(a, state, current); setSyncStatus({ state: "ok", at: new Date().toISOString() }); }
+    catch (e) { setSyncStatus({ state: "error", message: e.message }); }
+  }
+  async function loadServerAssessments(){
+    try { setServerAssessments(await syncClient.list("assessments")); }
+    catch (e) { setSyncStatus({ state: "error", message: e.message }); }
+  }
+  // Copy an assessment from the server into the workspace (under the same customer, or one of the same name) and open it
+  function openServerAssessment(rec){
+    if (workspace.assessments.some(a => a.id === rec.id)) { openAssessment(rec.id); return; }
+    const d = rec.data;
+    let ws = keepUnsavedWork(workspace);
+    let customer = ws.customers.find(c => c.id === d.customerId) || findCustomerByName(ws, d.customerName);
+    if (!customer) {
+      customer = { id: d.customerId || crypto.randomUUID(), name: d.customerName || d.meta?.customer || "Unnamed customer", createdAt: rec.updatedAt };
+      ws = { ...ws, customers: [...ws.customers, customer] };
+    }
+    const state = syncState(d);
+    const a = { status: ASSESSMENT_STATUSES[0], lastScore: null, ...state, id: rec.id, customerId: customer.id, title: state.title || d.meta?.date || rec.id, createdAt: d.createdAt || rec.updatedAt, updatedAt: rec.updatedAt };
+    syncRecord(rec.id, rec.rev, state);
+    loadWorkingState(a); setWorkspace({ ...ws, assessments: [...ws.assessments, a], activeId: a.id }); setActiveTab("setup");
+  }
+  // Check the saved server once on start; then push local changes shortly after they are made and look for
+  // changes made elsewhere every 30 seconds. Failures only show in the status: the work stays local.
+  useEffect(() => {
+    if (!storageReady || !syncClient) return;
+    setSyncStatus({ state: "checking" });
+    syncClient.health().then(() => setSyncStatus({ state: "ok" }), e => setSyncStatus({ state: "error", message: e.message }));
+  }, [storageReady]);
+  useEffect(() => {
+    if (!syncClient || !activeAssessment || shareToken) return;
+    const h = setTimeout(() => syncRef.current(), SYNC_DELAY_MS);
+    return () => clearTimeout(h);
+  }, [syncClient, workspace.activeId, activeAssessment?.title, activeAssessment?.status, JSON.stringify(meta), selectedCapsSafe.join("|"), JSON.stringify(targets), JSON.stringify(answersByCap), JSON.stringify(respondents), aggregation]);
+  useEffect(() => {
+    if (!syncClient || !workspace.activeId || shareToken) return;
+    const h = setInterval(() => syncRef.current(), SYNC_POLL_MS);
+    return () => clearInterval(h);
+  }, [syncClient, workspace.activeId]);
+
+  // Compare
+  function compareSources(){
+    return [
+      { id: "current", label: t("Current assessment"), data: { selectedCaps: selectedCapsSafe, answersByCap: reportAnswers } },
+      ...snapshots.map(x => ({ id: `snap:${x.id}`, label: `${t("Snapshot")} · ${x.customer || "—"} · ${prettyDate(x.ts)}`, data: x })),
+      ...compareFiles.map(f => ({ id: `file:${f.id}`, label: `${t("File")} · ${f.name}`, data: f.data })),
+    ];
+  }
+  const answersOf = (data) => savedAnswers(model, data);
+  function resolveCompareSource(id){
+    const src = compareSources().find(x => x.id === id);
+    if (!src) return null;
+    return { label: src.label, selectedCaps: src.data.selectedCaps, answersByCap: answersOf(src.data) };
+  }
+  function importCompareFile(file){
+    importJSONFile(file, (obj) => {
+      if (!obj?.answersByCap) { alert(t("This file has no `answersByCap`; export it with Admin → Export Answers.")); return; }
+      const id = crypto.randomUUID();
+      setCompareFiles(prev => [...prev, { id, name: file.name, data: obj }]);
+      if (!compareA) setCompareA(`file:${id}`); else setCompareB(`file:${id}`);
+    });
+  }
+
+  // Benchmark
+  function importBenchmark(file){
+    importJSONFile(file, (obj) => {
+      try { setBenchmark(validateBenchmark(obj)); setBenchmarkSegment(""); }
+      catch (e) { alert(t("Could not import the benchmark: {error}", { error: e.message })); }
+    });
+  }
+  // Score every answer file on the current model; a customer with several files counts once (newest)
+  async function buildBenchmarkFromFiles(fileList){
+    if (!model) { alert(t("No model loaded.")); return; }
+    const files = [...fileList].filter(f => /\.json$/i.test(f.name));
+    const read = await Promise.all(files.map(f => f.text().then(txt => JSON.parse(txt)).catch(() => null)));
+    const usable = read.filter(obj => obj?.answersByCap && !obj.respondent);
+    const latest = new Map();
+    usable.forEach((obj, i) => {
+      const who = (obj.meta?.customer || "").trim().toLowerCase() || `#${i}`;
+      const when = obj.meta?.date || obj.exportedAt || "";
+      if (!latest.has(who) || when > latest.get(who).when) latest.set(who, { obj, when });
+    });
+    const entries = [...latest.values()].map(({ obj }) => entryFromReport(computeReport({ model, selectedCaps: obj.selectedCaps, answersByCap: answersOf(obj) }), obj.meta));
+    const built = buildBenchmark(entries, { name: t("Local benchmark ({n} customers)", { n: entries.length }), modelVersion: model.version || MODEL_VERSION_FALLBACK });
+    if (!built.segments.length) { alert(t("Not enough answer files: a benchmark needs at least {min} customers.", { min: MIN_PEERS })); return; }
+    setBenchmark(built); setBenchmarkSegment("");
+    downloadFile(`finops-benchmark-${new Date().toISOString().slice(0,10)}.json`, JSON.stringify(built, null, 2), "application/json");
+    alert(t("Benchmark built from {n} customers ({skipped} files not used) and downloaded.", { n: entries.length, skipped: files.length - entries.length }));
+  }
+  function removeBenchmark(){ if (confirm(t("Remove the benchmark?"))) setBenchmark(null); }
+
+  // Report: from a spider axis to that capability's answers, with its lens focus opened
+  function showCapability(capKey){
+    setLensCapKey(capKey); setLensOpen(true);
+    setTimeout(() => document.getElementById(`answers-${capKey}`)?.scrollIntoView({ behavior: "smooth", block: "start" }), 0);
+  }
 
   // Helpers for Setup/Assessment
   function toggleCap(key){ setSelectedCaps(prev => prev.includes(key) ? prev.filter(x=>x!==key) : [...prev, key]); }
+  // Select every capability of a domain, or deselect the domain when all of it is already selected
+  function toggleGroup(keys){ setSelectedCaps(prev => { const base = prev.length ? prev : allCaps.map(c=>c.key); return keys.every(k => base.includes(k)) ? base.filter(k => !keys.includes(k)) : [...base, ...keys.filter(k => !base.includes(k))]; }); }
   function selectAll(){ setSelectedCaps(allCaps.map(c=>c.key)); }
   function clearAll(){ setSelectedCaps([]); }
-  function setAnswer(capKey, qIndex, level){
-    setAnswersByCap(prev => ({
-      ...prev,
-      [capKey]: { ...(prev[capKey] || {}), [qIndex]: level }
-    }));
+  function setTarget(capKey, level){ setTargets(prev => { const next = { ...prev }; if (level) next[capKey] = level; else delete next[capKey]; return next; }); }
+  function setAllTargets(level){ setTargets(level ? Object.fromEntries(selectedCapsSafe.map(k => [k, level])) : {}); }
+  function setAnswer(capKey, qId, level){
+    setAnswersByCap(prev => {
+      const cur = prev[capKey]?.[qId];
+      return { ...prev, [capKey]: { ...(prev[capKey] || {}), [qId]: hasAnswerDetails(cur) ? { ...cur, level } : level } };
+    });
+  }
+  // Merge note/evidence/confidence into an answer; falls back to the bare level once details are cleared
+  function setAnswerDetails(capKey, qId, patch){
+    setAnswersByCap(prev => {
+      const cur = prev[capKey]?.[qId];
+      const next = { ...(cur && typeof cur === "object" ? cur : { level: cur }), ...patch };
+      Object.keys(next).forEach(k => (next[k] === undefined || next[k] === "" || (Array.isArray(next[k]) && !next[k].length)) && delete next[k]);
+      const byQ = { ...(prev[capKey] || {}) };
+      if (hasAnswerDetails(next)) byQ[qId] = next; else if (next.level) byQ[qId] = next.level; else delete byQ[qId];
+      return { ...prev, [capKey]: byQ };
+    });
   }
 
   // Derived helpers for Assessment focus
   const currentCap = allCaps.find(c => c.key === currentCapKey) || null;
   const currentTotalQ = currentCap ? currentCap.questions.length : 0;
-  const currentAnswered = currentCap ? Object.keys(answersByCap[currentCapKey] || {}).length : 0;
+  const currentAnswered = currentCap ? Object.values(answersByCap[currentCapKey] || {}).filter(a => answerLevel(a)).length : 0;
   const gotoPrev = () => {
     if (!selectedCapsSafe.length) return;
     const idx = selectedCapsSafe.indexOf(currentCapKey);
@@ -405,63 +1797,154 @@ export default function App() {
             <img src="/Logo black-2.svg" alt="Costra" className="w-10 h-10 object-contain" onError={(e)=>{e.currentTarget.outerHTML='C';}} />
           </div>
           {/* Left nav: Setup / Assessment / Report */}
+          {shareToken ? (
           <div className="flex items-center gap-2">
-            <Button onClick={()=>setActiveTab("setup")} className={activeTab==="setup" ? "bg-white" : ""}>Setup</Button>
-            <Button onClick={()=>setActiveTab("assessment")} className={activeTab==="assessment" ? "bg-white" : ""}>Assessment</Button>
-            <Button onClick={()=>setActiveTab("report")} className={activeTab==="report" ? "bg-white" : ""}>Report</Button>
+            <Button className="bg-white">{t("Report")}</Button>
+            <span className="text-xs px-2 py-1 rounded-full bg-amber-100 text-amber-800">{t("Shared · read-only")}</span>
           </div>
+          ) : (
+          <div className="flex items-center gap-2">
+            <Button onClick={()=>setActiveTab("customers")} className={activeTab==="customers" ? "bg-white" : ""}>{t("Customers")}</Button>
+            <Button onClick={()=>setActiveTab("setup")} className={activeTab==="setup" ? "bg-white" : ""}>{t("Setup")}</Button>
+            <Button onClick={()=>setActiveTab("assessment")} className={activeTab==="assessment" ? "bg-white" : ""}>{t("Assessment")}</Button>
+            <Button onClick={()=>setActiveTab("report")} className={activeTab==="report" ? "bg-white" : ""}>{t("Report")}</Button>
+            <Button onClick={()=>setActiveTab("compare")} className={activeTab==="compare" ? "bg-white" : ""}>{t("Compare")}</Button>
+          </div>
+          )}
           <div className="min-w-0 ml-4">
             <h1 className="text-lg font-semibold truncate">{APP_NAME}</h1>
-            <p className="text-xs text-gray-500 truncate">{model ? `Model: ${model.version || MODEL_VERSION_FALLBACK} (${modelSource})` : "No model loaded — use Admin to import"}</p>
+            <p className="text-xs text-gray-500 truncate">
+              {model ? t("Model: {version} ({source})", { version: model.version || MODEL_VERSION_FALLBACK, source: modelSource }) : t("No model loaded — use Admin to import")}
+              {shareToken ? ` · ${t("shared link")}` : activeAssessment ? ` · ${activeCustomer?.name || "?"} — ${activeAssessment.title}` : ` · ${t("not saved to a customer")}`}
+              {!shareToken && sync.url && ` · ${syncStatus.state === "error" ? t("offline") : syncStatus.state === "conflict" ? t("sync conflict") : t("synced")}`}
+            </p>
           </div>
           {/* Right: Admin */}
           <div className="ml-auto flex items-center gap-2">
-            <Button onClick={()=>setActiveTab("admin")} className={activeTab==="admin" ? "bg-white" : ""}>Admin</Button>
+            <LocaleSelect value={locales.ui} onChange={ui => onLocales({ ui })} title={t("Language of the app")} model={model} />
+            {shareToken
+              ? <Button onClick={leaveSharedView}>{t("Leave shared view")}</Button>
+              : <Button onClick={()=>setActiveTab("admin")} className={activeTab==="admin" ? "bg-white" : ""}>{t("Admin")}</Button>}
           </div>
         </div>
       </header>
 
       <main className="max-w-7xl mx-auto px-4 py-4">
+        {syncConflict && activeTab !== "admin" && (
+          <div className="mb-4 text-sm bg-amber-50 border border-amber-200 rounded-2xl px-4 py-2 flex items-center justify-between print:hidden">
+            <span>{t("Sync paused: this assessment was changed both here and on the server.")}</span>
+            <Button onClick={()=>setActiveTab("admin")} className="bg-white text-xs py-1">{t("Resolve")}</Button>
+          </div>
+        )}
         {/* ADMIN (separate tab) */}
         {activeTab==="admin" && (
           <Card>
-            <CardHeader>Admin</CardHeader>
+            <CardHeader>{t("Admin")}</CardHeader>
             <CardBody>
               <div className="grid md:grid-cols-3 gap-4">
                 {/* Mechanics */}
                 <div>
-                  <div className="font-semibold mb-2">Mechanics</div>
+                  <div className="font-semibold mb-2">{t("Mechanics")}</div>
                   <div className="flex flex-wrap gap-2">
-                    <label className="px-3 py-2 rounded-2xl border bg-white cursor-pointer text-sm">Import Model
-                      <input type="file" accept=".json,application/json" className="hidden" onChange={(e)=> e.target.files && e.target.files[0] && importModel(e.target.files[0])} />
+                    <label className="px-3 py-2 rounded-2xl border bg-white cursor-pointer text-sm">{t("Import Model")}
+                      <input type="file" accept=".json,application/json,.xlsx,.xls" className="hidden" onChange={(e)=> e.target.files && e.target.files[0] && importModel(e.target.files[0])} />
                     </label>
-                    <label className="px-3 py-2 rounded-2xl border bg-white cursor-pointer text-sm">Import Answers
+                    <label className="px-3 py-2 rounded-2xl border bg-white cursor-pointer text-sm">{t("Import Answers")}
                       <input type="file" accept=".json,application/json" className="hidden" onChange={(e)=> e.target.files && e.target.files[0] && importAnswers(e.target.files[0])} />
                     </label>
-                    <Button onClick={exportAnswers} className="border-gray-300 bg-white">Export Answers</Button>
-                    <Button onClick={copyAnswers} className="border-gray-300 bg-white">Copy JSON</Button>
-                    <Button onClick={printAnswers} className="border-gray-300 bg-white">Print answers</Button>
+                    <Button onClick={exportModelExcel} className="border-gray-300 bg-white" disabled={!model}>{t("Export Model as Excel")}</Button>
+                    <Button onClick={exportAnswers} className="border-gray-300 bg-white">{t("Export Answers")}</Button>
+                    <Button onClick={copyAnswers} className="border-gray-300 bg-white">{t("Copy JSON")}</Button>
+                    <Button onClick={()=>exportResultsCSV("Answers")} className="border-gray-300 bg-white" disabled={!report}>{t("Answers CSV")}</Button>
+                    <Button onClick={()=>exportResultsCSV("Capabilities")} className="border-gray-300 bg-white" disabled={!report}>{t("Capability scores CSV")}</Button>
+                    <Button onClick={()=>exportResultsCSV("Lenses")} className="border-gray-300 bg-white" disabled={!report}>{t("Lens scores CSV")}</Button>
+                    <Button onClick={exportResultsXLSX} className="border-gray-300 bg-white" disabled={!report}>{t("Results XLSX")}</Button>
+                    <Button onClick={printAnswers} className="border-gray-300 bg-white">{t("Print answers")}</Button>
+                    <Button onClick={downloadPdf} className="border-gray-300 bg-white" disabled={!report}>{t("Download PDF")}</Button>
+                    <Button onClick={downloadPptx} className="border-gray-300 bg-white" disabled={!report}>{t("Export to PowerPoint")}</Button>
                   </div>
+
+                  {/* Active weighting profile */}
+                  {model && (() => {
+                    const wt = getWeighting(model);
+                    const rows = [[t("Capability"), wt.capabilities], [t("Lens"), wt.lenses], [t("Report group"), wt.report_groups]]
+                      .flatMap(([kind, map]) => Object.entries(map).map(([k, v]) => ({ kind, k, v })));
+                    return (
+                      <div className="mt-4 text-xs bg-gray-50 border rounded-xl p-3">
+                        <div className="font-semibold mb-1">{t("Scoring weights")} · {wt.profile}</div>
+                        {!rows.length ? (
+                          <div className="text-gray-600">{wt.isDefault ? t("The model declares no weights; every capability, lens and group counts equally.") : t("All weights are 1.")}</div>
+                        ) : (
+                          <ul className="space-y-0.5 max-h-32 overflow-auto">
+                            {rows.map(r => <li key={`${r.kind}-${r.k}`}><span className="text-gray-500">{r.kind}</span> {r.k}: <b>×{r.v}</b></li>)}
+                          </ul>
+                        )}
+                      </div>
+                    );
+                  })()}
+
+                  {/* Result of the last model validation (import or auto-load) */}
+                  {modelIssues && (
+                    <div className={`mt-4 text-xs rounded-xl p-3 border ${modelIssues.errors.length ? "bg-red-50 border-red-200" : "bg-amber-50 border-amber-200"}`}>
+                      <div className="flex items-center justify-between mb-1">
+                        <span className="font-semibold">{t("Model validation")} · {modelIssues.source}</span>
+                        <button className="text-gray-500 hover:text-black" onClick={()=>setModelIssues(null)}>×</button>
+                      </div>
+                      <div className="text-gray-700 mb-1">
+                        {modelIssues.errors.length ? t("{n} error(s) — model not loaded", { n: modelIssues.errors.length }) : t("Model loaded")} · {t("{n} warning(s)", { n: modelIssues.warnings.length })}
+                      </div>
+                      <ul className="space-y-0.5 max-h-48 overflow-auto">
+                        {modelIssues.errors.map((x, i) => (
+                          <li key={`e-${i}`} className="text-red-700"><code>{x.path}</code> {x.message}</li>
+                        ))}
+                        {modelIssues.warnings.map((x, i) => (
+                          <li key={`w-${i}`} className="text-amber-800"><code>{x.path}</code> {x.message}</li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  {/* Result of the last answer migration (model change, import, restore) */}
+                  {migration && (
+                    <div className="mt-4 text-xs bg-amber-50 border border-amber-200 rounded-xl p-3">
+                      <div className="flex items-center justify-between mb-1">
+                        <span className="font-semibold">{t("Answer migration")} · {migration.source}</span>
+                        <button className="text-gray-500 hover:text-black" onClick={()=>setMigration(null)}>×</button>
+                      </div>
+                      <div className="text-gray-700 mb-1">
+                        {t("{kept} kept · {remapped} remapped · {dropped} dropped · {orphaned} orphaned", { kept: migration.report.kept.length, remapped: migration.report.remapped.length, dropped: migration.report.dropped.length, orphaned: migration.report.orphaned.length })}
+                      </div>
+                      <ul className="space-y-0.5 max-h-40 overflow-auto">
+                        {["remapped", "dropped", "orphaned"].flatMap(kind => migration.report[kind].map((r, i) => (
+                          <li key={`${kind}-${i}`}>
+                            <span className="font-medium">{t(kind)}</span> {r.capKey}/{r.key}{r.id && r.id !== r.key ? ` → ${r.id}` : ""} ({r.level}){r.reason ? ` — ${r.reason}` : ""}
+                          </li>
+                        )))}
+                      </ul>
+                    </div>
+                  )}
                 </div>
 
                 {/* Changelog */}
                 <div>
-                  <div className="font-semibold mb-2">Changelog</div>
+                  <div className="font-semibold mb-2">{t("Changelog")}</div>
                   <div className="text-sm bg-gray-50 rounded-xl p-4 border">
                     <div className="flex items-center gap-2 mb-2">
                       <span className="px-2 py-0.5 rounded-full text-white bg-black text-xs">V1.3</span>
-                      <span className="text-xs text-gray-500">Updated {new Date().toLocaleDateString()}</span>
+                      <span className="text-xs text-gray-500">{t("Updated {date}", { date: new Date().toLocaleDateString(locales.ui) })}</span>
                     </div>
-                    <div className="text-gray-800 font-medium mb-1">What changed</div>
+                    <div className="text-gray-800 font-medium mb-1">{t("What changed")}</div>
                     <ul className="list-disc pl-5 space-y-1 text-gray-700">
-                      <li>Admin split into a <b>separate tab</b>.</li>
-                      <li><b>Setup</b> meta fields (date, customer, assessor@costra.io) and clearer CTAs.</li>
-                      <li><b>Assessment</b> per capability with <i>Prev/Next</i> navigation.</li>
-                      <li><b>Report</b>: multi‑color lens bars, <b>SVG spider</b>, and a printable <b>maturity thermometer</b>.</li>
-                      <li><b>Lens insights</b>: overall lens trend across all capabilities + capability picker to zoom in.</li>
-                      <li><b>Snapshots</b> (save/restore/delete) in localStorage; export now includes <code>appName</code>.</li>
-                      <li><b>Branding</b>: Costra + optional partner logo; footer renders <i>Powered by Costra together with Partner</i> (only when partner is set).</li>
-                      <li>Cleaner print layout and minor UI polish.</li>
+                      {[
+                        [t("Admin"), t("split into a separate tab.")],
+                        [t("Setup"), t("meta fields (date, customer, assessor@costra.io) and clearer calls to action.")],
+                        [t("Assessment"), t("per capability with Previous/Next navigation.")],
+                        [t("Report"), t("multi-colour lens bars, an SVG spider and a printable maturity thermometer.")],
+                        [t("Lens insights"), t("overall lens trend across all capabilities, plus a capability picker to zoom in.")],
+                        [t("Snapshots"), t("save, restore and delete in browser storage; the export now includes appName.")],
+                        [t("Branding"), t("Costra plus an optional partner logo; the footer reads “Powered by Costra together with Partner” only when a partner is set.")],
+                        [t("Print"), t("cleaner layout and minor UI polish.")],
+                      ].map(([label, text]) => <li key={label}><b>{label}</b>: {text}</li>)}
                     </ul>
                   </div>
                 </div>
@@ -469,29 +1952,30 @@ export default function App() {
                 {/* Snapshots + Dev tests */}
                 <div>
                   <div className="flex items-center justify-between mb-2">
-                    <div className="font-semibold">Cache history</div>
-                    <Button onClick={saveSnapshot}>Save snapshot</Button>
+                    <div className="font-semibold">{t("Cache history")}</div>
+                    <Button onClick={saveSnapshot}>{t("Save snapshot")}</Button>
                   </div>
                   <table className="w-full text-xs border rounded-2xl overflow-hidden mb-4">
                     <thead className="bg-gray-50">
                       <tr>
-                        <th className="p-2 text-left">Date/Time</th>
-                        <th className="p-2 text-left">Version</th>
-                        <th className="p-2 text-left">Customer</th>
-                        <th className="p-2 text-left">Assessor</th>
+                        <th className="p-2 text-left">{t("Date/Time")}</th>
+                        <th className="p-2 text-left">{t("Version")}</th>
+                        <th className="p-2 text-left">{t("Customer")}</th>
+                        <th className="p-2 text-left">{t("Assessor")}</th>
                         <th className="p-2"></th>
                       </tr>
                     </thead>
                     <tbody>
-                      {loadSnapshots().map(row => (
+                      {snapshots.map(row => (
                         <tr key={row.id} className="odd:bg-white even:bg-gray-50">
                           <td className="p-2 whitespace-nowrap">{prettyDate(row.ts)}</td>
                           <td className="p-2">{row.version}</td>
                           <td className="p-2">{row.customer}</td>
                           <td className="p-2">{row.assessor}</td>
                           <td className="p-2 text-right">
-                            <Button onClick={()=>restoreSnapshot(row.id)} className="mr-2">Restore</Button>
-                            <Button onClick={()=>deleteSnapshot(row.id)} className="border-red-300 text-red-600 bg-white">Delete</Button>
+                            <Button onClick={()=>restoreSnapshot(row.id)} className="mr-2">{t("Restore")}</Button>
+                            <Button onClick={()=>{ setCompareA(`snap:${row.id}`); setCompareB("current"); setActiveTab("compare"); }} className="mr-2">{t("Compare")}</Button>
+                            <Button onClick={()=>deleteSnapshot(row.id)} className="border-red-300 text-red-600 bg-white">{t("Delete")}</Button>
                           </td>
                         </tr>
                       ))}
@@ -500,11 +1984,11 @@ export default function App() {
 
                   {/* Dev tests output */}
                   <div className="text-xs">
-                    <div className="font-semibold mb-1">Dev self-tests</div>
+                    <div className="font-semibold mb-1">{t("Dev self-tests")}</div>
                     <ul className="space-y-1">
-                      {runDevTests().map((t,i)=> (
-                        <li key={i} className={t.pass?"text-green-700":"text-red-700"}>
-                          {t.pass ? "✓" : "✗"} {t.name}{t.msg?`: ${t.msg}`:""}
+                      {runDevTests(model).map((test,i)=> (
+                        <li key={i} className={test.pass?"text-green-700":"text-red-700"}>
+                          {test.pass ? "✓" : "✗"} {test.name}{test.msg?`: ${test.msg}`:""}
                         </li>
                       ))}
                     </ul>
@@ -512,65 +1996,301 @@ export default function App() {
                 </div>
               </div>
 
+              {/* Model editor */}
+              <div className="mt-6">
+                <div className="flex items-center justify-between mb-2">
+                  <div className="font-semibold">{t("Model editor")}</div>
+                  {!modelDraft && <Button onClick={()=>setModelDraft(model)} className="border-gray-300 bg-white" disabled={!model}>{t("Edit model")}</Button>}
+                </div>
+                {modelDraft
+                  ? <ModelEditor model={model} draft={modelDraft} onChange={setModelDraft} onApply={applyModelDraft} onClose={()=>setModelDraft(null)} />
+                  : <div className="text-xs text-gray-600">{t("Add, reorder and delete capabilities and questions, and edit lenses, option texts and scores, without editing model.json by hand. The result is downloaded as a new model file.")}</div>}
+              </div>
+
               {/* Branding */}
               <div className="mt-6">
-                <div className="font-semibold mb-2">Branding</div>
+                <div className="font-semibold mb-2">{t("Branding")}</div>
                 <div className="grid md:grid-cols-2 gap-4">
                   <div>
-                    <div className="text-sm font-medium mb-1">Costra logo</div>
+                    <div className="text-sm font-medium mb-1">{t("Costra logo")}</div>
                     <div className="flex items-center gap-3">
-                      <label className="px-3 py-2 rounded-2xl border bg-white cursor-pointer text-sm">Upload
+                      <label className="px-3 py-2 rounded-2xl border bg-white cursor-pointer text-sm">{t("Upload")}
                         <input type="file" accept="image/*" className="hidden" onChange={(e)=> e.target.files && e.target.files[0] && onLogoFile('costraLogo', e.target.files[0])} />
                       </label>
                       <img src={brand.costraLogo || '/Logo black-2.svg'} alt="Costra" className="h-8 object-contain" />
-                      {brand.costraLogo && (<Button onClick={()=>removeLogo('costraLogo')} className="border-gray-300 bg-white">Clear</Button>)}
+                      {brand.costraLogo && (<Button onClick={()=>removeLogo('costraLogo')} className="border-gray-300 bg-white">{t("Clear")}</Button>)}
                     </div>
                   </div>
                   <div>
-                    <div className="text-sm font-medium mb-1">Partner logo</div>
+                    <div className="text-sm font-medium mb-1">{t("Partner logo")}</div>
                     <div className="flex items-center gap-3">
-                      <label className="px-3 py-2 rounded-2xl border bg-white cursor-pointer text-sm">Upload
+                      <label className="px-3 py-2 rounded-2xl border bg-white cursor-pointer text-sm">{t("Upload")}
                         <input type="file" accept="image/*" className="hidden" onChange={(e)=> e.target.files && e.target.files[0] && onLogoFile('partnerLogo', e.target.files[0])} />
                       </label>
                       {brand.partnerLogo ? (
                         <img src={brand.partnerLogo} alt="Partner" className="h-8 object-contain" />
                       ) : (
-                        <span className="text-xs text-gray-500">No partner logo</span>
+                        <span className="text-xs text-gray-500">{t("No partner logo")}</span>
                       )}
-                      {brand.partnerLogo && (<Button onClick={()=>removeLogo('partnerLogo')} className="border-gray-300 bg-white">Clear</Button>)}
+                      {brand.partnerLogo && (<Button onClick={()=>removeLogo('partnerLogo')} className="border-gray-300 bg-white">{t("Clear")}</Button>)}
                     </div>
                   </div>
                 </div>
-                <div className="text-xs text-gray-600 mt-2">Logos are stored locally in your browser and used in the footer.</div>
+                <div className="text-xs text-gray-600 mt-2">{t("Logos are stored locally in your browser and used in the footer.")}</div>
+              </div>
+
+              {/* Benchmark */}
+              <div className="mt-6">
+                <div className="font-semibold mb-2">{t("Benchmark")}</div>
+                <div className="flex flex-wrap items-center gap-2">
+                  <label className="px-3 py-2 rounded-2xl border bg-white cursor-pointer text-sm">{t("Import benchmark")}
+                    <input type="file" accept=".json,application/json" className="hidden" onChange={(e)=> { e.target.files && e.target.files[0] && importBenchmark(e.target.files[0]); e.target.value = ""; }} />
+                  </label>
+                  <label className={`px-3 py-2 rounded-2xl border bg-white text-sm ${model ? "cursor-pointer" : "opacity-50 cursor-not-allowed"}`}>{t("Build from a folder of answer files")}
+                    <input type="file" webkitdirectory="" multiple disabled={!model} className="hidden" onChange={(e)=> { e.target.files?.length && buildBenchmarkFromFiles(e.target.files); e.target.value = ""; }} />
+                  </label>
+                  {benchmark && <Button onClick={removeBenchmark} className="border-red-300 text-red-600 bg-white text-sm">{t("Remove")}</Button>}
+                </div>
+                <div className="text-xs text-gray-600 mt-2">
+                  {benchmark
+                    ? t("{name} · {segments} segment(s) · model {version} · created {date}", { name: benchmark.name, segments: benchmark.segments.length, version: benchmark.modelVersion || "?", date: prettyDate(benchmark.createdAt) })
+                    : t("No benchmark loaded. Building one scores every exported answer file on the current model and keeps only aggregates (median and quartiles, plus minimum and maximum from {range} customers) for groups of at least {min} customers.", { min: MIN_PEERS, range: RANGE_MIN_PEERS })}
+                </div>
+              </div>
+
+              {/* Server sync (optional) */}
+              <div className="mt-6">
+                <div className="font-semibold mb-2">{t("Server sync")}</div>
+                <div className="flex flex-wrap items-center gap-2">
+                  <input type="text" placeholder="http://localhost:8787" className="border rounded-xl px-3 py-2 text-sm w-72" value={syncForm.url} disabled={!!sync.url} onChange={e=>setSyncForm(f => ({ ...f, url: e.target.value }))} />
+                  <input type="password" placeholder={t("Access token (optional)")} className="border rounded-xl px-3 py-2 text-sm w-56" value={syncForm.token} disabled={!!sync.url} onChange={e=>setSyncForm(f => ({ ...f, token: e.target.value }))} />
+                  {sync.url ? (
+                    <>
+                      <Button onClick={()=>syncActiveAssessment({ stash: true })} disabled={syncStatus.state === "syncing" || !!syncConflict}>{t("Sync now")}</Button>
+                      <Button onClick={loadServerAssessments} className="border-gray-300 bg-white">{t("Assessments on the server")}</Button>
+                      <Button onClick={disconnectServer} className="border-red-300 text-red-600 bg-white">{t("Disconnect")}</Button>
+                    </>
+                  ) : (
+                    <Button onClick={connectServer} disabled={!syncForm.url.trim() || syncStatus.state === "checking"}>{t("Connect")}</Button>
+                  )}
+                </div>
+                <div className={`text-xs mt-2 ${syncStatus.state === "error" ? "text-red-600" : "text-gray-600"}`}>
+                  {syncStatus.state === "off" && t("Not connected. Everything is stored in this browser only; connect to a sync server (npm run server) to continue assessments from another browser or with colleagues.")}
+                  {syncStatus.state === "checking" && t("Connecting…")}
+                  {syncStatus.state === "syncing" && t("Syncing…")}
+                  {syncStatus.state === "ok" && (syncStatus.at ? t("Connected · last synced {date}", { date: prettyDate(syncStatus.at) }) : t("Connected"))}
+                  {syncStatus.state === "conflict" && t("Sync paused: resolve the conflicts below.")}
+                  {syncStatus.state === "error" && t("Sync failed: {error} Your work is kept in this browser.", { error: syncStatus.message })}
+                  {sync.url && !activeAssessment && ` · ${t("Open or save an assessment to sync it.")}`}
+                </div>
+
+                {syncConflict && (() => {
+                  const a = workspace.assessments.find(x => x.id === syncConflict.assessmentId);
+                  const { conflicts } = syncConflictMerge() || { conflicts: [] };
+                  return (
+                    <div className="mt-3 text-sm bg-amber-50 border border-amber-200 rounded-xl p-3">
+                      <div className="font-semibold text-amber-800">{t("Changed both here and on the server: “{title}”", { title: a?.title || "?" })}</div>
+                      <div className="text-xs text-gray-600 mb-2">{t("Everything else was merged. Choose which version to keep for each of these {n} value(s).", { n: conflicts.length })}</div>
+                      <table className="w-full text-xs mb-2">
+                        <thead><tr className="text-left text-gray-500"><th className="p-1"></th><th className="p-1">{t("This browser")}</th><th className="p-1">{t("Server")}</th></tr></thead>
+                        <tbody>
+                          {conflicts.map(c => {
+                            const side = syncConflict.choices[c.key] || "mine";
+                            return (
+                              <tr key={c.key} className="border-t border-amber-200 align-top">
+                                <td className="p-1">{syncPathLabel(c.path)}</td>
+                                {["mine", "theirs"].map(s => (
+                                  <td key={s} className="p-1">
+                                    <label className="flex items-start gap-1 cursor-pointer">
+                                      <input type="radio" name={c.key} checked={side === s} onChange={()=>chooseConflict(c.key, s)} />
+                                      <span>{syncValueLabel(c[s])}</span>
+                                    </label>
+                                  </td>
+                                ))}
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                      <div className="flex flex-wrap gap-2">
+                        <Button onClick={()=>chooseAllConflicts("mine")} className="border-gray-300 bg-white text-xs py-1">{t("All from this browser")}</Button>
+                        <Button onClick={()=>chooseAllConflicts("theirs")} className="border-gray-300 bg-white text-xs py-1">{t("All from the server")}</Button>
+                        <Button onClick={resolveSyncConflict} className="bg-black text-white text-xs py-1">{t("Apply and sync")}</Button>
+                      </div>
+                    </div>
+                  );
+                })()}
+
+                {sync.url && serverAssessments && (
+                  serverAssessments.length ? (
+                    <table className="w-full text-sm mt-3">
+                      <thead><tr className="text-left text-gray-500 text-xs"><th className="p-1">{t("Customer")}</th><th className="p-1">{t("Assessment")}</th><th className="p-1">{t("Status")}</th><th className="p-1">{t("Updated")}</th><th className="p-1"></th></tr></thead>
+                      <tbody>
+                        {[...serverAssessments].sort((x, y) => y.updatedAt.localeCompare(x.updatedAt)).map(rec => (
+                          <tr key={rec.id} className={`border-t ${rec.id === workspace.activeId ? "bg-violet-50" : ""}`}>
+                            <td className="p-1">{rec.data.customerName || rec.data.meta?.customer || "?"}</td>
+                            <td className="p-1">{rec.data.title || rec.data.meta?.date || rec.id}</td>
+                            <td className="p-1">{t(rec.data.status || ASSESSMENT_STATUSES[0])}</td>
+                            <td className="p-1 text-xs text-gray-600">{prettyDate(rec.updatedAt)}</td>
+                            <td className="p-1 text-right">
+                              <Button onClick={()=>openServerAssessment(rec)} className="text-xs py-1">{workspace.assessments.some(a => a.id === rec.id) ? t("Open") : t("Copy here and open")}</Button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  ) : <div className="text-xs text-gray-600 mt-3">{t("No assessments on the server yet.")}</div>
+                )}
+              </div>
+
+              {/* Storage */}
+              <div className="mt-6">
+                <div className="font-semibold mb-2">{t("Storage")}</div>
+                <div className="text-sm text-gray-700 space-y-1">
+                  {(() => {
+                    const mb = (b) => typeof b === "number" ? `${(b / 1024 / 1024).toFixed(1)} MB` : "?";
+                    const st = storageStats;
+                    return (
+                      <>
+                        <div>
+                          {st ? st.backend : "…"} · {t("used {used} of {quota}", { used: mb(st?.usage), quota: mb(st?.quota) })}
+                          {typeof st?.usage === "number" && st?.quota ? ` (${((st.usage / st.quota) * 100).toFixed(1)}%)` : ""}
+                          {st?.persisted === true ? ` · ${t("persistent")}` : (st?.persisted === false ? ` · ${t("may be evicted by the browser")}` : "")}
+                        </div>
+                        <div className="text-xs text-gray-500">
+                          {lastAutosave ? t("Assessment autosaved {date}", { date: prettyDate(lastAutosave) }) : t("Not autosaved yet")} · {t("{n} snapshot(s)", { n: snapshots.length })} · {t("{n} workspace assessment(s)", { n: workspace.assessments.length })}
+                        </div>
+                      </>
+                    );
+                  })()}
+                  {storageErrors.length > 0 && (
+                    <div className="mt-2 text-xs bg-red-50 border border-red-200 rounded-xl p-3">
+                      <div className="flex items-center justify-between mb-1">
+                        <span className="font-semibold text-red-700">{t("Storage errors")}</span>
+                        <button className="text-gray-500 hover:text-black" onClick={()=>setStorageErrors([])}>×</button>
+                      </div>
+                      <ul className="space-y-0.5">
+                        {storageErrors.map((x, i) => <li key={i}><span className="text-gray-500">{prettyDate(x.ts)}</span> {describeStorageError(x.error, t)}</li>)}
+                      </ul>
+                    </div>
+                  )}
+                </div>
               </div>
 
             </CardBody>
           </Card>
         )}
 
+        {/* CUSTOMERS (workspace) */}
+        {activeTab==="customers" && (
+          <>
+            <Card className="mb-4">
+              <CardHeader>{t("Customers")}</CardHeader>
+              <CardBody>
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <input type="text" placeholder={t("Customer name")} className="border rounded-xl px-3 py-2" value={newCustomerName} onChange={e=>setNewCustomerName(e.target.value)} onKeyDown={e=>{ if (e.key === "Enter") createCustomer(); }} />
+                  <Button onClick={createCustomer} disabled={!newCustomerName.trim()}>{t("Add customer")}</Button>
+                  {hasUnsavedWork() && <Button onClick={saveWorkToWorkspace} className="border-amber-300 bg-amber-50">{t("Save current work to “{customer}”", { customer: meta.customer || t("Unnamed customer") })}</Button>}
+                  {activeAssessment && <Button onClick={closeAssessment} className="ml-auto">{t("Close active assessment")}</Button>}
+                </div>
+                {!workspace.customers.length && <div className="text-sm text-gray-600 mt-3">{t("No customers yet. Add one, then start an assessment for it.")}</div>}
+              </CardBody>
+            </Card>
+
+            {workspace.customers.map(customer => {
+              const list = customerAssessments(workspace, customer.id);
+              const scored = list.filter(a => typeof a.lastScore === "number");
+              const scale = getMaturityScale(model);
+              const last = scored[scored.length - 1];
+              return (
+                <Card key={customer.id} className="mb-4">
+                  <CardHeader>
+                    <div className="flex items-center gap-3">
+                      <span>{customer.name}</span>
+                      <span className="text-sm font-normal text-gray-500">
+                        {t("{n} assessment(s)", { n: list.length })}{last ? ` · ${t("last {score} / 100 {maturity}", { score: Math.round(last.lastScore), maturity: t(maturityFromScore(last.lastScore, scale).label) })}` : ""}
+                      </span>
+                      <div className="ml-auto flex gap-2">
+                        <Button onClick={()=>newAssessment(customer.id)} className="text-sm bg-white" disabled={!model}>{t("New assessment")}</Button>
+                        <Button onClick={()=>deleteCustomerEntry(customer.id)} className="text-sm border-red-300 text-red-600 bg-white">{t("Delete")}</Button>
+                      </div>
+                    </div>
+                  </CardHeader>
+                  <CardBody>
+                    <div className="grid md:grid-cols-[1fr_auto] gap-4">
+                      <table className="w-full text-sm self-start">
+                        <thead className="text-xs text-gray-500">
+                          <tr><th className="text-left p-1">{t("Assessment")}</th><th className="text-left p-1">{t("Status")}</th><th className="text-right p-1">{t("Score")}</th><th className="text-left p-1">{t("Updated")}</th><th className="p-1"></th></tr>
+                        </thead>
+                        <tbody>
+                          {list.map(a => (
+                            <tr key={a.id} className={`border-t ${a.id === workspace.activeId ? "bg-violet-50" : ""}`}>
+                              <td className="p-1">{a.title}{a.id === workspace.activeId && <span className="ml-2 text-xs text-violet-700">{t("active")}</span>}</td>
+                              <td className="p-1">
+                                <select className="border rounded-lg px-1 py-0.5 text-xs" value={a.status} onChange={e=>setWorkspace(ws => updateAssessment(ws, a.id, { status: e.target.value }))}>
+                                  {ASSESSMENT_STATUSES.map(st => <option key={st} value={st}>{t(st)}</option>)}
+                                </select>
+                              </td>
+                              <td className="p-1 text-right whitespace-nowrap">{typeof a.lastScore === "number" ? `${Math.round(a.lastScore)} ${maturityFromScore(a.lastScore, scale).emoji}` : "–"}</td>
+                              <td className="p-1 text-xs text-gray-500 whitespace-nowrap">{prettyDate(a.updatedAt)}</td>
+                              <td className="p-1 text-right whitespace-nowrap">
+                                <Button onClick={()=>openAssessment(a.id)} className="text-xs py-1 mr-1">{a.id === workspace.activeId ? t("Continue") : t("Open")}</Button>
+                                <Button onClick={()=>deleteAssessmentEntry(a.id)} className="text-xs py-1 border-red-300 text-red-600 bg-white">{t("Delete")}</Button>
+                              </td>
+                            </tr>
+                          ))}
+                          {!list.length && <tr><td colSpan={5} className="p-1 text-gray-500">{t("No assessments yet.")}</td></tr>}
+                        </tbody>
+                      </table>
+                      {scored.length > 0 && (
+                        <div>
+                          <div className="text-xs text-gray-500 mb-1">{t("Overall maturity trend")}</div>
+                          <TrendLite points={scored.map(a => ({ label: a.meta?.date || a.title, value: a.lastScore }))} scale={scale} />
+                        </div>
+                      )}
+                    </div>
+                  </CardBody>
+                </Card>
+              );
+            })}
+          </>
+        )}
+
         {/* SETUP */}
         {activeTab==="setup" && (
           <>
             <Card className="mb-4">
-              <CardHeader>Setup</CardHeader>
+              <CardHeader>{t("Setup")}</CardHeader>
               <CardBody>
                 <div className="grid md:grid-cols-3 gap-3">
-                  <label className="text-sm">Date
+                  <label className="text-sm">{t("Date")}
                     <input type="date" className="mt-1 w-full border rounded-xl px-3 py-2" value={meta.date} onChange={e=>setMeta(m=>({...m, date:e.target.value}))} />
                   </label>
-                  <label className="text-sm">Customer
-                    <input type="text" placeholder="the one who will give his cloud bill nightmares" className="mt-1 w-full border rounded-xl px-3 py-2" value={meta.customer} onChange={e=>setMeta(m=>({...m, customer:e.target.value}))} />
+                  <label className="text-sm">{t("Customer")}
+                    <input type="text" placeholder={t("the one who will give his cloud bill nightmares")} className="mt-1 w-full border rounded-xl px-3 py-2" value={meta.customer} onChange={e=>setMeta(m=>({...m, customer:e.target.value}))} />
                   </label>
-                  <label className="text-sm">Assessment taken by
+                  <label className="text-sm">{t("Assessment taken by")}
                     <div className="mt-1 flex items-center border rounded-xl overflow-hidden">
-                      <input type="text" placeholder="voornaam.naam" className="flex-1 px-3 py-2 outline-none" value={meta.assessor} onChange={e=>setMeta(m=>({...m, assessor:e.target.value}))} />
+                      <input type="text" placeholder={t("firstname.lastname")} className="flex-1 px-3 py-2 outline-none" value={meta.assessor} onChange={e=>setMeta(m=>({...m, assessor:e.target.value}))} />
                       <span className="px-3 py-2 text-gray-500 bg-gray-50 border-l">@costra.io</span>
                     </div>
                   </label>
+                  <label className="text-sm">{t("Industry")}
+                    <select className="mt-1 w-full border rounded-xl px-3 py-2" value={meta.industry || ""} onChange={e=>setMeta(m=>({...m, industry:e.target.value}))}>
+                      <option value="">–</option>
+                      {INDUSTRIES.map(x => <option key={x} value={x}>{t(x)}</option>)}
+                    </select>
+                  </label>
+                  <label className="text-sm">{t("Company size")}
+                    <select className="mt-1 w-full border rounded-xl px-3 py-2" value={meta.size || ""} onChange={e=>setMeta(m=>({...m, size:e.target.value}))}>
+                      <option value="">–</option>
+                      {COMPANY_SIZES.map(x => <option key={x} value={x}>{t(x)}</option>)}
+                    </select>
+                  </label>
                 </div>
 
                 <div className="mt-4">
-                  <p className="text-gray-700 mb-3">This assessment follows the guidelines of the FinOps Foundation.</p>
+                  <p className="text-gray-700 mb-3">{t("This assessment follows the guidelines of the FinOps Foundation.")}</p>
                   <div className="flex flex-wrap gap-3">
                     <a href="https://www.finops.org/" target="_blank" rel="noreferrer" className="px-4 py-2 rounded-xl text-white bg-violet-600 hover:bg-violet-700">FinOps Foundation</a>
                     <a href="https://www.costra.io/" target="_blank" rel="noreferrer" className="px-4 py-2 rounded-xl text-white bg-black hover:bg-gray-800">Costra</a>
@@ -579,32 +2299,114 @@ export default function App() {
               </CardBody>
             </Card>
 
+            <Card className="mb-4">
+              <CardHeader>{t("Respondents")}</CardHeader>
+              <CardBody>
+                <p className="text-sm text-gray-600 mb-3">
+                  {t("Let finance, engineering, procurement and others answer separately; each respondent has their own answers and the Report combines them.")}
+                  {!respondents.length && " " + t("Without respondents the assessment has a single set of answers.")}
+                </p>
+                {respondents.length > 0 && (
+                  <table className="w-full text-sm mb-3">
+                    <thead>
+                      <tr className="text-left text-gray-500 border-b">
+                        <th className="py-1 pr-2">{t("Name")}</th>
+                        <th className="py-1 pr-2">{t("Role")}</th>
+                        <th className="py-1 pr-2">{t("Answered")}</th>
+                        <th className="py-1"></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {allRespondents.map(r => (
+                        <tr key={r.id} className={`border-b ${r.id === activeRespondentId ? "bg-violet-50" : ""}`}>
+                          <td className="py-1 pr-2"><input className="border rounded-xl px-2 py-1 w-full" value={r.name} onChange={e=>updateRespondent(r.id, { name: e.target.value })} /></td>
+                          <td className="py-1 pr-2">
+                            <select className="border rounded-xl px-2 py-1" value={r.role} onChange={e=>updateRespondent(r.id, { role: e.target.value })}>
+                              {ROLES.map(x => <option key={x} value={x}>{t(x)}</option>)}
+                            </select>
+                          </td>
+                          <td className="py-1 pr-2">{answeredCount(r)}</td>
+                          <td className="py-1 text-right whitespace-nowrap">
+                            {r.id === activeRespondentId
+                              ? <span className="text-xs text-violet-700 mr-2">{t("answering now")}</span>
+                              : <Button onClick={()=>switchRespondent(r.id)} className="bg-white text-xs mr-2">{t("Answer as")}</Button>}
+                            <Button onClick={()=>removeRespondent(r.id)} className="bg-white text-xs">{t("Remove")}</Button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+                <div className="flex flex-wrap items-center gap-2">
+                  <input type="text" placeholder={t("Respondent name")} className="border rounded-xl px-3 py-2 text-sm" value={newRespondentName} onChange={e=>setNewRespondentName(e.target.value)} onKeyDown={e=>e.key==="Enter" && addRespondent()} />
+                  <select className="border rounded-xl px-3 py-2 text-sm" value={newRespondentRole} onChange={e=>setNewRespondentRole(e.target.value)}>
+                    {ROLES.map(x => <option key={x} value={x}>{t(x)}</option>)}
+                  </select>
+                  <Button onClick={addRespondent} className="bg-white text-sm" disabled={!newRespondentName.trim()}>{t("Add respondent")}</Button>
+                  <Button onClick={copyRespondentLink} className="bg-white text-sm ml-auto" disabled={!model}>{t("Copy respondent link")}</Button>
+                </div>
+              </CardBody>
+            </Card>
+
             <Card>
-              <CardHeader>Select capabilities</CardHeader>
+              <CardHeader>{t("Select capabilities")}</CardHeader>
               <CardBody>
                 {!model && (
                   <div className="text-sm text-gray-600">
-                    No model loaded. Open <b>Admin</b> and use <i>Import Model</i> to load a questionnaire.
+                    {t("No model loaded. Open Admin and use Import Model to load a questionnaire.")}
                   </div>
                 )}
                 {model && (
                   <>
                     <div className="mb-2 flex items-center gap-2 text-sm">
-                      <Button onClick={selectAll}>Select all</Button>
-                      <Button onClick={clearAll}>Clear</Button>
-                      <span className="text-gray-500">{selectedCapsSafe.length} / {allCaps.length} selected</span>
+                      <Button onClick={selectAll}>{t("Select all")}</Button>
+                      <Button onClick={clearAll}>{t("Clear")}</Button>
+                      <span className="text-gray-500">{t("{n} / {total} selected", { n: selectedCapsSafe.length, total: allCaps.length })}</span>
+                      <label className="ml-auto text-gray-600">{t("Target for all")}
+                        <select className="ml-2 border rounded-xl px-2 py-1" value="" onChange={e=>setAllTargets(e.target.value === "-" ? "" : e.target.value)}>
+                          <option value="" disabled>{t("choose…")}</option>
+                          <option value="-">{t("No target")}</option>
+                          {LEVELS.map(l => <option key={l} value={l}>{t(l)}</option>)}
+                        </select>
+                      </label>
                     </div>
-                    <div className="grid md:grid-cols-2 gap-2">
-                      {allCaps.map(cap => (
-                        <label key={cap.key} className={`flex items-start gap-3 p-3 rounded-xl border ${selectedCapsSafe.includes(cap.key) ? "bg-white" : "bg-gray-50"}`}>
-                          <input type="checkbox" className="mt-1" checked={selectedCapsSafe.includes(cap.key)} onChange={()=>toggleCap(cap.key)} />
-                          <div>
-                            <div className="font-medium">{cap.name}</div>
-                            <div className="text-xs text-gray-600">{cap.description || cap.report_group}</div>
+                    {reportGroups(uiModel).map(({ group, caps }) => {
+                      const keys = caps.map(c => c.key), n = keys.filter(k => selectedCapsSafe.includes(k)).length;
+                      return (
+                        <div key={group} className="mb-4">
+                          {group && (
+                            <label className="flex items-center gap-2 mb-2 text-sm font-semibold cursor-pointer">
+                              <input type="checkbox" checked={n === keys.length} ref={el => { if (el) el.indeterminate = n > 0 && n < keys.length; }} onChange={()=>toggleGroup(keys)} />
+                              {t(group)} <span className="text-xs text-gray-500 font-normal">{t("{n} / {total} selected", { n, total: keys.length })}</span>
+                            </label>
+                          )}
+                          <div className="grid md:grid-cols-2 gap-2">
+                            {caps.map(cap => {
+                              const on = selectedCapsSafe.includes(cap.key);
+                              return (
+                                <div key={cap.key} className={`flex items-start gap-3 p-3 rounded-xl border ${on ? "bg-white" : "bg-gray-50"}`}>
+                                  <label className="flex items-start gap-3 flex-1 cursor-pointer">
+                                    <input type="checkbox" className="mt-1" checked={on} onChange={()=>toggleCap(cap.key)} />
+                                    <div>
+                                      <div className="font-medium">{cap.name}</div>
+                                      <div className="text-xs text-gray-600">{cap.description || cap.report_group}</div>
+                                    </div>
+                                  </label>
+                                  {on && (
+                                    <label className="text-xs text-gray-600 shrink-0">{t("Target")}
+                                      <select className="ml-1 border rounded-xl px-2 py-1" value={targets[cap.key] || ""} onChange={e=>setTarget(cap.key, e.target.value)}>
+                                        <option value="">–</option>
+                                        {LEVELS.map(l => <option key={l} value={l}>{t(l)}</option>)}
+                                      </select>
+                                    </label>
+                                  )}
+                                </div>
+                              );
+                            })}
                           </div>
-                        </label>
-                      ))}
-                    </div>
+                        </div>
+                      );
+                    })}
                   </>
                 )}
               </CardBody>
@@ -616,15 +2418,24 @@ export default function App() {
         {activeTab==="assessment" && (
           <>
             {!model && (
-              <Card><CardBody>No model loaded. Use Admin → Import Model.</CardBody></Card>
+              <Card><CardBody>{t("No model loaded. Use Admin → Import Model.")}</CardBody></Card>
             )}
             {model && (
               <>
                 <Card className="mb-4">
-                  <CardHeader>Assessment</CardHeader>
+                  <CardHeader>{t("Assessment")}</CardHeader>
                   <CardBody>
+                    {respondents.length > 0 && (
+                      <div className="flex flex-wrap items-center gap-2 mb-3 text-sm p-2 rounded-xl bg-violet-50">
+                        <label className="text-gray-600">{t("Answering as")}</label>
+                        <select className="border rounded-xl px-3 py-2 bg-white" value={activeRespondentId || ""} onChange={(e)=>switchRespondent(e.target.value)}>
+                          {allRespondents.map(r => <option key={r.id} value={r.id}>{r.name} · {t(r.role)}</option>)}
+                        </select>
+                        <span className="text-gray-500">{t("{n} answers given", { n: activeRespondent ? answeredCount(activeRespondent) : 0 })}</span>
+                      </div>
+                    )}
                     <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
-                      <label className="text-gray-600">Capability</label>
+                      <label className="text-gray-600">{t("Capability")}</label>
                       <select
                         className="border rounded-xl px-3 py-2"
                         value={currentCapKey || ''}
@@ -635,60 +2446,21 @@ export default function App() {
                           return <option key={k} value={k}>{c ? c.name : k}</option>;
                         })}
                       </select>
-                      <Button onClick={gotoPrev}>← Prev</Button>
-                      <Button onClick={gotoNext}>Next →</Button>
-                      <span className="text-gray-500">{currentAnswered} / {currentTotalQ} answered</span>
+                      <Button onClick={gotoPrev}>{t("← Prev")}</Button>
+                      <Button onClick={gotoNext}>{t("Next →")}</Button>
+                      <span className="text-gray-500">{t("{n} / {total} answered", { n: currentAnswered, total: currentTotalQ })}</span>
                     </div>
                     {!currentCap && (
-                      <div className="text-sm text-gray-600">Select at least one capability in Setup.</div>
+                      <div className="text-sm text-gray-600">{t("Select at least one capability in Setup.")}</div>
                     )}
                     {currentCap && (
                       <div className="space-y-3">
-                        {currentCap.questions.map((q, idx) => {
-                          const selectedLevel = answersByCap?.[currentCap.key]?.[idx];
-                          const ls = getLensStyle(q.lens);
+                        {currentCap.questions.map((q) => {
+                          const answer = answersByCap?.[currentCap.key]?.[q.id];
                           return (
-                            <div key={idx} className="p-3 rounded-xl border">
-                              <div className="font-medium">{q.text}</div>
-                              {q.lens ? (
-                                <div className="mb-2">
-                                  <span
-                                    className="inline-flex items-center rounded-full border px-2 py-0.5 text-xs"
-                                    title={selectedLevel || ''}
-                                    style={{ borderColor: ls.color, backgroundColor: ls.tint, color: ls.color }}
-                                  >
-                                    {q.lens}
-                                  </span>
-                                </div>
-                              ) : null}
-                              <div className="space-y-2">
-                                {LEVELS.map(level => {
-                                  const selected = selectedLevel === level;
-                                  return (
-                                    <label key={level} className="block">
-                                      <input
-                                        type="radio"
-                                        name={`q-${currentCap.key}-${idx}`}
-                                        value={level}
-                                        className="hidden"
-                                        onChange={()=>setAnswer(currentCap.key, idx, level)}
-                                        checked={selected}
-                                      />
-                                      <div
-                                        className="rounded-full border px-4 py-3 text-sm transition-colors"
-                                        style={{
-                                          borderColor: selected ? ls.color : "#E5E7EB",
-                                          backgroundColor: selected ? ls.tint : "#FFFFFF",
-                                          color: "#111827",
-                                        }}
-                                      >
-                                        {q.options?.[level] || level}
-                                      </div>
-                                    </label>
-                                  );
-                                })}
-                              </div>
-                            </div>
+                            <QuestionCard key={q.id} q={q} name={`q-${currentCap.key}-${q.id}`} answer={answer} onAnswer={(level)=>setAnswer(currentCap.key, q.id, level)}>
+                              <AnswerDetailsEditor answer={answer} onChange={(patch)=>setAnswerDetails(currentCap.key, q.id, patch)} />
+                            </QuestionCard>
                           );
                         })}
                       </div>
@@ -700,48 +2472,294 @@ export default function App() {
           </>
         )}
 
+        {/* COMPARE */}
+        {activeTab==="compare" && (
+          <>
+            {!model && (
+              <Card><CardBody>{t("No model loaded. Use Admin → Import Model.")}</CardBody></Card>
+            )}
+            {model && (() => {
+              const sources = compareSources();
+              const a = compareA && compareA !== compareB ? resolveCompareSource(compareA) : null;
+              const b = compareB ? resolveCompareSource(compareB) : null;
+              const cmp = a && b ? compareAssessments(uiModel, a, b) : null;
+              const sign = (v) => `${v > 0 ? "+" : ""}${v.toFixed(1)}`;
+              const deltaClass = (v) => v > 0.05 ? "text-green-700" : (v < -0.05 ? "text-red-700" : "text-gray-500");
+              return (
+                <>
+                  <Card className="mb-4">
+                    <CardHeader>{t("Compare assessments")}</CardHeader>
+                    <CardBody>
+                      <div className="grid md:grid-cols-[1fr_1fr_auto] gap-3 items-end text-sm">
+                        <label>{t("A (earlier)")}
+                          <select className="mt-1 w-full border rounded-xl px-3 py-2" value={compareA} onChange={e=>setCompareA(e.target.value)}>
+                            <option value="">{t("Choose…")}</option>
+                            {sources.map(x => <option key={x.id} value={x.id}>{x.label}</option>)}
+                          </select>
+                        </label>
+                        <label>{t("B (later)")}
+                          <select className="mt-1 w-full border rounded-xl px-3 py-2" value={compareB} onChange={e=>setCompareB(e.target.value)}>
+                            <option value="">{t("Choose…")}</option>
+                            {sources.map(x => <option key={x.id} value={x.id}>{x.label}</option>)}
+                          </select>
+                        </label>
+                        <label className="px-3 py-2 rounded-2xl border bg-white cursor-pointer text-sm whitespace-nowrap">{t("Add answers file")}
+                          <input type="file" accept=".json,application/json" className="hidden" onChange={(e)=> { e.target.files && e.target.files[0] && importCompareFile(e.target.files[0]); e.target.value = ""; }} />
+                        </label>
+                      </div>
+                      {!cmp && <div className="text-sm text-gray-600 mt-3">{t("Pick two different snapshots or answer files. Snapshots are saved in")} <b>{t("Admin → Cache history")}</b>.</div>}
+                    </CardBody>
+                  </Card>
+
+                  {cmp && (
+                    <>
+                      <Card className="mb-4">
+                        <CardHeader>{t("Overall")}</CardHeader>
+                        <CardBody>
+                          <div className="flex flex-wrap items-baseline gap-6 text-sm">
+                            <div><div className="text-xs text-gray-500">A · {a.label}</div><div className="text-lg font-semibold">{cmp.overall.a.toFixed(1)} <span className="text-sm font-normal">{t(maturityFromScore(cmp.overall.a, cmp.maturityScale).label)}</span></div></div>
+                            <div><div className="text-xs text-gray-500">B · {b.label}</div><div className="text-lg font-semibold">{cmp.overall.b.toFixed(1)} <span className="text-sm font-normal">{t(maturityFromScore(cmp.overall.b, cmp.maturityScale).label)}</span></div></div>
+                            <div><div className="text-xs text-gray-500">{t("Change")}</div><div className={`text-lg font-semibold ${deltaClass(cmp.overall.delta)}`}>{sign(cmp.overall.delta)}</div></div>
+                          </div>
+                        </CardBody>
+                      </Card>
+
+                      <Card className="mb-4">
+                        <CardHeader>{t("Spider A vs B")}</CardHeader>
+                        <CardBody>
+                          <ChartDownload name={chartName("spider-compare")}>
+                            <SpiderAuto data={cmp.spiderData} labels={{ baseline: "A", total: "B" }} scale={getMaturityScale(uiModel)} />
+                          </ChartDownload>
+                        </CardBody>
+                      </Card>
+
+                      <Card className="mb-4">
+                        <CardHeader>{t("Deltas")}</CardHeader>
+                        <CardBody>
+                          <div className="grid md:grid-cols-2 gap-6">
+                            <table className="w-full text-sm">
+                              <thead className="text-xs text-gray-500"><tr><th className="text-left p-1">{t("Capability")}</th><th className="text-right p-1">A</th><th className="text-right p-1">B</th><th className="text-right p-1">Δ</th></tr></thead>
+                              <tbody>
+                                {cmp.capDeltas.map(d => (
+                                  <tr key={d.capKey} className="border-t">
+                                    <td className="p-1">{d.name}</td>
+                                    <td className="p-1 text-right">{d.a.toFixed(1)}</td>
+                                    <td className="p-1 text-right">{d.b.toFixed(1)}</td>
+                                    <td className={`p-1 text-right font-medium ${deltaClass(d.delta)}`}>{sign(d.delta)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                            <table className="w-full text-sm self-start">
+                              <thead className="text-xs text-gray-500"><tr><th className="text-left p-1">{t("Lens")}</th><th className="text-right p-1">A</th><th className="text-right p-1">B</th><th className="text-right p-1">Δ</th></tr></thead>
+                              <tbody>
+                                {cmp.lensDeltas.map(d => (
+                                  <tr key={d.label} className="border-t">
+                                    <td className="p-1"><span className="inline-block w-2 h-2 rounded-full mr-2" style={{ background: d.color }}></span>{t(d.label)}</td>
+                                    <td className="p-1 text-right">{d.a.toFixed(1)}</td>
+                                    <td className="p-1 text-right">{d.b.toFixed(1)}</td>
+                                    <td className={`p-1 text-right font-medium ${deltaClass(d.delta)}`}>{sign(d.delta)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        </CardBody>
+                      </Card>
+
+                      <Card className="mb-4">
+                        <CardHeader>{t("Changed answers")}</CardHeader>
+                        <CardBody>
+                          {!cmp.questionChanges.length ? (
+                            <div className="text-sm text-gray-600">{t("No question changed level between A and B.")}</div>
+                          ) : (
+                            <table className="w-full text-sm border rounded-xl overflow-hidden">
+                              <thead className="bg-gray-50"><tr><th className="p-2 text-left">{t("Capability")}</th><th className="p-2 text-left">{t("Question")}</th><th className="p-2 text-left">{t("A → B")}</th></tr></thead>
+                              <tbody>
+                                {cmp.questionChanges.map((x, i) => (
+                                  <tr key={i} className="odd:bg-white even:bg-gray-50">
+                                    <td className="p-2 whitespace-nowrap">{x.capability}</td>
+                                    <td className="p-2">{x.question} {x.lens && <span className="text-xs text-gray-500">({t(x.lens)})</span>}</td>
+                                    <td className={`p-2 whitespace-nowrap font-medium ${x.steps > 0 ? "text-green-700" : "text-red-700"}`}>{x.steps > 0 ? "▲" : "▼"} {t(x.from)} → {t(x.to)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          )}
+                        </CardBody>
+                      </Card>
+                    </>
+                  )}
+                </>
+              );
+            })()}
+          </>
+        )}
+
         {/* REPORT */}
         {activeTab==="report" && (
           <>
             {!model && (
-              <Card><CardBody>No model loaded. Use Admin → Import Model.</CardBody></Card>
+              <Card><CardBody>{t("No model loaded. Use Admin → Import Model.")}</CardBody></Card>
+            )}
+            {shared && (
+              <Card className="mb-4 print:hidden"><CardBody>
+                <div className="text-sm">{shared.meta?.customer ? t("Shared report for {customer}", { customer: shared.meta.customer }) : t("Shared report")}{shared.meta?.date ? ` (${shared.meta.date})` : ""} — {t("read-only. Changes are not saved.")} <button className="underline" onClick={leaveSharedView}>{t("Leave shared view")}</button></div>
+                {shareMismatch && <div className="mt-2 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-xl px-3 py-2">{t("This link was made with model {shared}, but model {loaded} is loaded and its questions or scoring differ. Scores below may not match what the sender saw.", { shared: shared.modelVersion || "?", loaded: model.version || MODEL_VERSION_FALLBACK })}</div>}
+              </CardBody></Card>
             )}
             {model && report && (
-              <>
+              <I18n.Provider value={tr}>
                 {/* Maturity thermometer */}
                 <Card className="mb-4">
-                  <CardHeader>Maturity</CardHeader>
+                  <CardHeader>
+                    <div className="flex items-center justify-between">
+                      <span>{tr("Maturity")}</span>
+                      <div className="flex gap-2 print:hidden">
+                        <LocaleSelect value={locales.report} onChange={report => onLocales({ report })} title={t("Language of the report and its exports")} model={model} />
+                        {!shareToken && <Button onClick={shareReport} className="bg-white text-sm">{t("Share link")}</Button>}
+                        <Button onClick={downloadPdf} className="bg-white text-sm">{t("Download PDF")}</Button>
+                        <Button onClick={downloadPptx} className="bg-white text-sm">{t("Export to PowerPoint")}</Button>
+                      </div>
+                    </div>
+                  </CardHeader>
                   <CardBody>
-                    <Thermometer value={report.overallAvgCapScore100} />
+                    <Thermometer value={report.overallAvgCapScore100} scale={report.maturityScale} />
                   </CardBody>
                 </Card>
 
                 {/* Spider */}
                 <Card className="mb-4">
-                  <CardHeader>Spider by capability</CardHeader>
+                  <CardHeader>
+                    <div className="flex items-center justify-between">
+                      <span>{tr("Spider by capability")}</span>
+                      <label className="text-sm font-normal flex items-center gap-2 print:hidden">
+                        <input type="checkbox" checked={spiderByLens} onChange={e=>setSpiderByLens(e.target.checked)} /> {t("Per lens")}
+                      </label>
+                    </div>
+                  </CardHeader>
                   <CardBody>
-                    <SpiderAuto data={report.spiderData} />
+                    <ChartDownload name={chartName(spiderByLens ? "spider-lenses" : "spider")}>
+                      {spiderByLens
+                        ? <SpiderAuto data={report.lensSpiderData} series={LENSES.map((l, i) => ({ field: l, label: tr(l), color: LENS_COLORS[i] }))} scale={report.maturityScale} onAxisClick={(i)=>showCapability(report.capTotals[i].capKey)} />
+                        : <SpiderAuto data={report.spiderData} scale={report.maturityScale} onAxisClick={(i)=>showCapability(report.capTotals[i].capKey)} />}
+                    </ChartDownload>
                   </CardBody>
                 </Card>
 
+                {/* Domains (report_group): score per FinOps domain and a domain spider */}
+                {report.groupTotals.length > 0 && (
+                  <Card className="mb-4 print:break-inside-avoid">
+                    <CardHeader>{tr("Scores by domain")}</CardHeader>
+                    <CardBody>
+                      <div className="grid md:grid-cols-2 gap-6 items-center">
+                        <div className="space-y-3">
+                          {report.groupTotals.map(g => {
+                            const m = maturityFromScore(g.score100, report.maturityScale);
+                            return (
+                              <div key={g.group}>
+                                <div className="flex items-center justify-between text-sm mb-1">
+                                  <span className="font-medium">{tr(g.group)} <span className="text-xs text-gray-500 font-normal">· {tr("{n} capabilities", { n: g.capCount })}</span></span>
+                                  <span className={g.applicable ? "" : "text-gray-400"}>{m.emoji} {tr(m.label)} <span className="text-gray-500 ml-1">{Math.round(g.score100)} / 100</span></span>
+                                </div>
+                                <div className="relative h-3 rounded-full bg-gray-200 overflow-hidden">
+                                  <div className="h-3" style={{ width: `${Math.max(0, Math.min(100, g.score100))}%`, background: domainColor(g.group) }} />
+                                  {g.target100 != null && <div className="absolute top-0 h-3 w-0.5 bg-black" style={{ left: `${Math.min(100, g.target100)}%` }} title={tr("Target")} />}
+                                </div>
+                              </div>
+                            );
+                          })}
+                        </div>
+                        {report.groupSpiderData.length > 2 && (
+                          <ChartDownload name={chartName("spider-domains")}>
+                            <SpiderAuto data={report.groupSpiderData.map(d => ({ ...d, subject: tr(d.subject) }))} scale={report.maturityScale} />
+                          </ChartDownload>
+                        )}
+                      </div>
+                    </CardBody>
+                  </Card>
+                )}
+
+                {/* Peer benchmark: spider against the segment's median and quartiles, percentile per capability */}
+                {benchmark && (() => {
+                  const seg = benchmark.segments.find(x => segmentKey(x) === benchmarkSegment) || pickSegment(benchmark, meta.industry, meta.size);
+                  if (!seg) return null;
+                  const segLabel = (x) => [x.industry, x.size].filter(Boolean).map(v => tr(v)).join(" · ") || tr("All peers");
+                  const rows = report.capTotals.filter(c => c.applicable).map(c => ({ key: c.capKey, label: c.name, value: c.capScore100, stats: seg.capabilities[c.capKey] }));
+                  const lensRows = report.lensOverview.map(l => ({ key: l.label, label: tr(l.label), color: l.color, value: l.value, stats: seg.lenses?.[l.label] }));
+                  const pct = (r) => percentileOf(r.value, r.stats);
+                  const row = (r) => (
+                    <tr key={r.key} className="border-t">
+                      <td className="p-1">{r.color && <span className="inline-block w-2 h-2 rounded-full mr-2" style={{ background: r.color }}></span>}{r.label}</td>
+                      <td className="p-1 text-right font-medium">{Math.round(r.value)}</td>
+                      {r.stats ? <>
+                        <td className="p-1 text-right text-gray-500">{Math.round(r.stats.p25)}</td>
+                        <td className="p-1 text-right text-gray-500">{Math.round(r.stats.median)}</td>
+                        <td className="p-1 text-right text-gray-500">{Math.round(r.stats.p75)}</td>
+                        <td className={`p-1 text-right font-medium ${pct(r) >= 50 ? "text-green-700" : "text-red-700"}`}>P{pct(r)}</td>
+                      </> : <td colSpan={4} className="p-1 text-right text-gray-400">{tr("no peer data")}</td>}
+                    </tr>
+                  );
+                  return (
+                    <Card className="mb-4 print:break-inside-avoid">
+                      <CardHeader>
+                        <div className="flex items-center justify-between">
+                          <span>{tr("Peer benchmark")}</span>
+                          <select className="border rounded-xl px-2 py-1 text-sm font-normal print:hidden" value={benchmarkSegment} onChange={e=>setBenchmarkSegment(e.target.value)} title={t("Peer group")}>
+                            <option value="">{t("Closest to this customer")}</option>
+                            {benchmark.segments.map(x => <option key={segmentKey(x)} value={segmentKey(x)}>{segLabel(x)} ({x.n})</option>)}
+                          </select>
+                        </div>
+                      </CardHeader>
+                      <CardBody>
+                        <div className="text-sm text-gray-600 mb-2">
+                          {tr("{segment} · {n} peers · {name}", { segment: segLabel(seg), n: seg.n, name: benchmark.name })}
+                          {seg.overall && <> · {tr("overall {value} vs. median {median} (P{percentile})", { value: Math.round(report.overallAvgCapScore100), median: Math.round(seg.overall.median), percentile: percentileOf(report.overallAvgCapScore100, seg.overall) })}</>}
+                        </div>
+                        {benchmark.modelVersion && benchmark.modelVersion !== (model.version || MODEL_VERSION_FALLBACK) && (
+                          <div className="mb-2 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-xl px-3 py-2 print:hidden">{t("The benchmark was built on model {benchmark}; model {loaded} is loaded, so some capabilities may not line up.", { benchmark: benchmark.modelVersion, loaded: model.version || MODEL_VERSION_FALLBACK })}</div>
+                        )}
+                        <ChartDownload name={chartName("spider-benchmark")}>
+                          <SpiderAuto data={report.spiderData.map((d, i) => {
+                            const st = seg.capabilities[report.capTotals[i].capKey];
+                            return { subject: d.subject, total: d.total, fullMark: d.fullMark, median: st?.median, p25: st?.p25, p75: st?.p75 };
+                          })} scale={report.maturityScale} onAxisClick={(i)=>showCapability(report.capTotals[i].capKey)} />
+                        </ChartDownload>
+                        <div className="grid md:grid-cols-2 gap-6 mt-4">
+                          {[[tr("Capability"), rows], [tr("Lens"), lensRows]].map(([head, list]) => (
+                            <table key={head} className="w-full text-sm self-start">
+                              <thead className="text-xs text-gray-500">
+                                <tr><th className="text-left p-1">{head}</th><th className="text-right p-1">{tr("Score")}</th><th className="text-right p-1">P25</th><th className="text-right p-1">{tr("Median")}</th><th className="text-right p-1">P75</th><th className="text-right p-1">{tr("Percentile")}</th></tr>
+                              </thead>
+                              <tbody>{list.map(row)}</tbody>
+                            </table>
+                          ))}
+                        </div>
+                      </CardBody>
+                    </Card>
+                  );
+                })()}
+
                 {/* Lens insights (collapsible) */}
                 <Card className="mb-4">
                   <CardHeader>
                     <div className="flex items-center justify-between">
-                      <span>Lens insights</span>
-                      <Button onClick={()=>setLensOpen(o=>!o)} className="bg-white">{lensOpen ? 'Hide' : 'Show'}</Button>
+                      <span>{tr("Lens insights")}</span>
+                      <Button onClick={()=>setLensOpen(o=>!o)} className="bg-white">{lensOpen ? t("Hide") : t("Show")}</Button>
                     </div>
                   </CardHeader>
                   {lensOpen && (
                     <CardBody>
                       <div className="mb-6">
-                        <div className="font-semibold mb-2">Overall trend (all capabilities)</div>
-                        <LensBarsLite items={report.lensOverview} />
+                        <div className="font-semibold mb-2">{tr("Overall trend (all capabilities)")}</div>
+                        <ChartDownload name={chartName("lenses")}>
+                          <LensBarsLite items={report.lensOverview} scale={report.maturityScale} />
+                        </ChartDownload>
                       </div>
                       <div className="border-t my-4"></div>
                       <div>
                         <div className="flex items-center gap-2 mb-2">
-                          <div className="font-semibold">Capability focus</div>
+                          <div className="font-semibold">{tr("Capability focus")}</div>
                           <select className="border rounded-xl px-3 py-2" value={lensCapKey || ''} onChange={(e)=>setLensCapKey(e.target.value)}>
                             {selectedCapsSafe.map(k => {
                               const c = allCaps.find(x=>x.key===k);
@@ -751,41 +2769,199 @@ export default function App() {
                         </div>
                         {(() => {
                           const c = report.capTotals.find(x => x.capKey === lensCapKey);
-                          if (!c) return <div className="text-sm text-gray-600">Select a capability.</div>;
+                          if (!c) return <div className="text-sm text-gray-600">{tr("Select a capability.")}</div>;
                           const items = LENSES.map((l, i) => {
                             const tt = c.lensTotals[l];
                             const value = tt && tt.answered ? (tt.sum / (tt.answered * 20)) * 100 : 0;
                             return { label: l, value, color: LENS_COLORS[i] };
                           });
-                          return <LensBarsLite items={items} />;
+                          return (
+                            <ChartDownload name={chartName(`lenses-${c.capKey}`)}>
+                              <LensBarsLite items={items} scale={report.maturityScale} />
+                            </ChartDownload>
+                          );
                         })()}
                       </div>
                     </CardBody>
                   )}
                 </Card>
 
+                {/* Gap analysis (current vs target) */}
+                <Card className="mb-4">
+                  <CardHeader>{tr("Gap analysis")}</CardHeader>
+                  <CardBody>
+                    {!report.capGaps.length ? (
+                      <div className="text-sm text-gray-600">{tr("No targets set. Choose a target level per capability in")} <b>{tr("Setup")}</b>.</div>
+                    ) : (
+                      <div className="grid md:grid-cols-2 gap-6">
+                        <div>
+                          <div className="font-semibold mb-2">{tr("Capabilities by gap")}</div>
+                          <table className="w-full text-sm">
+                            <thead className="text-xs text-gray-500">
+                              <tr><th className="text-left p-1">{tr("Capability")}</th><th className="text-right p-1">{tr("Current")}</th><th className="text-right p-1">{tr("Target")}</th><th className="text-right p-1">{tr("Gap")}</th></tr>
+                            </thead>
+                            <tbody>
+                              {report.capGaps.map(g => (
+                                <tr key={g.capKey} className="border-t">
+                                  <td className="p-1">{g.name} <span className="text-xs text-gray-500">→ {tr(g.targetLevel)}</span></td>
+                                  <td className="p-1 text-right">{Math.round(g.current)}</td>
+                                  <td className="p-1 text-right">{Math.round(g.target)}</td>
+                                  <td className={`p-1 text-right font-medium ${g.gap > 0 ? "text-red-700" : "text-green-700"}`}>{g.gap > 0 ? "+" : ""}{Math.round(g.gap)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                        <div>
+                          <div className="font-semibold mb-2">{tr("Lenses by gap")}</div>
+                          <div className="space-y-3">
+                            {report.lensGaps.map(g => (
+                              <div key={g.label}>
+                                <div className="flex items-center justify-between text-xs mb-1">
+                                  <span>{tr(g.label)}</span>
+                                  <span className="text-gray-500">{Math.round(g.current)} → {Math.round(g.target)} ({g.gap > 0 ? "+" : ""}{Math.round(g.gap)})</span>
+                                </div>
+                                <div className="h-3 rounded-full bg-gray-200 relative overflow-hidden">
+                                  <div className="absolute inset-y-0 left-0" style={{ width: `${Math.max(0, Math.min(100, g.target))}%`, background: g.color, opacity: 0.25 }} />
+                                  <div className="absolute inset-y-0 left-0" style={{ width: `${Math.max(0, Math.min(100, g.current))}%`, background: g.color }} />
+                                </div>
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+                      </div>
+                    )}
+                  </CardBody>
+                </Card>
+
+                {/* Next steps (the next level's text per answered question) */}
+                <Card className="mb-4">
+                  <CardHeader>
+                    <div className="flex items-center justify-between">
+                      <span>{tr("Next steps")}</span>
+                      <div className="flex gap-2 print:hidden">
+                        <Button onClick={exportBacklogCSV} className="bg-white text-sm" disabled={!report.nextSteps.length}>{t("Backlog CSV")}</Button>
+                        <Button onClick={exportBacklogJSON} className="bg-white text-sm" disabled={!report.nextSteps.length}>{t("Backlog JSON")}</Button>
+                      </div>
+                    </div>
+                  </CardHeader>
+                  <CardBody>
+                    {!report.nextSteps.length ? (
+                      <div className="text-sm text-gray-600">{tr("No next steps: answer questions in")} <b>{tr("Assessment")}</b> {tr("(questions at Fly or at their target need none).")}</div>
+                    ) : (
+                      // capabilities ordered by their most urgent step, lenses in LENSES order
+                      [...new Set(report.nextSteps.map(x => x.capKey))].map(capKey => {
+                        const steps = report.nextSteps.filter(x => x.capKey === capKey);
+                        return (
+                          <div key={capKey} className="mb-4 print:break-inside-avoid">
+                            <div className="font-semibold mb-1">{steps[0].capability}</div>
+                            {LENSES.filter(l => steps.some(x => x.lens === l)).concat(steps.some(x => !LENSES.includes(x.lens)) ? [""] : []).map(l => (
+                              <div key={l || "none"} className="mb-2">
+                                {l && <span className="inline-flex items-center rounded-full border px-2 py-0.5 text-xs mb-1" style={{ borderColor: getLensStyle(l).color, backgroundColor: getLensStyle(l).tint, color: getLensStyle(l).color }}>{tr(l)}</span>}
+                                <ul className="space-y-1 text-sm">
+                                  {steps.filter(x => (LENSES.includes(x.lens) ? x.lens : "") === l).map(x => (
+                                    <li key={x.questionId} className="pl-2 border-l-2" style={{ borderColor: getLensStyle(l).color }}>
+                                      <div><span className="text-xs text-gray-500">{tr(x.currentLevel)} → <b>{tr(x.nextLevel)}</b>:</span> {x.nextStep}</div>
+                                      <div className="text-xs text-gray-500">{x.question}</div>
+                                    </li>
+                                  ))}
+                                </ul>
+                              </div>
+                            ))}
+                          </div>
+                        );
+                      })
+                    )}
+                  </CardBody>
+                </Card>
+
+                {/* Respondents: how they are combined, and where they disagree */}
+                {multiRespondent && (() => {
+                  const disputed = disagreements(reportModel, allRespondents, selectedCapsSafe);
+                  return (
+                    <Card className="mb-4">
+                      <CardHeader>
+                        <div className="flex items-center justify-between">
+                          <span>{tr("Respondents")}</span>
+                          <label className="text-sm font-normal text-gray-600 print:hidden">{t("Combine answers by")}
+                            <select className="ml-2 border rounded-xl px-2 py-1" value={aggregation} onChange={e=>setAggregation(e.target.value)}>
+                              {AGGREGATIONS.map(a => <option key={a.key} value={a.key}>{aggregationLabel(a, t)}</option>)}
+                            </select>
+                          </label>
+                        </div>
+                      </CardHeader>
+                      <CardBody>
+                        <div className="text-sm text-gray-600 mb-3">
+                          {tr("Scores combine {n} respondents ({names}) per question. Combined level: {method}. N/A and \"Don't know\" answers are left out.", {
+                            n: allRespondents.length, names: allRespondents.map(r => `${r.name} · ${tr(r.role)}`).join(", "),
+                            method: aggregationLabel(AGGREGATIONS.find(a => a.key === aggregation), tr).toLowerCase(),
+                          })}
+                        </div>
+                        <div className="font-semibold mb-2">{tr("Disagreement ({n}+ levels apart)", { n: DISAGREEMENT_STEPS })}</div>
+                        {!disputed.length ? (
+                          <div className="text-sm text-gray-600">{tr("Respondents agree within one level on every question.")}</div>
+                        ) : (
+                          <div className="overflow-x-auto">
+                            <table className="w-full text-sm">
+                              <thead>
+                                <tr className="text-left text-gray-500 border-b">
+                                  <th className="py-1 pr-2">{tr("Capability")}</th>
+                                  <th className="py-1 pr-2">{tr("Question")}</th>
+                                  {allRespondents.map(r => <th key={r.id} className="py-1 pr-2">{r.name}<div className="text-xs font-normal">{tr(r.role)}</div></th>)}
+                                  <th className="py-1 pr-2 text-right">{tr("Spread")}</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {disputed.map(d => {
+                                  const idxs = d.answers.map(a => LEVELS.indexOf(a.level));
+                                  const lo = Math.min(...idxs.filter(i => i >= 0)), hi = Math.max(...idxs);
+                                  return (
+                                    <tr key={`${d.capKey}-${d.questionId}`} className={`border-b align-top ${d.spread >= 3 ? "bg-rose-50" : "bg-amber-50"}`}>
+                                      <td className="py-1 pr-2 whitespace-nowrap">{d.capability}<div className="text-xs text-gray-500">{d.lens && tr(d.lens)}</div></td>
+                                      <td className="py-1 pr-2">{d.question}</td>
+                                      {d.answers.map((a, i) => (
+                                        <td key={i} className={`py-1 pr-2 whitespace-nowrap ${idxs[i] === lo || idxs[i] === hi ? "font-semibold" : ""}`}>{a.level ? tr(a.level) : "–"}</td>
+                                      ))}
+                                      <td className="py-1 pr-2 text-right">{d.spread}</td>
+                                    </tr>
+                                  );
+                                })}
+                              </tbody>
+                            </table>
+                          </div>
+                        )}
+                      </CardBody>
+                    </Card>
+                  );
+                })()}
+
                 {/* Printable answers list */}
                 <Card className="mb-4">
-                  <CardHeader>Answers</CardHeader>
+                  <CardHeader>{tr("Answers")}</CardHeader>
                   <CardBody>
-                    {selectedCapsSafe.map(capKey => {
-                      const cap = allCaps.find(c=>c.key===capKey);
+                    {report.capTotals.map(({ capKey }, i) => {
+                      const cap = reportModel.capabilities.find(c=>c.key===capKey);
                       if (!cap) return null;
-                      const ans = answersByCap?.[cap.key] || {};
+                      const ans = reportAnswers?.[cap.key] || {};
+                      const group = cap.report_group || "";
                       return (
-                        <div key={cap.key} className="mb-4 print:break-inside-avoid">
+                        <div key={cap.key} id={`answers-${cap.key}`} className="mb-4 print:break-inside-avoid scroll-mt-20">
+                          {group && group !== report.capTotals[i - 1]?.group && (
+                            <div className="mt-6 mb-2 pb-1 border-b text-xs font-semibold uppercase tracking-wide text-gray-500">{tr(group)}</div>
+                          )}
                           <div className="mb-2 space-y-2">
                             <div className="flex items-center justify-between">
                               <div className="font-semibold">{cap.name}</div>
                               <div className="text-sm">
                                 {(() => {
                                   const agg = report.capTotals.find(x => x.capKey === cap.key);
-                                  const m = maturityFromScore(agg?.capScore100 || 0);
+                                  const m = maturityFromScore(agg?.capScore100 || 0, report.maturityScale);
                                   return (
                                     <span className="inline-flex items-center gap-1">
                                       <span>{m.emoji}</span>
-                                      <span className="font-medium">{m.key}</span>
+                                      <span className="font-medium">{tr(m.label)}</span>
                                       <span className="text-gray-500 ml-2">{agg ? agg.capScore100.toFixed(1) : "0.0"} / 100</span>
+                                      {agg?.skipped ? <span className="text-gray-400 ml-2">({tr("{n} not scored", { n: agg.skipped })})</span> : null}
                                     </span>
                                   );
                                 })()}
@@ -800,34 +2976,35 @@ export default function App() {
                                   const value = tt && tt.answered ? (tt.sum / (tt.answered * 20)) * 100 : 0;
                                   return { label: l, value, color: LENS_COLORS[i] };
                                 });
-                                return <LensBarsLite items={items} />;
+                                return <LensBarsLite items={items} scale={report.maturityScale} />;
                               })()}
                             </div>
                           </div>
                    <table className="w-full text-sm border rounded-xl overflow-hidden">
   <thead className="bg-gray-50">
     <tr>
-      <th className="p-2 text-left">Question</th>
-      <th className="p-2 text-left">Lens</th>
-      <th className="p-2 text-left">Answer</th>
+      <th className="p-2 text-left">{tr("Question")}</th>
+      <th className="p-2 text-left">{tr("Lens")}</th>
+      <th className="p-2 text-left">{tr("Answer")}</th>
     </tr>
   </thead>
   <tbody>
-    {cap.questions.map((q, idx) => (
-      <tr key={idx} className="odd:bg-white even:bg-gray-50">
+    {cap.questions.map((q) => (
+      <React.Fragment key={q.id}>
+      <tr className="odd:bg-white even:bg-gray-50">
         <td className="p-2">{q.text}</td>
         <td className="p-2">
           {q.lens ? (
             <span
               className="inline-flex items-center rounded-full border px-2 py-0.5 text-xs"
-              title={ans?.[idx] || ''}
+              title={answerLevel(ans?.[q.id]) ? tr(answerLevel(ans[q.id])) : ''}
               style={{
                 borderColor: getLensStyle(q.lens).color,
                 backgroundColor: getLensStyle(q.lens).tint,
                 color: getLensStyle(q.lens).color
               }}
             >
-              {q.lens}
+              {tr(q.lens)}
             </span>
           ) : (
             "-"
@@ -835,10 +3012,12 @@ export default function App() {
         </td>
         <td className="p-2">
           {(() => {
-            const level = ans?.[idx];
+            const level = answerLevel(ans?.[q.id]);
             if (!level)
               return <span className="text-gray-400">–</span>;
-            const text = q.options?.[level] || level;
+            if (isSkipAnswer(level))
+              return <span className="inline-flex items-center rounded-full border border-dashed border-gray-400 px-2 py-0.5 text-xs italic text-gray-600">{skipLabel(level, tr)}</span>;
+            const text = q.options?.[level] || tr(level);
             const ls = getLensStyle(q.lens);
             return (
               <div>
@@ -850,7 +3029,7 @@ export default function App() {
                     color: ls.color
                   }}
                 >
-                  {level}
+                  {tr(level)}
                 </span>
                 <span>{text}</span>
               </div>
@@ -858,6 +3037,12 @@ export default function App() {
           })()}
         </td>
       </tr>
+      {hasAnswerDetails(ans?.[q.id]) && (
+        <tr className="print:break-inside-avoid">
+          <td className="px-2 pb-2" colSpan={3}><AnswerDetails answer={ans[q.id]} /></td>
+        </tr>
+      )}
+      </React.Fragment>
     ))}
   </tbody>
 </table>
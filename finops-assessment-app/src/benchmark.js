@@ -0,0 +1,113 @@
+// ---- Peer benchmark: anonymised score distributions per capability and lens, by industry and company size.
+// File: { kind: "finops-benchmark", version: 1, name, createdAt, modelVersion, segments: [segment] }
+// segment: { industry, size, n, overall: stats, lenses: { <lens>: stats },
+//            capabilities: { <capKey>: { ...stats, lenses: { <lens>: stats } } } }
+// stats: quartiles on 0..100 { n, p25, median, p75 }, plus min and max only for groups of RANGE_MIN_PEERS or more.
+// "" industry/size = all.
+import { LENSES } from "./model.js";
+
+export const BENCHMARK_KIND = "finops-benchmark";
+export const INDUSTRIES = ["Financial services", "Public sector", "Retail & e-commerce", "Manufacturing", "Technology & software", "Healthcare & life sciences", "Telecom & media", "Energy & utilities", "Transport & logistics", "Other"];
+export const COMPANY_SIZES = ["< 250 employees", "250–1,000 employees", "1,000–5,000 employees", "> 5,000 employees"];
+// Statistics over fewer peers are left out. This does not make a score unreadable: with an odd n the median is
+// one peer's exact score, and in a group of five the quartiles are too. It keeps small groups out, and the
+// extremes (which name the best and worst customer's exact score) are only published for larger groups.
+export const MIN_PEERS = 5;
+export const RANGE_MIN_PEERS = 10;
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+// Linear interpolation between order statistics (the spreadsheet QUARTILE.INC definition)
+function quantile(sorted, p) {
+  const h = (sorted.length - 1) * p, lo = Math.floor(h);
+  return sorted[lo] + (h - lo) * ((sorted[lo + 1] ?? sorted[lo]) - sorted[lo]);
+}
+
+// null when fewer than `minPeers` peers have a value, so a capability or lens only a few peers answered stays out too
+export function summarize(values, minPeers = MIN_PEERS) {
+  const s = values.filter(v => typeof v === "number" && Number.isFinite(v)).sort((a, b) => a - b);
+  if (!s.length || s.length < minPeers) return null;
+  const range = s.length >= Math.max(minPeers, RANGE_MIN_PEERS) ? { min: round1(s[0]), max: round1(s[s.length - 1]) } : {};
+  return { n: s.length, ...range, p25: round1(quantile(s, 0.25)), median: round1(quantile(s, 0.5)), p75: round1(quantile(s, 0.75)) };
+}
+
+// Estimated percentile (0..100) of `value` among the peers, interpolated through the quartiles and the range
+// (the 0..100 score scale when min and max are not published)
+export function percentileOf(value, stats) {
+  if (!stats || typeof value !== "number") return null;
+  const min = stats.min ?? 0, max = stats.max ?? 100;
+  const pts = [[min, 0], [stats.p25, 25], [stats.median, 50], [stats.p75, 75], [max, 100]];
+  if (max === min) return value < min ? 0 : (value > max ? 100 : 50);
+  if (value <= min) return 0;
+  if (value >= max) return 100;
+  for (let i = 1; i < pts.length; i++) {
+    const [x0, y0] = pts[i - 1], [x1, y1] = pts[i];
+    if (value <= x1) return Math.round(x1 === x0 ? y1 : y0 + (y1 - y0) * (value - x0) / (x1 - x0));
+  }
+  return 100;
+}
+
+// One peer's scores, taken from a computed report (capabilities or lenses without scored answers are left out)
+export function entryFromReport(report, meta) {
+  const capabilities = {};
+  report.capTotals.filter(c => c.applicable).forEach(c => {
+    const lenses = {};
+    LENSES.forEach(l => { const tt = c.lensTotals[l]; if (tt?.answered) lenses[l] = (tt.sum / (tt.answered * 20)) * 100; });
+    capabilities[c.capKey] = { score: c.capScore100, lenses };
+  });
+  const answeredLens = (l) => report.capTotals.some(c => c.lensTotals[l]?.answered);
+  return {
+    industry: meta?.industry || "", size: meta?.size || "",
+    overall: Object.keys(capabilities).length ? report.overallAvgCapScore100 : null,
+    lenses: Object.fromEntries(report.lensOverview.filter(l => answeredLens(l.label)).map(l => [l.label, l.value])),
+    capabilities,
+  };
+}
+
+function segmentOf(entries, industry, size, minPeers) {
+  const capKeys = [...new Set(entries.flatMap(e => Object.keys(e.capabilities)))];
+  const lensStats = (pick) => Object.fromEntries(LENSES.map(l => [l, summarize(entries.map(e => pick(e)?.[l]), minPeers)]).filter(([, s]) => s));
+  return {
+    industry, size, n: entries.length,
+    overall: summarize(entries.map(e => e.overall), minPeers),
+    lenses: lensStats(e => e.lenses),
+    capabilities: Object.fromEntries(capKeys.map(k => {
+      const stats = summarize(entries.map(e => e.capabilities[k]?.score), minPeers);
+      return [k, stats && { ...stats, lenses: lensStats(e => e.capabilities[k]?.lenses) }];
+    }).filter(([, s]) => s)),
+  };
+}
+
+// Segments for all peers, per industry, per size and per industry × size; groups and statistics under minPeers are skipped
+export function buildBenchmark(entries, { name = "Local benchmark", modelVersion = "", minPeers = MIN_PEERS } = {}) {
+  const groups = new Map([["|", entries]]);
+  const add = (key, e) => groups.set(key, [...(groups.get(key) || []), e]);
+  entries.forEach(e => {
+    if (e.industry) add(`${e.industry}|`, e);
+    if (e.size) add(`|${e.size}`, e);
+    if (e.industry && e.size) add(`${e.industry}|${e.size}`, e);
+  });
+  const segments = [...groups].filter(([, list]) => list.length >= minPeers).map(([key, list]) => segmentOf(list, ...key.split("|"), minPeers));
+  return { kind: BENCHMARK_KIND, version: 1, name, createdAt: new Date().toISOString(), modelVersion, segments };
+}
+
+export function validateBenchmark(obj) {
+  if (!obj || obj.kind !== BENCHMARK_KIND) throw new Error("Not a benchmark file (expected kind \"finops-benchmark\").");
+  if (obj.version !== 1) throw new Error(`Unsupported benchmark version ${obj.version}.`);
+  if (!Array.isArray(obj.segments) || !obj.segments.length) throw new Error("The benchmark has no segments.");
+  const isStats = (s) => s && ["p25", "median", "p75"].every(k => typeof s[k] === "number") && ["min", "max"].every(k => s[k] == null || typeof s[k] === "number");
+  obj.segments.forEach((seg, i) => {
+    if (!seg.capabilities || typeof seg.capabilities !== "object") throw new Error(`Segment ${i + 1} has no capabilities.`);
+    Object.entries(seg.capabilities).forEach(([k, s]) => { if (!isStats(s)) throw new Error(`Segment ${i + 1}, capability "${k}": p25, median and p75 are required.`); });
+  });
+  return obj;
+}
+
+// Closest segment: industry × size, then industry, then size, then all peers
+export function pickSegment(benchmark, industry, size) {
+  const segs = benchmark?.segments || [];
+  const find = (i, s) => segs.find(x => (x.industry || "") === i && (x.size || "") === s);
+  return (industry && size && find(industry, size)) || (industry && find(industry, "")) || (size && find("", size)) || find("", "") || segs[0] || null;
+}
+
+export const segmentKey = (seg) => `${seg.industry || ""}|${seg.size || ""}`;
@@ -0,0 +1,127 @@
+// ---- Excel (.xlsx) import/export of the question model, plus plain result workbooks
+// Import reads Excel/finops_vragen_full_fixed.xlsx (the content owners' source) as it is:
+//   Capabilities: capability_key, capability_name, description, display_order, report_group
+//   Questions:    capability_key, lens, question_text, <pre|crawl|walk|run|fly>_text,
+//                 <pre|...>_weight (= score), include, display_order
+// Export writes a new workbook in that layout plus what only the app needs, each optional on import:
+//   question_id   (missing: <capability_key>-<lens>, the ids public/model.json uses)
+//   extra_json    (fields the sheets have no column for)
+//   Model sheet:  key, value (version and any other top-level model fields, JSON-encoded when not a string)
+// A blank cell is an empty string in the model and the other way round, so Excel → app → Excel is lossless.
+import * as XLSX from "xlsx";
+import { LEVELS } from "./model.js";
+
+const LEVEL_COLS = { "Pre-crawl": "pre", "Crawl": "crawl", "Walk": "walk", "Run": "run", "Fly": "fly" };
+const CAP_FIELDS = ["key", "name", "description", "report_group", "questions"];
+const Q_FIELDS = ["id", "text", "lens", "options", "scores"];
+const CAP_COLUMNS = ["capability_key", "capability_name", "description", "display_order", "report_group", "extra_json"];
+const Q_COLUMNS = ["capability_key", "question_id", "lens", "question_text", ...LEVELS.map(l => `${LEVEL_COLS[l]}_text`), ...LEVELS.map(l => `${LEVEL_COLS[l]}_weight`), "include", "display_order", "extra_json"];
+
+const pick = (obj, skip) => Object.fromEntries(Object.entries(obj || {}).filter(([k]) => !skip.includes(k)));
+const extraJSON = (obj, skip) => { const rest = pick(obj, skip); return Object.keys(rest).length ? JSON.stringify(rest) : undefined; };
+const parseExtra = (s, where) => {
+  if (!s) return {};
+  try { return JSON.parse(s); } catch (e) { throw new Error(`${where}: extra_json is not valid JSON (${e.message})`); }
+};
+const asBool = (v) => !(v === false || /^(false|no|0|n)$/i.test(String(v).trim()));
+const byOrder = (a, b) => (Number(a.display_order) || 0) - (Number(b.display_order) || 0);
+
+export function modelFromWorkbook(wb) {
+  const sheet = (name) => {
+    const ws = wb.Sheets[name];
+    if (!ws) throw new Error(`Workbook has no "${name}" sheet.`);
+    return XLSX.utils.sheet_to_json(ws, { defval: "" });
+  };
+  const capRows = sheet("Capabilities");
+  const qRows = sheet("Questions");
+
+  const model = {};
+  if (wb.Sheets.Model) {
+    XLSX.utils.sheet_to_json(wb.Sheets.Model, { defval: "" }).forEach(({ key, value }) => {
+      if (!key) return;
+      try { model[key] = key === "version" ? String(value) : JSON.parse(value); } catch { model[key] = value; }
+    });
+  }
+
+  const questionsByCap = {};
+  const excluded = [];
+  // sheetRow: the row number in the sheet (SheetJS skips blank rows), kept for error messages once sorted
+  qRows.map((r, i) => ({ ...r, display_order: r.display_order === "" ? i + 1 : r.display_order, sheetRow: r.__rowNum__ + 1 })).sort(byOrder).forEach(r => {
+    const key = String(r.capability_key || "").trim();
+    const id = r.question_id !== "" && r.question_id != null ? String(r.question_id) : (r.lens !== "" ? `${key}-${String(r.lens).toLowerCase()}` : "");
+    const q = {
+      ...(id ? { id } : {}),
+      text: String(r.question_text),
+      lens: String(r.lens),
+      options: Object.fromEntries(LEVELS.map(l => [l, String(r[`${LEVEL_COLS[l]}_text`] ?? "")])),
+      scores: Object.fromEntries(LEVELS.map(l => { const v = r[`${LEVEL_COLS[l]}_weight`]; return [l, v === "" ? v : Number(v)]; })),
+      ...parseExtra(r.extra_json, `Questions row ${r.sheetRow}`),
+    };
+    if (!asBool(r.include)) excluded.push({ capability_key: key, ...q });
+    else (questionsByCap[key] = questionsByCap[key] || []).push(q);
+  });
+
+  model.capabilities = capRows.map((r, i) => ({ ...r, display_order: r.display_order === "" ? i + 1 : r.display_order, sheetRow: r.__rowNum__ + 1 })).sort(byOrder).map(r => {
+    const key = String(r.capability_key).trim();
+    return {
+      key,
+      name: String(r.capability_name),
+      description: String(r.description),
+      report_group: String(r.report_group),
+      ...parseExtra(r.extra_json, `Capabilities row ${r.sheetRow}`),
+      questions: questionsByCap[key] || [],
+    };
+  });
+  if (excluded.length) model.excluded_questions = excluded;
+  return model;
+}
+
+export function workbookFromModel(model) {
+  const capRows = (model.capabilities || []).map((cap, i) => ({
+    capability_key: cap.key,
+    capability_name: cap.name,
+    description: cap.description,
+    display_order: i + 1,
+    report_group: cap.report_group,
+    extra_json: extraJSON(cap, CAP_FIELDS),
+  }));
+  const qRow = (capKey, q, order, include) => ({
+    capability_key: capKey,
+    question_id: q.id,
+    lens: q.lens,
+    question_text: q.text,
+    ...Object.fromEntries(LEVELS.map(l => [`${LEVEL_COLS[l]}_text`, q.options?.[l] || undefined])),
+    ...Object.fromEntries(LEVELS.map(l => [`${LEVEL_COLS[l]}_weight`, q.scores?.[l]])),
+    include,
+    display_order: order,
+    extra_json: extraJSON(q, [...Q_FIELDS, "capability_key"]),
+  });
+  const qRows = (model.capabilities || []).flatMap(cap => (cap.questions || []).map((q, i) => qRow(cap.key, q, i + 1, true)));
+  const base = qRows.length;
+  (model.excluded_questions || []).forEach((q, i) => qRows.push(qRow(q.capability_key, q, base + i + 1, false)));
+  const metaRows = Object.entries(pick(model, ["capabilities", "excluded_questions"]))
+    .map(([key, value]) => ({ key, value: typeof value === "string" ? value : JSON.stringify(value) }));
+
+  const wb = XLSX.utils.book_new();
+  // undefined values leave their cell empty
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(capRows, { header: CAP_COLUMNS }), "Capabilities");
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(qRows, { header: Q_COLUMNS }), "Questions");
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(metaRows, { header: ["key", "value"] }), "Model");
+  return wb;
+}
+
+export async function readModelWorkbook(file) {
+  const wb = XLSX.read(await file.arrayBuffer(), { type: "array" });
+  return modelFromWorkbook(wb);
+}
+
+export function downloadModelWorkbook(model, filename = "finops-model.xlsx") {
+  XLSX.writeFile(workbookFromModel(model), filename, { compression: true });
+}
+
+// Plain data workbook (e.g. assessment results): [{ name, rows, columns }] → one sheet per table
+export function downloadTablesWorkbook(tables, filename) {
+  const wb = XLSX.utils.book_new();
+  tables.forEach(t => XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(t.rows, { header: t.columns }), t.name));
+  XLSX.writeFile(wb, filename, { compression: true });
+}
@@ -0,0 +1,40 @@
+// ---- UI translations. English source strings are the keys (missing entries fall back to English);
+// "{name}" placeholders are filled from the second argument of t().
+import nl from "./locales/nl.js";
+import fr from "./locales/fr.js";
+
+export const LOCALES = [
+  { key: "en", label: "English" },
+  { key: "nl", label: "Nederlands" },
+  { key: "fr", label: "Français" },
+];
+export const DEFAULT_LOCALE = "en";
+const CATALOGS = { en: {}, nl, fr };
+
+const fill = (s, vars) => vars ? s.replace(/\{(\w+)\}/g, (m, k) => vars[k] ?? m) : s;
+
+export function makeT(locale) {
+  const catalog = CATALOGS[locale] || {};
+  const t = (key, vars) => fill(catalog[key] ?? key, vars);
+  t.locale = CATALOGS[locale] ? locale : DEFAULT_LOCALE;
+  return t;
+}
+
+// Browser language if we have it, else English
+export function detectLocale() {
+  const lang = (typeof navigator !== "undefined" && navigator.language || "").slice(0, 2).toLowerCase();
+  return CATALOGS[lang] ? lang : DEFAULT_LOCALE;
+}
+
+// Keys one translation has and another lacks, and translations whose {placeholders} differ from the key
+export function catalogIssues() {
+  const issues = [];
+  const translations = Object.entries(CATALOGS).filter(([k]) => k !== DEFAULT_LOCALE);
+  const keys = new Set(translations.flatMap(([, c]) => Object.keys(c)));
+  const holes = (s) => (s.match(/\{\w+\}/g) || []).sort().join();
+  translations.forEach(([loc, c]) => keys.forEach(key => {
+    if (!(key in c)) issues.push(`${loc}: missing "${key}"`);
+    else if (holes(c[key]) !== holes(key)) issues.push(`${loc}: placeholders differ in "${key}"`);
+  }));
+  return issues;
+}
@@ -0,0 +1,51 @@
+// ---- Raster images: logos for generated documents (PDF/PPTX embed raster images only) and chart downloads
+
+// Rasterise any image URL (data URL or same-origin SVG/PNG) to a PNG data URL; resolves null when it cannot be loaded
+export function loadImage(src, scale = 3) {
+  return new Promise((resolve) => {
+    if (!src || typeof Image === "undefined") { resolve(null); return; }
+    const img = new Image();
+    img.onload = () => {
+      const w = img.naturalWidth || 300, h = img.naturalHeight || 100;
+      const c = document.createElement("canvas");
+      c.width = w * scale; c.height = h * scale;
+      c.getContext("2d").drawImage(img, 0, 0, c.width, c.height);
+      try { resolve({ data: c.toDataURL("image/png"), ratio: w / h }); } catch { resolve(null); }
+    };
+    img.onerror = () => resolve(null);
+    img.src = src;
+  });
+}
+
+// Charts are drawn at screen size (96 CSS pixels per inch); PNG downloads are rendered at 300 dpi
+export const PRINT_SCALE = 300 / 96;
+
+// Standalone SVG document of an on-screen chart: cropped to what is drawn (spider labels overflow the
+// svg box), on white, with the font set explicitly since page CSS does not travel along. Elements marked
+// data-no-export (hover areas) are left out.
+export function svgMarkup(svg, pad = 8) {
+  const box = svg.getBBox();
+  const [x, y, w, h] = [box.x - pad, box.y - pad, box.width + 2 * pad, box.height + 2 * pad].map(v => Math.round(v));
+  const clone = svg.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("viewBox", `${x} ${y} ${w} ${h}`);
+  clone.setAttribute("width", w);
+  clone.setAttribute("height", h);
+  clone.setAttribute("font-family", "ui-sans-serif, system-ui, -apple-system, 'Segoe UI', Roboto, Arial, sans-serif");
+  clone.removeAttribute("style");
+  clone.querySelectorAll("[data-no-export]").forEach(n => n.remove());
+  const bg = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+  Object.entries({ x, y, width: w, height: h, fill: "#ffffff" }).forEach(([k, v]) => bg.setAttribute(k, v));
+  clone.insertBefore(bg, clone.firstChild);
+  return new XMLSerializer().serializeToString(clone);
+}
+
+// Download a chart as `<name>.svg` or `<name>.png`
+export async function downloadChart(svg, name, format = "svg") {
+  const markup = svgMarkup(svg);
+  const blobUrl = format === "svg" ? URL.createObjectURL(new Blob([markup], { type: "image/svg+xml" })) : null;
+  const href = blobUrl || (await loadImage(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`, PRINT_SCALE))?.data;
+  if (!href) throw new Error("the chart could not be rendered as an image");
+  const a = document.createElement("a"); a.href = href; a.download = `${name}.${format}`; a.click();
+  if (blobUrl) URL.revokeObjectURL(blobUrl);
+}
@@ -0,0 +1,443 @@
+// ---- Français. Keys are the English source strings (see i18n.js); keep {placeholders} as they are.
+// Crawl/Walk/Run/Fly are the FinOps Foundation's own terms and stay English.
+export default {
+  // Scale, lenses and fixed lists
+  "Pre-crawl": "Pre-crawl",
+  "Crawl": "Crawl",
+  "Walk": "Walk",
+  "Run": "Run",
+  "Fly": "Fly",
+  "Knowledge": "Connaissances",
+  "Process": "Processus",
+  "Metrics": "Indicateurs",
+  "Adoption": "Adoption",
+  "Automation": "Automatisation",
+  "FinOps practitioner": "Praticien FinOps",
+  "Finance": "Finance",
+  "Engineering": "Ingénierie",
+  "Procurement": "Achats",
+  "Product": "Produit",
+  "Leadership": "Direction",
+  "Other": "Autre",
+  "Mean": "Moyenne",
+  "Median": "Médiane",
+  "Minimum": "Minimum",
+  "Maximum": "Maximum",
+  "Low": "Faible",
+  "Medium": "Moyenne",
+  "High": "Élevée",
+  "Draft": "Brouillon",
+  "In progress": "En cours",
+  "Completed": "Terminé",
+  "Not applicable": "Non applicable",
+  "Don't know": "Je ne sais pas",
+  "remapped": "réassigné",
+  "dropped": "supprimé",
+  "orphaned": "orphelin",
+
+  // Answer details
+  "Attachment too large (max 2 MB). Add a link instead.": "Pièce jointe trop volumineuse (max. 2 Mo). Ajoutez plutôt un lien.",
+  "Notes, evidence & confidence": "Notes, preuves et fiabilité",
+  "Why was this answer chosen?": "Pourquoi cette réponse a-t-elle été choisie ?",
+  "Evidence link": "Lien vers une preuve",
+  "Add link": "Ajouter un lien",
+  "Attach file": "Joindre un fichier",
+  "Confidence": "Fiabilité",
+  "remove": "supprimer",
+  "Note:": "Note :",
+  "Evidence:": "Preuves :",
+  "Confidence:": "Fiabilité :",
+  "Note": "Note",
+  "Evidence": "Preuves",
+
+  // Charts
+  "Overall {score} / 100": "Global {score} / 100",
+  "No data.": "Aucune donnée.",
+  "Current": "Actuel",
+  "Target": "Cible",
+  "Baseline": "Référence",
+
+  // Respondent questionnaire
+  "The questionnaire could not be loaded (HTTP {status}).": "Le questionnaire n'a pas pu être chargé (HTTP {status}).",
+  "The questionnaire on this site is invalid; contact your assessor.": "Le questionnaire de ce site n'est pas valide ; contactez votre évaluateur.",
+  "Could not create a resume code: {error}": "Impossible de créer un code de reprise : {error}",
+  "This resume code is not valid: {error}": "Ce code de reprise n'est pas valide : {error}",
+  "Respondent": "Répondant",
+  "Questionnaire for {customer}": "Questionnaire pour {customer}",
+  "Questionnaire": "Questionnaire",
+  "Loading the questionnaire…": "Chargement du questionnaire…",
+  "The questionnaire changed since this link was made. You can still answer; your assessor will match the answers up.": "Le questionnaire a changé depuis la création de ce lien. Vous pouvez tout de même répondre ; votre évaluateur fera correspondre les réponses.",
+  "Welcome": "Bienvenue",
+  "{who} to answer {n} questions about how {customer} manages cloud cost (FinOps).": "{who} de répondre à {n} questions sur la gestion des coûts cloud chez {customer} (FinOps).",
+  "{assessor} asks you": "{assessor} vous demande",
+  "You are asked": "Il vous est demandé",
+  "your organisation": "votre organisation",
+  "Pick the description closest to today's situation; use \"Don't know\" or \"Not applicable\" where needed. It takes about {minutes} minutes and you can stop and resume at any time.": "Choisissez la description la plus proche de la situation actuelle ; utilisez « Je ne sais pas » ou « Non applicable » si nécessaire. Cela prend environ {minutes} minutes et vous pouvez vous arrêter et reprendre à tout moment.",
+  "Your name": "Votre nom",
+  "Your role": "Votre rôle",
+  "Start": "Commencer",
+  "Continuing on another device? Paste your resume code or link.": "Vous continuez sur un autre appareil ? Collez votre code ou lien de reprise.",
+  "Resume": "Reprendre",
+  "Question {n} of {total}": "Question {n} sur {total}",
+  "{n} answered": "{n} répondue(s)",
+  "Comment (optional)": "Commentaire (facultatif)",
+  "← Back": "← Retour",
+  "Finish": "Terminer",
+  "Next →": "Suivant →",
+  "Save & resume later": "Enregistrer et reprendre plus tard",
+  "Thank you, {name}": "Merci, {name}",
+  "You answered {n} of {total} questions. Download your answers and send the file to {assessor}.": "Vous avez répondu à {n} questions sur {total}. Téléchargez vos réponses et envoyez le fichier à {assessor}.",
+  "your assessor": "votre évaluateur",
+  "Download answers file": "Télécharger le fichier de réponses",
+  "← Review answers": "← Revoir les réponses",
+  "Your progress is saved": "Votre progression est enregistrée",
+  "This browser remembers where you were. To continue elsewhere, keep this resume link (or paste the code on the start screen):": "Ce navigateur se souvient de votre progression. Pour continuer ailleurs, conservez ce lien de reprise (ou collez le code sur l'écran d'accueil) :",
+  "Resume link copied.": "Lien de reprise copié.",
+  "Copy failed: {error}": "Échec de la copie : {error}",
+  "Copy link": "Copier le lien",
+  "Resume code copied.": "Code de reprise copié.",
+  "Copy code": "Copier le code",
+  "Close": "Fermer",
+  "Language": "Langue",
+  "questions untranslated": "questions non traduites",
+
+  // Messages
+  "Could not open the share link: {error}": "Impossible d'ouvrir le lien partagé : {error}",
+  "Invalid JSON: {error}": "JSON non valide : {error}",
+  "No model loaded.": "Aucun modèle chargé.",
+  "Excel export failed: {error}": "Échec de l'export Excel : {error}",
+  "Could not import answers: {error}": "Impossible d'importer les réponses : {error}",
+  "Share link copied to clipboard ({n} characters).": "Lien de partage copié dans le presse-papiers ({n} caractères).",
+  "Some mail clients cut off links this long — send it in a chat or document instead.": "Certains clients de messagerie coupent les liens aussi longs — envoyez-le plutôt par chat ou dans un document.",
+  "Could not create a share link: {error}": "Impossible de créer un lien de partage : {error}",
+  "Copied to clipboard.": "Copié dans le presse-papiers.",
+  "No report to export.": "Aucun rapport à exporter.",
+  "PDF export failed: {error}": "Échec de l'export PDF : {error}",
+  "PowerPoint export failed: {error}": "Échec de l'export PowerPoint : {error}",
+  "Snapshot saved.": "Instantané enregistré.",
+  "Snapshot could not be stored — see Admin → Storage.": "L'instantané n'a pas pu être enregistré — voir Admin → Stockage.",
+  "Snapshot not found": "Instantané introuvable",
+  "Save the current work for \"{customer}\" to the workspace first?": "Enregistrer d'abord le travail en cours pour « {customer} » dans l'espace de travail ?",
+  "Unnamed customer": "Client sans nom",
+  "Respondent \"{name}\" already exists.": "Le répondant « {name} » existe déjà.",
+  "Respondent link copied to clipboard. Respondents answer one question at a time and send you an answers file; import it with Admin → Import Answers to add them as a respondent.": "Lien répondant copié dans le presse-papiers. Les répondants répondent à une question à la fois et vous envoient un fichier de réponses ; importez-le via Admin → Importer les réponses pour les ajouter comme répondants.",
+  "Note: respondents get the site's public/model.json, not the model you imported.": "Remarque : les répondants reçoivent le public/model.json du site, pas le modèle que vous avez importé.",
+  "Could not create a respondent link: {error}": "Impossible de créer un lien répondant : {error}",
+  "Remove respondent \"{name}\" and their answers?": "Supprimer le répondant « {name} » et ses réponses ?",
+  "Customer \"{name}\" already exists.": "Le client « {name} » existe déjà.",
+  "Delete assessment \"{title}\"?": "Supprimer l'évaluation « {title} » ?",
+  "Delete customer \"{name}\" and all of its assessments?": "Supprimer le client « {name} » et toutes ses évaluations ?",
+  "This file has no `answersByCap`; export it with Admin → Export Answers.": "Ce fichier ne contient pas `answersByCap` ; exportez-le via Admin → Exporter les réponses.",
+
+  // Header and tabs
+  "Report": "Rapport",
+  "Shared · read-only": "Partagé · lecture seule",
+  "Customers": "Clients",
+  "Setup": "Configuration",
+  "Assessment": "Évaluation",
+  "Compare": "Comparer",
+  "Admin": "Admin",
+  "Model: {version} ({source})": "Modèle : {version} ({source})",
+  "No model loaded — use Admin to import": "Aucun modèle chargé — importez-en un via Admin",
+  "shared link": "lien partagé",
+  "not saved to a customer": "non enregistré pour un client",
+  "Language of the app": "Langue de l'application",
+  "Leave shared view": "Quitter la vue partagée",
+
+  // Admin
+  "Mechanics": "Fonctionnement",
+  "Import Model": "Importer un modèle",
+  "Import Answers": "Importer les réponses",
+  "Export Model as Excel": "Exporter le modèle en Excel",
+  "Export Answers": "Exporter les réponses",
+  "Copy JSON": "Copier le JSON",
+  "Answers CSV": "CSV des réponses",
+  "Capability scores CSV": "CSV des scores par capacité",
+  "Lens scores CSV": "CSV des scores par angle",
+  "Results XLSX": "XLSX des résultats",
+  "Print answers": "Imprimer les réponses",
+  "Download PDF": "Télécharger le PDF",
+  "Export to PowerPoint": "Exporter vers PowerPoint",
+  "Capability": "Capacité",
+  "Lens": "Angle",
+  "Report group": "Groupe de rapport",
+  "Scoring weights": "Pondérations",
+  "The model declares no weights; every capability, lens and group counts equally.": "Le modèle ne déclare aucune pondération ; chaque capacité, angle et groupe compte de la même façon.",
+  "All weights are 1.": "Toutes les pondérations valent 1.",
+  "Model validation": "Validation du modèle",
+  "{n} error(s) — model not loaded": "{n} erreur(s) — modèle non chargé",
+  "Model loaded": "Modèle chargé",
+  "{n} warning(s)": "{n} avertissement(s)",
+  "Answer migration": "Migration des réponses",
+  "{kept} kept · {remapped} remapped · {dropped} dropped · {orphaned} orphaned": "{kept} conservée(s) · {remapped} réassignée(s) · {dropped} supprimée(s) · {orphaned} orpheline(s)",
+  "Changelog": "Nouveautés",
+  "Updated {date}": "Mis à jour le {date}",
+  "Cache history": "Historique du cache",
+  "Save snapshot": "Enregistrer un instantané",
+  "Date/Time": "Date/heure",
+  "Version": "Version",
+  "Customer": "Client",
+  "Assessor": "Évaluateur",
+  "Restore": "Restaurer",
+  "Delete": "Supprimer",
+  "Dev self-tests": "Autotests",
+  "Branding": "Identité visuelle",
+  "Costra logo": "Logo Costra",
+  "Upload": "Téléverser",
+  "Clear": "Effacer",
+  "Partner logo": "Logo du partenaire",
+  "No partner logo": "Pas de logo partenaire",
+  "Logos are stored locally in your browser and used in the footer.": "Les logos sont stockés localement dans votre navigateur et utilisés dans le pied de page.",
+  "Storage": "Stockage",
+  "used {used} of {quota}": "{used} utilisés sur {quota}",
+  "persistent": "persistant",
+  "may be evicted by the browser": "peut être effacé par le navigateur",
+  "Assessment autosaved {date}": "Évaluation enregistrée automatiquement le {date}",
+  "Not autosaved yet": "Pas encore enregistrée automatiquement",
+  "{n} snapshot(s)": "{n} instantané(s)",
+  "{n} workspace assessment(s)": "{n} évaluation(s) dans l'espace de travail",
+  "Storage errors": "Erreurs de stockage",
+
+  // Customers
+  "Customer name": "Nom du client",
+  "Add customer": "Ajouter un client",
+  "Save current work to “{customer}”": "Enregistrer le travail en cours pour « {customer} »",
+  "Close active assessment": "Fermer l'évaluation active",
+  "No customers yet. Add one, then start an assessment for it.": "Aucun client pour l'instant. Ajoutez-en un, puis lancez une évaluation.",
+  "{n} assessment(s)": "{n} évaluation(s)",
+  "last {score} / 100 {maturity}": "dernière {score} / 100 {maturity}",
+  "New assessment": "Nouvelle évaluation",
+  "Status": "Statut",
+  "Score": "Score",
+  "Updated": "Mis à jour",
+  "active": "active",
+  "Continue": "Continuer",
+  "Open": "Ouvrir",
+  "No assessments yet.": "Aucune évaluation pour l'instant.",
+  "Overall maturity trend": "Évolution de la maturité globale",
+
+  // Setup
+  "Date": "Date",
+  "the one who will give his cloud bill nightmares": "celui dont la facture cloud va faire des cauchemars",
+  "Assessment taken by": "Évaluation réalisée par",
+  "This assessment follows the guidelines of the FinOps Foundation.": "Cette évaluation suit les lignes directrices de la FinOps Foundation.",
+  "Respondents": "Répondants",
+  "Let finance, engineering, procurement and others answer separately; each respondent has their own answers and the Report combines them.": "Faites répondre séparément la finance, l'ingénierie, les achats et les autres ; chaque répondant a ses propres réponses et le rapport les combine.",
+  "Without respondents the assessment has a single set of answers.": "Sans répondants, l'évaluation n'a qu'un seul jeu de réponses.",
+  "Name": "Nom",
+  "Role": "Rôle",
+  "Answered": "Répondues",
+  "answering now": "répond maintenant",
+  "Answer as": "Répondre en tant que",
+  "Remove": "Supprimer",
+  "Respondent name": "Nom du répondant",
+  "Add respondent": "Ajouter un répondant",
+  "Copy respondent link": "Copier le lien répondant",
+  "Select capabilities": "Choisir les capacités",
+  "No model loaded. Open Admin and use Import Model to load a questionnaire.": "Aucun modèle chargé. Ouvrez Admin et utilisez Importer un modèle pour charger un questionnaire.",
+  "Select all": "Tout sélectionner",
+  "{n} / {total} selected": "{n} / {total} sélectionnée(s)",
+  "Target for all": "Cible pour toutes",
+  "choose…": "choisir…",
+  "No target": "Pas de cible",
+
+  // Assessment
+  "No model loaded. Use Admin → Import Model.": "Aucun modèle chargé. Utilisez Admin → Importer un modèle.",
+  "Answering as": "Répond en tant que",
+  "{n} answers given": "{n} réponse(s) données",
+  "← Prev": "← Précédent",
+  "{n} / {total} answered": "{n} / {total} répondue(s)",
+  "Select at least one capability in Setup.": "Sélectionnez au moins une capacité dans Configuration.",
+
+  // Compare
+  "Compare assessments": "Comparer des évaluations",
+  "A (earlier)": "A (antérieure)",
+  "Choose…": "Choisir…",
+  "B (later)": "B (ultérieure)",
+  "Add answers file": "Ajouter un fichier de réponses",
+  "Pick two different snapshots or answer files. Snapshots are saved in": "Choisissez deux instantanés ou fichiers de réponses différents. Les instantanés sont enregistrés dans",
+  "Admin → Cache history": "Admin → Historique du cache",
+  "Current assessment": "Évaluation en cours",
+  "Snapshot": "Instantané",
+  "File": "Fichier",
+  "Overall": "Global",
+  "Change": "Évolution",
+  "Spider A vs B": "Radar A vs B",
+  "Deltas": "Écarts",
+  "Changed answers": "Réponses modifiées",
+  "No question changed level between A and B.": "Aucune question n'a changé de niveau entre A et B.",
+  "Question": "Question",
+  "A → B": "A → B",
+
+  // Report
+  "Shared report for {customer}": "Rapport partagé pour {customer}",
+  "Shared report": "Rapport partagé",
+  "read-only. Changes are not saved.": "lecture seule. Les modifications ne sont pas enregistrées.",
+  "This link was made with model {shared}, but model {loaded} is loaded and its questions or scoring differ. Scores below may not match what the sender saw.": "Ce lien a été créé avec le modèle {shared}, mais le modèle {loaded} est chargé et ses questions ou sa notation diffèrent. Les scores ci-dessous peuvent différer de ce que l'expéditeur a vu.",
+  "Maturity": "Maturité",
+  "Language of the report and its exports": "Langue du rapport et de ses exports",
+  "Share link": "Lien de partage",
+  "Spider by capability": "Radar par capacité",
+  "Lens insights": "Analyse par angle",
+  "Hide": "Masquer",
+  "Show": "Afficher",
+  "Overall trend (all capabilities)": "Tendance globale (toutes les capacités)",
+  "Capability focus": "Zoom sur une capacité",
+  "Select a capability.": "Sélectionnez une capacité.",
+  "Gap analysis": "Analyse des écarts",
+  "No targets set. Choose a target level per capability in": "Aucune cible définie. Choisissez un niveau cible par capacité dans",
+  "Capabilities by gap": "Capacités par écart",
+  "Gap": "Écart",
+  "Lenses by gap": "Angles par écart",
+  "Next steps": "Prochaines étapes",
+  "Backlog CSV": "Backlog CSV",
+  "Backlog JSON": "Backlog JSON",
+  "No next steps: answer questions in": "Aucune prochaine étape : répondez aux questions dans",
+  "(questions at Fly or at their target need none).": "(les questions au niveau Fly ou à leur cible n'en ont pas besoin).",
+  "Combine answers by": "Combiner les réponses par",
+  "Scores combine {n} respondents ({names}) per question. Combined level: {method}. N/A and \"Don't know\" answers are left out.": "Les scores combinent {n} répondants ({names}) par question. Niveau combiné : {method}. Les réponses N/A et « Je ne sais pas » ne sont pas prises en compte.",
+  "Disagreement ({n}+ levels apart)": "Désaccords ({n}+ niveaux d'écart)",
+  "Respondents agree within one level on every question.": "Les répondants sont d'accord à un niveau près sur chaque question.",
+  "Spread": "Écart",
+  "Answers": "Réponses",
+  "{n} not scored": "{n} non notée(s)",
+  "Answer": "Réponse",
+
+  // PDF and PowerPoint
+  "FinOps maturity assessment report": "Rapport d'évaluation de la maturité FinOps",
+  "Model version": "Version du modèle",
+  "Lens trend (all capabilities)": "Tendance par angle (toutes les capacités)",
+  "Page {n} / {total}": "Page {n} / {total}",
+  "Overall maturity": "Maturité globale",
+  "target {level}": "cible {level}",
+  "Recommended next steps": "Prochaines étapes recommandées",
+  "No next steps — every answered question is at its target level.": "Aucune prochaine étape — chaque question répondue est à son niveau cible.",
+  "Now": "Actuel",
+  "Next": "Suivant",
+  "Next step": "Prochaine étape",
+  "Peer median": "Médiane des pairs",
+  "Peer quartiles (25–75%)": "Quartiles des pairs (25–75 %)",
+  "Could not import the benchmark: {error}": "Impossible d'importer le benchmark : {error}",
+  "Local benchmark ({n} customers)": "Benchmark local ({n} clients)",
+  "Not enough answer files: a benchmark needs at least {min} customers.": "Pas assez de fichiers de réponses : un benchmark nécessite au moins {min} clients.",
+  "Benchmark built from {n} customers ({skipped} files not used) and downloaded.": "Benchmark construit à partir de {n} clients ({skipped} fichiers non utilisés) et téléchargé.",
+  "Remove the benchmark?": "Supprimer le benchmark ?",
+  "Benchmark": "Benchmark",
+  "Import benchmark": "Importer un benchmark",
+  "Build from a folder of answer files": "Construire à partir d'un dossier de fichiers de réponses",
+  "{name} · {segments} segment(s) · model {version} · created {date}": "{name} · {segments} segment(s) · modèle {version} · créé le {date}",
+  "No benchmark loaded. Building one scores every exported answer file on the current model and keeps only aggregates (median and quartiles, plus minimum and maximum from {range} customers) for groups of at least {min} customers.": "Aucun benchmark chargé. La construction note chaque fichier de réponses exporté avec le modèle actuel et ne conserve que des agrégats (médiane et quartiles, ainsi que minimum et maximum à partir de {range} clients) pour des groupes d'au moins {min} clients.",
+  "Industry": "Secteur",
+  "Company size": "Taille de l'entreprise",
+  "All peers": "Tous les pairs",
+  "no peer data": "pas de données de pairs",
+  "Peer benchmark": "Benchmark des pairs",
+  "Peer group": "Groupe de pairs",
+  "Closest to this customer": "Le plus proche de ce client",
+  "{segment} · {n} peers · {name}": "{segment} · {n} pairs · {name}",
+  "overall {value} vs. median {median} (P{percentile})": "global {value} contre médiane {median} (P{percentile})",
+  "The benchmark was built on model {benchmark}; model {loaded} is loaded, so some capabilities may not line up.": "Le benchmark a été construit sur le modèle {benchmark} ; le modèle {loaded} est chargé, certaines capacités peuvent donc ne pas correspondre.",
+  "Percentile": "Percentile",
+  "Financial services": "Services financiers",
+  "Public sector": "Secteur public",
+  "Retail & e-commerce": "Commerce & e-commerce",
+  "Manufacturing": "Industrie manufacturière",
+  "Technology & software": "Technologie & logiciels",
+  "Healthcare & life sciences": "Santé & sciences de la vie",
+  "Telecom & media": "Télécoms & médias",
+  "Energy & utilities": "Énergie & services publics",
+  "Transport & logistics": "Transport & logistique",
+  "< 250 employees": "< 250 employés",
+  "250–1,000 employees": "250–1 000 employés",
+  "1,000–5,000 employees": "1 000–5 000 employés",
+  "> 5,000 employees": "> 5 000 employés",
+  "Delete capability \"{name}\" and its {n} question(s)?": "Supprimer la capacité « {name} » et ses {n} question(s) ?",
+  "Delete question \"{text}\"?": "Supprimer la question « {text} » ?",
+  "Discard {n} change(s) to the model?": "Abandonner {n} modification(s) du modèle ?",
+  "Download model": "Télécharger le modèle",
+  "Use in this session": "Utiliser dans cette session",
+  "Close editor": "Fermer l'éditeur",
+  "{n} error(s)": "{n} erreur(s)",
+  "{n} change(s)": "{n} modification(s)",
+  "(unnamed)": "(sans nom)",
+  "+ Capability": "+ Capacité",
+  "Key": "Clé",
+  "Description": "Description",
+  "Question {n}": "Question {n}",
+  "Id": "Id",
+  "(no lens)": "(aucun angle)",
+  "Question text": "Texte de la question",
+  "Level": "Niveau",
+  "Option text": "Texte de l'option",
+  "+ Question": "+ Question",
+  "Preview": "Aperçu",
+  "This capability has no questions yet.": "Cette capacité n'a pas encore de questions.",
+  "Changes against the loaded model": "Modifications par rapport au modèle chargé",
+  "No changes yet.": "Aucune modification pour l'instant.",
+  "Translations, weights and the maturity scale are kept as they are; removed or renamed questions lose their answers when the model is used.": "Les traductions, les pondérations et l'échelle de maturité restent inchangées ; les questions supprimées ou renommées perdent leurs réponses lorsque le modèle est utilisé.",
+  "Model editor": "Éditeur de modèle",
+  "Edit model": "Modifier le modèle",
+  "Add, reorder and delete capabilities and questions, and edit lenses, option texts and scores, without editing model.json by hand. The result is downloaded as a new model file.": "Ajoutez, réordonnez et supprimez des capacités et des questions, et modifiez les angles, les textes des options et les scores sans éditer model.json à la main. Le résultat est téléchargé comme un nouveau fichier de modèle.",
+  "added": "ajouté",
+  "removed": "supprimé",
+  "moved": "déplacé",
+  "changed": "modifié",
+  "Scores by domain": "Scores par domaine",
+  "{n} capabilities": "{n} capacités",
+  "Understand Usage & Cost": "Comprendre l'utilisation et les coûts",
+  "Quantify Business Value": "Quantifier la valeur métier",
+  "Optimize Usage & Cost": "Optimiser l'utilisation et les coûts",
+  "Manage the FinOps Practice": "Gérer la pratique FinOps",
+  "Disconnect from the server? Everything stays in this browser; changes are no longer synced.": "Se déconnecter du serveur ? Tout reste dans ce navigateur ; les modifications ne sont plus synchronisées.",
+  "The assessment changed on the server while syncing; it is synced again shortly.": "L'évaluation a changé sur le serveur pendant la synchronisation ; elle sera resynchronisée sous peu.",
+  "offline": "hors ligne",
+  "sync conflict": "conflit de synchronisation",
+  "synced": "synchronisé",
+  "Sync paused: this assessment was changed both here and on the server.": "Synchronisation suspendue : cette évaluation a été modifiée ici et sur le serveur.",
+  "Resolve": "Résoudre",
+  "Server sync": "Synchronisation serveur",
+  "Access token (optional)": "Jeton d'accès (facultatif)",
+  "Sync now": "Synchroniser maintenant",
+  "Assessments on the server": "Évaluations sur le serveur",
+  "Disconnect": "Se déconnecter",
+  "Connect": "Se connecter",
+  "Not connected. Everything is stored in this browser only; connect to a sync server (npm run server) to continue assessments from another browser or with colleagues.": "Non connecté. Tout est enregistré uniquement dans ce navigateur ; connectez-vous à un serveur de synchronisation (npm run server) pour poursuivre des évaluations depuis un autre navigateur ou avec des collègues.",
+  "Connecting…": "Connexion…",
+  "Syncing…": "Synchronisation…",
+  "Connected · last synced {date}": "Connecté · dernière synchronisation {date}",
+  "Connected": "Connecté",
+  "Sync paused: resolve the conflicts below.": "Synchronisation suspendue : résolvez les conflits ci-dessous.",
+  "Sync failed: {error} Your work is kept in this browser.": "Échec de la synchronisation : {error} Votre travail est conservé dans ce navigateur.",
+  "Open or save an assessment to sync it.": "Ouvrez ou enregistrez une évaluation pour la synchroniser.",
+  "Changed both here and on the server: “{title}”": "Modifié ici et sur le serveur : « {title} »",
+  "Everything else was merged. Choose which version to keep for each of these {n} value(s).": "Tout le reste a été fusionné. Choisissez la version à conserver pour chacune de ces {n} valeur(s).",
+  "This browser": "Ce navigateur",
+  "Server": "Serveur",
+  "All from this browser": "Tout depuis ce navigateur",
+  "All from the server": "Tout depuis le serveur",
+  "Apply and sync": "Appliquer et synchroniser",
+  "Copy here and open": "Copier ici et ouvrir",
+  "No assessments on the server yet.": "Aucune évaluation sur le serveur pour l'instant.",
+  "no answers": "aucune réponse",
+  "Click to see the answers": "Cliquez pour voir les réponses",
+  "Could not export the chart: {error}": "Impossible d'exporter le graphique : {error}",
+  "Per lens": "Par angle",
+  "attachment not included in link": "pièce jointe non incluse dans le lien",
+  "\"{title}\" is not part of the open assessment. Add it as a new assessment for \"{customer}\"?": "« {title} » ne fait pas partie de l’évaluation ouverte. L’ajouter comme nouvelle évaluation pour « {customer} » ?",
+  "Respondent \"{name}\" ({role}) is already part of this assessment. Replace their answers with this file?": "Le répondant « {name} » ({role}) fait déjà partie de cette évaluation. Remplacer ses réponses par ce fichier ?",
+  "What changed": "Nouveautés",
+  "split into a separate tab.": "déplacé dans un onglet séparé.",
+  "meta fields (date, customer, assessor@costra.io) and clearer calls to action.": "métadonnées (date, client, assessor@costra.io) et appels à l'action plus clairs.",
+  "per capability with Previous/Next navigation.": "par capacité, avec navigation Précédent/Suivant.",
+  "multi-colour lens bars, an SVG spider and a printable maturity thermometer.": "barres d'angle multicolores, un radar SVG et un thermomètre de maturité imprimable.",
+  "overall lens trend across all capabilities, plus a capability picker to zoom in.": "tendance par angle sur toutes les capacités, plus un choix de capacité pour zoomer.",
+  "Snapshots": "Instantanés",
+  "save, restore and delete in browser storage; the export now includes appName.": "enregistrer, restaurer et supprimer dans le stockage du navigateur ; l'export contient désormais appName.",
+  "Costra plus an optional partner logo; the footer reads “Powered by Costra together with Partner” only when a partner is set.": "Costra plus un logo partenaire facultatif ; le pied de page affiche « Powered by Costra together with Partner » uniquement si un partenaire est défini.",
+  "Print": "Impression",
+  "cleaner layout and minor UI polish.": "mise en page plus nette et petites améliorations de l'interface.",
+  "firstname.lastname": "prénom.nom",
+  "Browser storage is full — delete old snapshots or large attachments/logos.": "Le stockage du navigateur est plein — supprimez d'anciens instantanés ou des pièces jointes/logos volumineux.",
+  "rounded to the nearest level": "arrondie au niveau le plus proche",
+  "lower middle level for an even count": "niveau médian inférieur pour un nombre pair",
+};
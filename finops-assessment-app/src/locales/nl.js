@@ -0,0 +1,443 @@
+// ---- Nederlands. Keys are the English source strings (see i18n.js); keep {placeholders} as they are.
+// Crawl/Walk/Run/Fly are the FinOps Foundation's own terms and stay English.
+export default {
+  // Scale, lenses and fixed lists
+  "Pre-crawl": "Pre-crawl",
+  "Crawl": "Crawl",
+  "Walk": "Walk",
+  "Run": "Run",
+  "Fly": "Fly",
+  "Knowledge": "Kennis",
+  "Process": "Proces",
+  "Metrics": "Metrieken",
+  "Adoption": "Adoptie",
+  "Automation": "Automatisering",
+  "FinOps practitioner": "FinOps-practitioner",
+  "Finance": "Financiën",
+  "Engineering": "Engineering",
+  "Procurement": "Aankoop",
+  "Product": "Product",
+  "Leadership": "Management",
+  "Other": "Andere",
+  "Mean": "Gemiddelde",
+  "Median": "Mediaan",
+  "Minimum": "Minimum",
+  "Maximum": "Maximum",
+  "Low": "Laag",
+  "Medium": "Gemiddeld",
+  "High": "Hoog",
+  "Draft": "Concept",
+  "In progress": "Bezig",
+  "Completed": "Afgerond",
+  "Not applicable": "Niet van toepassing",
+  "Don't know": "Weet ik niet",
+  "remapped": "omgezet",
+  "dropped": "verwijderd",
+  "orphaned": "zonder vraag",
+
+  // Answer details
+  "Attachment too large (max 2 MB). Add a link instead.": "Bijlage te groot (max. 2 MB). Voeg een link toe.",
+  "Notes, evidence & confidence": "Notities, bewijs & zekerheid",
+  "Why was this answer chosen?": "Waarom werd dit antwoord gekozen?",
+  "Evidence link": "Link naar bewijs",
+  "Add link": "Link toevoegen",
+  "Attach file": "Bestand bijvoegen",
+  "Confidence": "Zekerheid",
+  "remove": "verwijderen",
+  "Note:": "Notitie:",
+  "Evidence:": "Bewijs:",
+  "Confidence:": "Zekerheid:",
+  "Note": "Notitie",
+  "Evidence": "Bewijs",
+
+  // Charts
+  "Overall {score} / 100": "Globaal {score} / 100",
+  "No data.": "Geen gegevens.",
+  "Current": "Huidig",
+  "Target": "Doel",
+  "Baseline": "Vertrekpunt",
+
+  // Respondent questionnaire
+  "The questionnaire could not be loaded (HTTP {status}).": "De vragenlijst kon niet geladen worden (HTTP {status}).",
+  "The questionnaire on this site is invalid; contact your assessor.": "De vragenlijst op deze site is ongeldig; neem contact op met uw assessor.",
+  "Could not create a resume code: {error}": "Kon geen hervattingscode maken: {error}",
+  "This resume code is not valid: {error}": "Deze hervattingscode is ongeldig: {error}",
+  "Respondent": "Respondent",
+  "Questionnaire for {customer}": "Vragenlijst voor {customer}",
+  "Questionnaire": "Vragenlijst",
+  "Loading the questionnaire…": "Vragenlijst laden…",
+  "The questionnaire changed since this link was made. You can still answer; your assessor will match the answers up.": "De vragenlijst is gewijzigd sinds deze link gemaakt werd. U kunt nog steeds antwoorden; uw assessor koppelt de antwoorden.",
+  "Welcome": "Welkom",
+  "{who} to answer {n} questions about how {customer} manages cloud cost (FinOps).": "{who} om {n} vragen te beantwoorden over hoe {customer} cloudkosten beheert (FinOps).",
+  "{assessor} asks you": "{assessor} vraagt u",
+  "You are asked": "U wordt gevraagd",
+  "your organisation": "uw organisatie",
+  "Pick the description closest to today's situation; use \"Don't know\" or \"Not applicable\" where needed. It takes about {minutes} minutes and you can stop and resume at any time.": "Kies de beschrijving die het dichtst bij de huidige situatie ligt; gebruik \"Weet ik niet\" of \"Niet van toepassing\" waar nodig. Het duurt ongeveer {minutes} minuten en u kunt op elk moment stoppen en later verdergaan.",
+  "Your name": "Uw naam",
+  "Your role": "Uw rol",
+  "Start": "Starten",
+  "Continuing on another device? Paste your resume code or link.": "Verder op een ander toestel? Plak uw hervattingscode of -link.",
+  "Resume": "Hervatten",
+  "Question {n} of {total}": "Vraag {n} van {total}",
+  "{n} answered": "{n} beantwoord",
+  "Comment (optional)": "Opmerking (optioneel)",
+  "← Back": "← Terug",
+  "Finish": "Afronden",
+  "Next →": "Volgende →",
+  "Save & resume later": "Bewaren & later verdergaan",
+  "Thank you, {name}": "Bedankt, {name}",
+  "You answered {n} of {total} questions. Download your answers and send the file to {assessor}.": "U beantwoordde {n} van de {total} vragen. Download uw antwoorden en stuur het bestand naar {assessor}.",
+  "your assessor": "uw assessor",
+  "Download answers file": "Antwoordbestand downloaden",
+  "← Review answers": "← Antwoorden nakijken",
+  "Your progress is saved": "Uw voortgang is bewaard",
+  "This browser remembers where you were. To continue elsewhere, keep this resume link (or paste the code on the start screen):": "Deze browser onthoudt waar u was. Om elders verder te gaan, bewaar deze hervattingslink (of plak de code op het startscherm):",
+  "Resume link copied.": "Hervattingslink gekopieerd.",
+  "Copy failed: {error}": "Kopiëren mislukt: {error}",
+  "Copy link": "Link kopiëren",
+  "Resume code copied.": "Hervattingscode gekopieerd.",
+  "Copy code": "Code kopiëren",
+  "Close": "Sluiten",
+  "Language": "Taal",
+  "questions untranslated": "vragen niet vertaald",
+
+  // Messages
+  "Could not open the share link: {error}": "Kon de gedeelde link niet openen: {error}",
+  "Invalid JSON: {error}": "Ongeldige JSON: {error}",
+  "No model loaded.": "Geen model geladen.",
+  "Excel export failed: {error}": "Excel-export mislukt: {error}",
+  "Could not import answers: {error}": "Kon de antwoorden niet importeren: {error}",
+  "Share link copied to clipboard ({n} characters).": "Deellink gekopieerd naar het klembord ({n} tekens).",
+  "Some mail clients cut off links this long — send it in a chat or document instead.": "Sommige mailprogramma's knippen zulke lange links af — stuur hem liever via chat of in een document.",
+  "Could not create a share link: {error}": "Kon geen deellink maken: {error}",
+  "Copied to clipboard.": "Gekopieerd naar het klembord.",
+  "No report to export.": "Geen rapport om te exporteren.",
+  "PDF export failed: {error}": "PDF-export mislukt: {error}",
+  "PowerPoint export failed: {error}": "PowerPoint-export mislukt: {error}",
+  "Snapshot saved.": "Snapshot bewaard.",
+  "Snapshot could not be stored — see Admin → Storage.": "Snapshot kon niet bewaard worden — zie Admin → Opslag.",
+  "Snapshot not found": "Snapshot niet gevonden",
+  "Save the current work for \"{customer}\" to the workspace first?": "Het huidige werk voor \"{customer}\" eerst in de werkruimte bewaren?",
+  "Unnamed customer": "Naamloze klant",
+  "Respondent \"{name}\" already exists.": "Respondent \"{name}\" bestaat al.",
+  "Respondent link copied to clipboard. Respondents answer one question at a time and send you an answers file; import it with Admin → Import Answers to add them as a respondent.": "Respondentlink gekopieerd naar het klembord. Respondenten beantwoorden één vraag per keer en sturen u een antwoordbestand; importeer het met Admin → Antwoorden importeren om hen als respondent toe te voegen.",
+  "Note: respondents get the site's public/model.json, not the model you imported.": "Let op: respondenten krijgen public/model.json van de site, niet het model dat u importeerde.",
+  "Could not create a respondent link: {error}": "Kon geen respondentlink maken: {error}",
+  "Remove respondent \"{name}\" and their answers?": "Respondent \"{name}\" en de antwoorden verwijderen?",
+  "Customer \"{name}\" already exists.": "Klant \"{name}\" bestaat al.",
+  "Delete assessment \"{title}\"?": "Assessment \"{title}\" verwijderen?",
+  "Delete customer \"{name}\" and all of its assessments?": "Klant \"{name}\" en al zijn assessments verwijderen?",
+  "This file has no `answersByCap`; export it with Admin → Export Answers.": "Dit bestand heeft geen `answersByCap`; exporteer het met Admin → Antwoorden exporteren.",
+
+  // Header and tabs
+  "Report": "Rapport",
+  "Shared · read-only": "Gedeeld · alleen lezen",
+  "Customers": "Klanten",
+  "Setup": "Opzet",
+  "Assessment": "Assessment",
+  "Compare": "Vergelijken",
+  "Admin": "Admin",
+  "Model: {version} ({source})": "Model: {version} ({source})",
+  "No model loaded — use Admin to import": "Geen model geladen — importeer er een via Admin",
+  "shared link": "gedeelde link",
+  "not saved to a customer": "niet bij een klant bewaard",
+  "Language of the app": "Taal van de app",
+  "Leave shared view": "Gedeelde weergave verlaten",
+
+  // Admin
+  "Mechanics": "Werking",
+  "Import Model": "Model importeren",
+  "Import Answers": "Antwoorden importeren",
+  "Export Model as Excel": "Model exporteren als Excel",
+  "Export Answers": "Antwoorden exporteren",
+  "Copy JSON": "JSON kopiëren",
+  "Answers CSV": "Antwoorden-CSV",
+  "Capability scores CSV": "Capabilityscores-CSV",
+  "Lens scores CSV": "Lensscores-CSV",
+  "Results XLSX": "Resultaten-XLSX",
+  "Print answers": "Antwoorden afdrukken",
+  "Download PDF": "PDF downloaden",
+  "Export to PowerPoint": "Exporteren naar PowerPoint",
+  "Capability": "Capability",
+  "Lens": "Lens",
+  "Report group": "Rapportgroep",
+  "Scoring weights": "Gewichten",
+  "The model declares no weights; every capability, lens and group counts equally.": "Het model bevat geen gewichten; elke capability, lens en groep telt even zwaar.",
+  "All weights are 1.": "Alle gewichten zijn 1.",
+  "Model validation": "Modelvalidatie",
+  "{n} error(s) — model not loaded": "{n} fout(en) — model niet geladen",
+  "Model loaded": "Model geladen",
+  "{n} warning(s)": "{n} waarschuwing(en)",
+  "Answer migration": "Antwoordmigratie",
+  "{kept} kept · {remapped} remapped · {dropped} dropped · {orphaned} orphaned": "{kept} behouden · {remapped} omgezet · {dropped} verwijderd · {orphaned} zonder vraag",
+  "Changelog": "Wijzigingen",
+  "Updated {date}": "Bijgewerkt {date}",
+  "Cache history": "Cachegeschiedenis",
+  "Save snapshot": "Snapshot bewaren",
+  "Date/Time": "Datum/tijd",
+  "Version": "Versie",
+  "Customer": "Klant",
+  "Assessor": "Assessor",
+  "Restore": "Herstellen",
+  "Delete": "Verwijderen",
+  "Dev self-tests": "Zelftests",
+  "Branding": "Huisstijl",
+  "Costra logo": "Costra-logo",
+  "Upload": "Uploaden",
+  "Clear": "Wissen",
+  "Partner logo": "Partnerlogo",
+  "No partner logo": "Geen partnerlogo",
+  "Logos are stored locally in your browser and used in the footer.": "Logo's worden lokaal in uw browser bewaard en in de voettekst gebruikt.",
+  "Storage": "Opslag",
+  "used {used} of {quota}": "{used} van {quota} gebruikt",
+  "persistent": "blijvend",
+  "may be evicted by the browser": "kan door de browser gewist worden",
+  "Assessment autosaved {date}": "Assessment automatisch bewaard {date}",
+  "Not autosaved yet": "Nog niet automatisch bewaard",
+  "{n} snapshot(s)": "{n} snapshot(s)",
+  "{n} workspace assessment(s)": "{n} assessment(s) in de werkruimte",
+  "Storage errors": "Opslagfouten",
+
+  // Customers
+  "Customer name": "Klantnaam",
+  "Add customer": "Klant toevoegen",
+  "Save current work to “{customer}”": "Huidig werk bewaren bij “{customer}”",
+  "Close active assessment": "Actief assessment sluiten",
+  "No customers yet. Add one, then start an assessment for it.": "Nog geen klanten. Voeg er een toe en start er een assessment voor.",
+  "{n} assessment(s)": "{n} assessment(s)",
+  "last {score} / 100 {maturity}": "laatste {score} / 100 {maturity}",
+  "New assessment": "Nieuw assessment",
+  "Status": "Status",
+  "Score": "Score",
+  "Updated": "Bijgewerkt",
+  "active": "actief",
+  "Continue": "Verdergaan",
+  "Open": "Openen",
+  "No assessments yet.": "Nog geen assessments.",
+  "Overall maturity trend": "Evolutie van de globale maturiteit",
+
+  // Setup
+  "Date": "Datum",
+  "the one who will give his cloud bill nightmares": "degene wiens cloudfactuur nachtmerries gaat krijgen",
+  "Assessment taken by": "Assessment afgenomen door",
+  "This assessment follows the guidelines of the FinOps Foundation.": "Dit assessment volgt de richtlijnen van de FinOps Foundation.",
+  "Respondents": "Respondenten",
+  "Let finance, engineering, procurement and others answer separately; each respondent has their own answers and the Report combines them.": "Laat finance, engineering, aankoop en anderen afzonderlijk antwoorden; elke respondent heeft eigen antwoorden en het rapport combineert ze.",
+  "Without respondents the assessment has a single set of answers.": "Zonder respondenten heeft het assessment één set antwoorden.",
+  "Name": "Naam",
+  "Role": "Rol",
+  "Answered": "Beantwoord",
+  "answering now": "antwoordt nu",
+  "Answer as": "Antwoorden als",
+  "Remove": "Verwijderen",
+  "Respondent name": "Naam respondent",
+  "Add respondent": "Respondent toevoegen",
+  "Copy respondent link": "Respondentlink kopiëren",
+  "Select capabilities": "Capabilities kiezen",
+  "No model loaded. Open Admin and use Import Model to load a questionnaire.": "Geen model geladen. Open Admin en gebruik Model importeren om een vragenlijst te laden.",
+  "Select all": "Alles kiezen",
+  "{n} / {total} selected": "{n} / {total} gekozen",
+  "Target for all": "Doel voor alle",
+  "choose…": "kies…",
+  "No target": "Geen doel",
+
+  // Assessment
+  "No model loaded. Use Admin → Import Model.": "Geen model geladen. Gebruik Admin → Model importeren.",
+  "Answering as": "Antwoorden als",
+  "{n} answers given": "{n} antwoorden gegeven",
+  "← Prev": "← Vorige",
+  "{n} / {total} answered": "{n} / {total} beantwoord",
+  "Select at least one capability in Setup.": "Kies minstens één capability in Opzet.",
+
+  // Compare
+  "Compare assessments": "Assessments vergelijken",
+  "A (earlier)": "A (vroeger)",
+  "Choose…": "Kies…",
+  "B (later)": "B (later)",
+  "Add answers file": "Antwoordbestand toevoegen",
+  "Pick two different snapshots or answer files. Snapshots are saved in": "Kies twee verschillende snapshots of antwoordbestanden. Snapshots worden bewaard in",
+  "Admin → Cache history": "Admin → Cachegeschiedenis",
+  "Current assessment": "Huidig assessment",
+  "Snapshot": "Snapshot",
+  "File": "Bestand",
+  "Overall": "Globaal",
+  "Change": "Verschil",
+  "Spider A vs B": "Spider A vs B",
+  "Deltas": "Verschillen",
+  "Changed answers": "Gewijzigde antwoorden",
+  "No question changed level between A and B.": "Geen enkele vraag veranderde van niveau tussen A en B.",
+  "Question": "Vraag",
+  "A → B": "A → B",
+
+  // Report
+  "Shared report for {customer}": "Gedeeld rapport voor {customer}",
+  "Shared report": "Gedeeld rapport",
+  "read-only. Changes are not saved.": "alleen lezen. Wijzigingen worden niet bewaard.",
+  "This link was made with model {shared}, but model {loaded} is loaded and its questions or scoring differ. Scores below may not match what the sender saw.": "Deze link werd gemaakt met model {shared}, maar model {loaded} is geladen en de vragen of scores verschillen. De scores hieronder kunnen afwijken van wat de afzender zag.",
+  "Maturity": "Maturiteit",
+  "Language of the report and its exports": "Taal van het rapport en de exports",
+  "Share link": "Deellink",
+  "Spider by capability": "Spider per capability",
+  "Lens insights": "Inzichten per lens",
+  "Hide": "Verbergen",
+  "Show": "Tonen",
+  "Overall trend (all capabilities)": "Globale trend (alle capabilities)",
+  "Capability focus": "Focus op capability",
+  "Select a capability.": "Kies een capability.",
+  "Gap analysis": "Gap-analyse",
+  "No targets set. Choose a target level per capability in": "Geen doelen ingesteld. Kies een doelniveau per capability in",
+  "Capabilities by gap": "Capabilities volgens gap",
+  "Gap": "Gap",
+  "Lenses by gap": "Lenzen volgens gap",
+  "Next steps": "Volgende stappen",
+  "Backlog CSV": "Backlog-CSV",
+  "Backlog JSON": "Backlog-JSON",
+  "No next steps: answer questions in": "Geen volgende stappen: beantwoord vragen in",
+  "(questions at Fly or at their target need none).": "(vragen op Fly of op hun doel hebben er geen nodig).",
+  "Combine answers by": "Antwoorden combineren via",
+  "Scores combine {n} respondents ({names}) per question. Combined level: {method}. N/A and \"Don't know\" answers are left out.": "De scores combineren {n} respondenten ({names}) per vraag. Gecombineerd niveau: {method}. Antwoorden N/A en \"Weet ik niet\" tellen niet mee.",
+  "Disagreement ({n}+ levels apart)": "Onenigheid ({n}+ niveaus verschil)",
+  "Respondents agree within one level on every question.": "De respondenten verschillen bij geen enkele vraag meer dan één niveau.",
+  "Spread": "Spreiding",
+  "Answers": "Antwoorden",
+  "{n} not scored": "{n} niet gescoord",
+  "Answer": "Antwoord",
+
+  // PDF and PowerPoint
+  "FinOps maturity assessment report": "Rapport FinOps-maturiteitsassessment",
+  "Model version": "Modelversie",
+  "Lens trend (all capabilities)": "Trend per lens (alle capabilities)",
+  "Page {n} / {total}": "Pagina {n} / {total}",
+  "Overall maturity": "Globale maturiteit",
+  "target {level}": "doel {level}",
+  "Recommended next steps": "Aanbevolen volgende stappen",
+  "No next steps — every answered question is at its target level.": "Geen volgende stappen — elke beantwoorde vraag zit op haar doelniveau.",
+  "Now": "Nu",
+  "Next": "Volgende",
+  "Next step": "Volgende stap",
+  "Peer median": "Mediaan peers",
+  "Peer quartiles (25–75%)": "Kwartielen peers (25–75%)",
+  "Could not import the benchmark: {error}": "De benchmark kon niet worden geïmporteerd: {error}",
+  "Local benchmark ({n} customers)": "Lokale benchmark ({n} klanten)",
+  "Not enough answer files: a benchmark needs at least {min} customers.": "Te weinig antwoordbestanden: een benchmark heeft minstens {min} klanten nodig.",
+  "Benchmark built from {n} customers ({skipped} files not used) and downloaded.": "Benchmark opgebouwd uit {n} klanten ({skipped} bestanden niet gebruikt) en gedownload.",
+  "Remove the benchmark?": "De benchmark verwijderen?",
+  "Benchmark": "Benchmark",
+  "Import benchmark": "Benchmark importeren",
+  "Build from a folder of answer files": "Opbouwen uit een map met antwoordbestanden",
+  "{name} · {segments} segment(s) · model {version} · created {date}": "{name} · {segments} segment(en) · model {version} · gemaakt {date}",
+  "No benchmark loaded. Building one scores every exported answer file on the current model and keeps only aggregates (median and quartiles, plus minimum and maximum from {range} customers) for groups of at least {min} customers.": "Geen benchmark geladen. Bij het opbouwen wordt elk geëxporteerd antwoordbestand op het huidige model gescoord en blijven alleen aggregaten (mediaan en kwartielen, vanaf {range} klanten ook minimum en maximum) over voor groepen van minstens {min} klanten.",
+  "Industry": "Sector",
+  "Company size": "Bedrijfsgrootte",
+  "All peers": "Alle peers",
+  "no peer data": "geen peerdata",
+  "Peer benchmark": "Peerbenchmark",
+  "Peer group": "Peergroep",
+  "Closest to this customer": "Best passend bij deze klant",
+  "{segment} · {n} peers · {name}": "{segment} · {n} peers · {name}",
+  "overall {value} vs. median {median} (P{percentile})": "totaal {value} t.o.v. mediaan {median} (P{percentile})",
+  "The benchmark was built on model {benchmark}; model {loaded} is loaded, so some capabilities may not line up.": "De benchmark is opgebouwd op model {benchmark}; model {loaded} is geladen, dus sommige capabilities sluiten mogelijk niet aan.",
+  "Percentile": "Percentiel",
+  "Financial services": "Financiële dienstverlening",
+  "Public sector": "Publieke sector",
+  "Retail & e-commerce": "Retail & e-commerce",
+  "Manufacturing": "Industrie",
+  "Technology & software": "Technologie & software",
+  "Healthcare & life sciences": "Zorg & life sciences",
+  "Telecom & media": "Telecom & media",
+  "Energy & utilities": "Energie & nutsbedrijven",
+  "Transport & logistics": "Transport & logistiek",
+  "< 250 employees": "< 250 medewerkers",
+  "250–1,000 employees": "250–1.000 medewerkers",
+  "1,000–5,000 employees": "1.000–5.000 medewerkers",
+  "> 5,000 employees": "> 5.000 medewerkers",
+  "Delete capability \"{name}\" and its {n} question(s)?": "Capability \"{name}\" en haar {n} vraag/vragen verwijderen?",
+  "Delete question \"{text}\"?": "Vraag \"{text}\" verwijderen?",
+  "Discard {n} change(s) to the model?": "{n} wijziging(en) aan het model verwerpen?",
+  "Download model": "Model downloaden",
+  "Use in this session": "Gebruiken in deze sessie",
+  "Close editor": "Editor sluiten",
+  "{n} error(s)": "{n} fout(en)",
+  "{n} change(s)": "{n} wijziging(en)",
+  "(unnamed)": "(naamloos)",
+  "+ Capability": "+ Capability",
+  "Key": "Sleutel",
+  "Description": "Beschrijving",
+  "Question {n}": "Vraag {n}",
+  "Id": "Id",
+  "(no lens)": "(geen lens)",
+  "Question text": "Vraagtekst",
+  "Level": "Niveau",
+  "Option text": "Optietekst",
+  "+ Question": "+ Vraag",
+  "Preview": "Voorbeeld",
+  "This capability has no questions yet.": "Deze capability heeft nog geen vragen.",
+  "Changes against the loaded model": "Wijzigingen ten opzichte van het geladen model",
+  "No changes yet.": "Nog geen wijzigingen.",
+  "Translations, weights and the maturity scale are kept as they are; removed or renamed questions lose their answers when the model is used.": "Vertalingen, gewichten en de maturiteitsschaal blijven zoals ze zijn; verwijderde of hernoemde vragen verliezen hun antwoorden wanneer het model wordt gebruikt.",
+  "Model editor": "Modeleditor",
+  "Edit model": "Model bewerken",
+  "Add, reorder and delete capabilities and questions, and edit lenses, option texts and scores, without editing model.json by hand. The result is downloaded as a new model file.": "Voeg capabilities en vragen toe, verander hun volgorde of verwijder ze, en bewerk lenzen, optieteksten en scores zonder model.json met de hand aan te passen. Het resultaat wordt gedownload als een nieuw modelbestand.",
+  "added": "toegevoegd",
+  "removed": "verwijderd",
+  "moved": "verplaatst",
+  "changed": "gewijzigd",
+  "Scores by domain": "Scores per domein",
+  "{n} capabilities": "{n} capabilities",
+  "Understand Usage & Cost": "Gebruik & kosten begrijpen",
+  "Quantify Business Value": "Bedrijfswaarde kwantificeren",
+  "Optimize Usage & Cost": "Gebruik & kosten optimaliseren",
+  "Manage the FinOps Practice": "De FinOps-praktijk beheren",
+  "Disconnect from the server? Everything stays in this browser; changes are no longer synced.": "Verbinding met de server verbreken? Alles blijft in deze browser; wijzigingen worden niet meer gesynchroniseerd.",
+  "The assessment changed on the server while syncing; it is synced again shortly.": "Het assessment is tijdens het synchroniseren op de server gewijzigd; het wordt zo opnieuw gesynchroniseerd.",
+  "offline": "offline",
+  "sync conflict": "synchronisatieconflict",
+  "synced": "gesynchroniseerd",
+  "Sync paused: this assessment was changed both here and on the server.": "Synchronisatie gepauzeerd: dit assessment is zowel hier als op de server gewijzigd.",
+  "Resolve": "Oplossen",
+  "Server sync": "Serversynchronisatie",
+  "Access token (optional)": "Toegangstoken (optioneel)",
+  "Sync now": "Nu synchroniseren",
+  "Assessments on the server": "Assessments op de server",
+  "Disconnect": "Verbinding verbreken",
+  "Connect": "Verbinden",
+  "Not connected. Everything is stored in this browser only; connect to a sync server (npm run server) to continue assessments from another browser or with colleagues.": "Niet verbonden. Alles wordt alleen in deze browser opgeslagen; verbind met een synchronisatieserver (npm run server) om assessments in een andere browser of met collega's voort te zetten.",
+  "Connecting…": "Verbinden…",
+  "Syncing…": "Synchroniseren…",
+  "Connected · last synced {date}": "Verbonden · laatst gesynchroniseerd {date}",
+  "Connected": "Verbonden",
+  "Sync paused: resolve the conflicts below.": "Synchronisatie gepauzeerd: los de conflicten hieronder op.",
+  "Sync failed: {error} Your work is kept in this browser.": "Synchroniseren mislukt: {error} Uw werk blijft in deze browser bewaard.",
+  "Open or save an assessment to sync it.": "Open of bewaar een assessment om het te synchroniseren.",
+  "Changed both here and on the server: “{title}”": "Zowel hier als op de server gewijzigd: “{title}”",
+  "Everything else was merged. Choose which version to keep for each of these {n} value(s).": "Al het andere is samengevoegd. Kies per waarde welke versie u wilt houden ({n}).",
+  "This browser": "Deze browser",
+  "Server": "Server",
+  "All from this browser": "Alles uit deze browser",
+  "All from the server": "Alles van de server",
+  "Apply and sync": "Toepassen en synchroniseren",
+  "Copy here and open": "Hierheen kopiëren en openen",
+  "No assessments on the server yet.": "Nog geen assessments op de server.",
+  "no answers": "geen antwoorden",
+  "Click to see the answers": "Klik om de antwoorden te zien",
+  "Could not export the chart: {error}": "De grafiek kon niet worden geëxporteerd: {error}",
+  "Per lens": "Per lens",
+  "attachment not included in link": "bijlage niet meegestuurd in de link",
+  "\"{title}\" is not part of the open assessment. Add it as a new assessment for \"{customer}\"?": "\"{title}\" hoort niet bij het geopende assessment. Als nieuw assessment voor \"{customer}\" toevoegen?",
+  "Respondent \"{name}\" ({role}) is already part of this assessment. Replace their answers with this file?": "Respondent \"{name}\" ({role}) maakt al deel uit van dit assessment. De antwoorden vervangen door dit bestand?",
+  "What changed": "Wat is er veranderd",
+  "split into a separate tab.": "staat nu op een eigen tabblad.",
+  "meta fields (date, customer, assessor@costra.io) and clearer calls to action.": "metagegevens (datum, klant, assessor@costra.io) en duidelijkere knoppen.",
+  "per capability with Previous/Next navigation.": "per capability, met navigatie via Vorige/Volgende.",
+  "multi-colour lens bars, an SVG spider and a printable maturity thermometer.": "meerkleurige lensbalken, een SVG-spider en een afdrukbare maturiteitsthermometer.",
+  "overall lens trend across all capabilities, plus a capability picker to zoom in.": "lenstrend over alle capabilities, plus een capabilitykeuze om in te zoomen.",
+  "Snapshots": "Snapshots",
+  "save, restore and delete in browser storage; the export now includes appName.": "bewaren, terugzetten en verwijderen in de browseropslag; de export bevat nu appName.",
+  "Costra plus an optional partner logo; the footer reads “Powered by Costra together with Partner” only when a partner is set.": "Costra plus een optioneel partnerlogo; de voettekst toont \"Powered by Costra together with Partner\" alleen als er een partner is ingesteld.",
+  "Print": "Afdrukken",
+  "cleaner layout and minor UI polish.": "strakkere opmaak en kleine verbeteringen aan de interface.",
+  "firstname.lastname": "voornaam.naam",
+  "Browser storage is full — delete old snapshots or large attachments/logos.": "De browseropslag is vol — verwijder oude snapshots of grote bijlagen/logo's.",
+  "rounded to the nearest level": "afgerond op het dichtstbijzijnde niveau",
+  "lower middle level for an even count": "laagste middelste niveau bij een even aantal",
+};
@@ -0,0 +1,278 @@
+// ---- Model helpers (pure, no React): question ids and answer migration
+export const LEVELS = ["Pre-crawl", "Crawl", "Walk", "Run", "Fly"];
+export const LENSES = ["Knowledge", "Process", "Metrics", "Adoption", "Automation"];
+// Answers that are recorded but left out of every score and denominator
+export const NOT_APPLICABLE = "N/A";
+export const DONT_KNOW = "Don't know";
+export const SKIP_ANSWERS = [NOT_APPLICABLE, DONT_KNOW];
+export const isSkipAnswer = (a) => SKIP_ANSWERS.includes(answerLevel(a));
+export const CONFIDENCE = ["Low", "Medium", "High"];
+
+// An answer is either a bare level string or { level, note?, evidence?: [{ name, url }], confidence? };
+// evidence from a share link can be { name, attachment: true }: an uploaded file that was left out of the link
+export const answerLevel = (a) => (a && typeof a === "object") ? a.level : a;
+export const hasAnswerDetails = (a) => !!(a && typeof a === "object" && (a.note || a.evidence?.length || a.confidence));
+
+// Maturity scale: score (0..100) → band. A model may override it with
+//   maturity: [{ key, label?, icon?, min }]  (ascending `min`, first band starting at 0)
+export const DEFAULT_MATURITY_SCALE = [
+  { key: "Pre-crawl", icon: "👶", min: 0 },
+  { key: "Crawl", icon: "🐢", min: 10 },
+  { key: "Walk", icon: "🚶", min: 30 },
+  { key: "Run", icon: "🏃", min: 55 },
+  { key: "Fly", icon: "🦸", min: 80 },
+];
+export const getMaturityScale = (model) => (Array.isArray(model?.maturity) && model.maturity.length) ? model.maturity : DEFAULT_MATURITY_SCALE;
+
+export function maturityFromScore(avg100, scale = DEFAULT_MATURITY_SCALE) {
+  let band = scale[0];
+  scale.forEach(b => { if (avg100 >= b.min) band = b; });
+  return { key: band.key, label: band.label || band.key, emoji: band.icon || "", min: band.min };
+}
+
+// Returns { errors, warnings } like validateModel, with paths relative to `path`
+export function validateMaturityScale(scale, path = "maturity") {
+  const errors = [], warnings = [];
+  if (!Array.isArray(scale) || !scale.length) { errors.push({ path, message: "Maturity scale must be a non-empty array." }); return { errors, warnings }; }
+  const keys = new Set();
+  scale.forEach((b, i) => {
+    const bp = `${path}[${i}]`;
+    if (!b || typeof b !== "object") { errors.push({ path: bp, message: "Band must be an object." }); return; }
+    if (typeof b.key !== "string" || !b.key.trim()) errors.push({ path: `${bp}.key`, message: "Missing band key." });
+    else if (keys.has(b.key)) errors.push({ path: `${bp}.key`, message: `Duplicate band "${b.key}".` });
+    else keys.add(b.key);
+    if (b.label != null && typeof b.label !== "string") errors.push({ path: `${bp}.label`, message: "Label must be a string." });
+    if (b.icon != null && typeof b.icon !== "string") errors.push({ path: `${bp}.icon`, message: "Icon must be a string." });
+    if (typeof b.min !== "number" || !Number.isFinite(b.min) || b.min < 0 || b.min > 100) errors.push({ path: `${bp}.min`, message: `Threshold must be a number in 0–100, got ${JSON.stringify(b.min)}.` });
+    else if (i && typeof scale[i - 1]?.min === "number" && b.min <= scale[i - 1].min) errors.push({ path: `${bp}.min`, message: "Thresholds must be strictly ascending." });
+  });
+  if (typeof scale[0]?.min === "number" && scale[0].min !== 0) warnings.push({ path: `${path}[0].min`, message: "First band does not start at 0; lower scores fall into it anyway." });
+  return { errors, warnings };
+}
+
+// Optional scoring weights declared by the model:
+//   weighting: { profile, capabilities: {capKey: w}, lenses: {Lens: w}, report_groups: {group: w} }
+// Anything not listed weighs 1.
+export function getWeighting(model) {
+  const w = model?.weighting || {};
+  const num = (map, k) => (typeof map?.[k] === "number" && map[k] >= 0) ? map[k] : 1;
+  return {
+    profile: w.profile || (model?.weighting ? "Custom" : "Equal weights"),
+    isDefault: !model?.weighting,
+    capabilities: w.capabilities || {}, lenses: w.lenses || {}, report_groups: w.report_groups || {},
+    lens: (lens) => num(w.lenses, lens),
+    cap: (cap) => num(w.capabilities, cap?.key) * (cap?.report_group ? num(w.report_groups, cap.report_group) : 1),
+  };
+}
+
+// Capabilities are grouped by `report_group`. The FinOps Framework domains come first, in framework
+// order; other groups follow in model order and ungrouped capabilities ("" group) come last.
+export const DOMAINS = ["Understand Usage & Cost", "Quantify Business Value", "Optimize Usage & Cost", "Manage the FinOps Practice"];
+export function reportGroups(model) {
+  const caps = model?.capabilities || [];
+  const groups = [...new Set(caps.map(c => c.report_group || ""))];
+  const rank = (g) => !g ? Infinity : (DOMAINS.includes(g) ? DOMAINS.indexOf(g) : DOMAINS.length + groups.indexOf(g));
+  return groups.sort((a, b) => rank(a) - rank(b)).map(group => ({ group, caps: caps.filter(c => (c.report_group || "") === group) }));
+}
+
+// Translations. The plain name/description/text/options are in `model.language` (default "en");
+// a capability may add translations: { <locale>: { name?, description? } } and a question
+// translations: { <locale>: { text?, options?: { <level>: text } } }. Gaps fall back to the plain text.
+export const modelLanguage = (model) => model?.language || "en";
+
+// Locales the model has text for: its own language plus every translation
+export function modelLocales(model) {
+  const found = new Set([modelLanguage(model)]);
+  (model?.capabilities || []).forEach(c => {
+    Object.keys(c.translations || {}).forEach(l => found.add(l));
+    (c.questions || []).forEach(q => Object.keys(q.translations || {}).forEach(l => found.add(l)));
+  });
+  return [...found];
+}
+
+// Copy of the model with texts in `locale`; keys, ids and scores are untouched, so answers and scoring still match
+export function localizeModel(model, locale) {
+  if (!model?.capabilities || !locale || locale === modelLanguage(model)) return model;
+  const pick = (tr, field, fallback) => (typeof tr?.[field] === "string" && tr[field].trim()) ? tr[field] : fallback;
+  return {
+    ...model,
+    capabilities: model.capabilities.map(cap => {
+      const ct = cap.translations?.[locale];
+      return {
+        ...cap,
+        name: pick(ct, "name", cap.name),
+        description: pick(ct, "description", cap.description),
+        questions: (cap.questions || []).map(q => {
+          const qt = q.translations?.[locale];
+          if (!qt) return q;
+          return { ...q, text: pick(qt, "text", q.text), options: Object.fromEntries(LEVELS.map(l => [l, pick(qt.options, l, q.options?.[l])]).filter(([, v]) => v != null)) };
+        }),
+      };
+    }),
+  };
+}
+
+// Give every question a stable `id`. Explicit ids in the model win; missing ones
+// fall back to `<capKey>-q<n>` (positional, so only stable until someone reorders).
+export function ensureQuestionIds(model) {
+  if (!model?.capabilities) return model;
+  return {
+    ...model,
+    capabilities: model.capabilities.map(cap => {
+      const seen = new Set();
+      const questions = (cap.questions || []).map((q, idx) => {
+        let id = q.id ? String(q.id) : `${cap.key}-q${idx + 1}`;
+        while (seen.has(id)) id = `${id}-${idx + 1}`;
+        seen.add(id);
+        return q.id === id ? q : { ...q, id };
+      });
+      return { ...cap, questions };
+    }),
+  };
+}
+
+// {capKey: [questionId, ...]} in model order; stored with exports/snapshots so
+// index-keyed answers can still be traced back to a question later on.
+export function questionOrder(model) {
+  return (model?.capabilities || []).reduce((acc, cap) => (acc[cap.key] = (cap.questions || []).map(q => q.id), acc), {});
+}
+
+// Exports up to v1.3 carried no ids: every capability had one question per lens, in LENSES order.
+const legacyQuestionId = (capKey, idx) => LENSES[idx] ? `${capKey}-${LENSES[idx].toLowerCase()}` : null;
+
+// Map saved answers (id- or index-keyed) onto `model`. `order` is the layout the answers
+// were saved against, if known. Report entries are { capKey, key, level, id?, reason? }.
+export function migrateAnswers(answersByCap, model, order) {
+  const report = { kept: [], remapped: [], dropped: [], orphaned: [] };
+  const answers = {};
+  const caps = new Map((model?.capabilities || []).map(c => [c.key, c]));
+
+  Object.entries(answersByCap || {}).forEach(([capKey, byQuestion]) => {
+    const cap = caps.get(capKey);
+    const ids = new Set((cap?.questions || []).map(q => q.id));
+    Object.entries(byQuestion || {}).forEach(([key, value]) => {
+      const level = answerLevel(value);
+      const entry = { capKey, key, level };
+      const known = LEVELS.includes(level) || isSkipAnswer(level) || (level == null && hasAnswerDetails(value));
+      if (!known) { report.dropped.push({ ...entry, reason: "unknown level" }); return; }
+      if (!cap) { report.orphaned.push({ ...entry, reason: "capability not in model" }); return; }
+
+      let id = key;
+      const isIndex = /^\d+$/.test(key) && !ids.has(key);
+      if (isIndex) {
+        const idx = Number(key);
+        const candidates = [order?.[capKey]?.[idx], legacyQuestionId(capKey, idx), cap.questions[idx]?.id];
+        id = order?.[capKey] ? candidates[0] : candidates.slice(1).find(x => x && ids.has(x));
+        if (!id) { report.dropped.push({ ...entry, reason: "no question at this index" }); return; }
+      }
+      if (!ids.has(id)) { report.orphaned.push({ ...entry, id, reason: "question not in model" }); return; }
+      if (answers[capKey]?.[id]) { report.dropped.push({ ...entry, id, reason: "duplicate answer" }); return; }
+
+      (answers[capKey] = answers[capKey] || {})[id] = value;
+      (isIndex ? report.remapped : report.kept).push({ ...entry, id });
+    });
+  });
+  return { answers, report };
+}
+
+// Full structural check of a model. Errors make the model unusable (it is not loaded),
+// warnings are shown but tolerated. Both are lists of { path, message }.
+export function validateModel(model) {
+  const errors = [], warnings = [];
+  const err = (path, message) => errors.push({ path, message });
+  const warn = (path, message) => warnings.push({ path, message });
+  const isObj = (x) => x && typeof x === "object" && !Array.isArray(x);
+
+  if (!isObj(model)) { err("$", "Model must be a JSON object."); return { errors, warnings }; }
+  if (model.version == null) warn("version", "No version set; exports will use the fallback version.");
+  else if (typeof model.version !== "string") err("version", "Version must be a string.");
+  if (model.language != null && (typeof model.language !== "string" || !model.language.trim())) err("language", "Language must be a locale code such as \"en\".");
+  if (!Array.isArray(model.capabilities)) { err("capabilities", "Model must have a `capabilities` array."); return { errors, warnings }; }
+  if (!model.capabilities.length) err("capabilities", "Model has no capabilities.");
+
+  const capKeys = new Set();
+  model.capabilities.forEach((cap, ci) => {
+    const cp = `capabilities[${ci}]`;
+    if (!isObj(cap)) { err(cp, "Capability must be an object."); return; }
+    if (typeof cap.key !== "string" || !cap.key.trim()) err(`${cp}.key`, "Missing capability key.");
+    else if (capKeys.has(cap.key)) err(`${cp}.key`, `Duplicate capability key "${cap.key}".`);
+    else capKeys.add(cap.key);
+    if (typeof cap.name !== "string" || !cap.name.trim()) warn(`${cp}.name`, "Missing name; charts will show an empty label.");
+    validateTranslations(cap.translations, `${cp}.translations`, ["name", "description"], err, warn);
+    if (!Array.isArray(cap.questions)) { err(`${cp}.questions`, "Capability must have a `questions` array."); return; }
+    if (!cap.questions.length) warn(`${cp}.questions`, "Capability has no questions.");
+
+    const qIds = new Set();
+    cap.questions.forEach((q, qi) => {
+      const qp = `${cp}.questions[${qi}]`;
+      if (!isObj(q)) { err(qp, "Question must be an object."); return; }
+      if (q.id == null) warn(`${qp}.id`, "No id; answers will be keyed by position and break when questions move.");
+      else if (qIds.has(String(q.id))) err(`${qp}.id`, `Duplicate question id "${q.id}".`);
+      else qIds.add(String(q.id));
+      if (typeof q.text !== "string" || !q.text.trim()) err(`${qp}.text`, "Missing question text.");
+      if (q.lens == null || q.lens === "") warn(`${qp}.lens`, "No lens; question is left out of the lens charts.");
+      else if (!LENSES.includes(q.lens)) err(`${qp}.lens`, `Unknown lens "${q.lens}" (expected one of ${LENSES.join(", ")}).`);
+
+      validateTranslations(q.translations, `${qp}.translations`, ["text"], err, warn);
+      if (q.options != null && !isObj(q.options)) err(`${qp}.options`, "Options must be an object keyed by level.");
+      else {
+        Object.keys(q.options || {}).filter(k => !LEVELS.includes(k)).forEach(k => err(`${qp}.options.${k}`, `Unknown level "${k}" (expected one of ${LEVELS.join(", ")}).`));
+        LEVELS.filter(l => !q.options?.[l]).forEach(l => warn(`${qp}.options.${l}`, "No option text; the level name is shown instead."));
+      }
+
+      if (!isObj(q.scores)) { err(`${qp}.scores`, "Missing `scores` map."); return; }
+      Object.keys(q.scores).filter(k => !LEVELS.includes(k)).forEach(k => err(`${qp}.scores.${k}`, `Unknown level "${k}" (expected one of ${LEVELS.join(", ")}).`));
+      LEVELS.forEach(l => {
+        const v = q.scores[l];
+        if (typeof v !== "number" || !Number.isFinite(v)) err(`${qp}.scores.${l}`, `Score must be a number, got ${JSON.stringify(v)}.`);
+        else if (v < 0 || v > 20) warn(`${qp}.scores.${l}`, `Score ${v} is outside 0–20.`);
+      });
+      const nums = LEVELS.map(l => q.scores[l]);
+      if (nums.every(n => typeof n === "number") && nums.some((n, i) => i && n < nums[i - 1])) warn(`${qp}.scores`, "Scores decrease from one level to the next.");
+    });
+  });
+  validateWeighting(model, err, warn, capKeys);
+  if (model.maturity != null) {
+    const scale = validateMaturityScale(model.maturity);
+    errors.push(...scale.errors); warnings.push(...scale.warnings);
+  }
+  return { errors, warnings };
+}
+
+function validateTranslations(tr, path, fields, err, warn) {
+  if (tr == null) return;
+  const isObj = (x) => x && typeof x === "object" && !Array.isArray(x);
+  if (!isObj(tr)) { err(path, "Translations must be an object keyed by locale."); return; }
+  Object.entries(tr).forEach(([loc, t]) => {
+    const lp = `${path}.${loc}`;
+    if (!isObj(t)) { err(lp, "Translation must be an object."); return; }
+    fields.forEach(f => { if (t[f] != null && typeof t[f] !== "string") err(`${lp}.${f}`, "Translated text must be a string."); });
+    Object.keys(t).filter(k => k !== "options" && !fields.includes(k)).forEach(k => warn(`${lp}.${k}`, "Field cannot be translated; ignored."));
+    if (t.options != null) {
+      if (!isObj(t.options)) err(`${lp}.options`, "Options must be an object keyed by level.");
+      else Object.entries(t.options).forEach(([k, v]) => {
+        if (!LEVELS.includes(k)) err(`${lp}.options.${k}`, `Unknown level "${k}" (expected one of ${LEVELS.join(", ")}).`);
+        else if (typeof v !== "string") err(`${lp}.options.${k}`, "Translated text must be a string.");
+      });
+    }
+  });
+}
+
+function validateWeighting(model, err, warn, capKeys) {
+  const w = model.weighting;
+  if (w == null) return;
+  if (typeof w !== "object" || Array.isArray(w)) { err("weighting", "Weighting must be an object."); return; }
+  if (w.profile != null && typeof w.profile !== "string") err("weighting.profile", "Profile name must be a string.");
+  const groups = new Set(model.capabilities.map(c => c?.report_group).filter(Boolean));
+  const known = { capabilities: (k) => capKeys.has(k), lenses: (k) => LENSES.includes(k), report_groups: (k) => groups.has(k) };
+  Object.keys(w).filter(k => k !== "profile" && !known[k]).forEach(k => warn(`weighting.${k}`, "Unknown weighting section; ignored."));
+  Object.entries(known).forEach(([section, exists]) => {
+    const map = w[section];
+    if (map == null) return;
+    if (typeof map !== "object" || Array.isArray(map)) { err(`weighting.${section}`, "Must be an object of name → weight."); return; }
+    Object.entries(map).forEach(([k, v]) => {
+      if (typeof v !== "number" || !Number.isFinite(v) || v < 0) err(`weighting.${section}.${k}`, `Weight must be a number ≥ 0, got ${JSON.stringify(v)}.`);
+      if (!exists(k)) warn(`weighting.${section}.${k}`, `"${k}" does not occur in the model; weight has no effect.`);
+    });
+  });
+}
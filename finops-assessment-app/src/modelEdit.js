@@ -0,0 +1,87 @@
+// ---- Model editing (Admin): blank capabilities and questions, reordering, and a diff between two models.
+// Diff entries: { kind: "added" | "removed" | "moved" | "changed", path, from?, to? }; paths read
+// "<capKey>" or "<capKey>/<questionId>" followed by the field, e.g. "tagging/tagging-q1.scores.Walk".
+import { LEVELS, LENSES } from "./model.js";
+
+const DEFAULT_SCORES = [0, 5, 10, 15, 20];
+const CAP_FIELDS = ["name", "description", "report_group"];
+const QUESTION_FIELDS = ["text", "lens"];
+
+const uniqueId = (base, taken) => { let id = base, n = 2; while (taken.has(id)) id = `${base}-${n++}`; return id; };
+
+export function newCapability(model) {
+  const key = uniqueId("new-capability", new Set((model?.capabilities || []).map(c => c.key)));
+  return { key, name: "", description: "", report_group: "", questions: [] };
+}
+
+// Blank question on the default 0–20 scale, on the first lens the capability does not cover yet
+export function newQuestion(cap) {
+  const questions = cap.questions || [];
+  const id = uniqueId(`${cap.key}-q${questions.length + 1}`, new Set(questions.map(q => q.id)));
+  const lens = LENSES.find(l => !questions.some(q => q.lens === l)) || LENSES[0];
+  return {
+    id, text: "", lens,
+    options: Object.fromEntries(LEVELS.map(l => [l, ""])),
+    scores: Object.fromEntries(LEVELS.map((l, i) => [l, DEFAULT_SCORES[i]])),
+  };
+}
+
+// Copy of `list` with the item at `from` moved to `to` (out-of-range moves return the list unchanged)
+export function moveItem(list, from, to) {
+  if (to < 0 || to >= list.length || from === to) return list;
+  const next = [...list];
+  next.splice(to, 0, next.splice(from, 1)[0]);
+  return next;
+}
+
+// Keys present in both lists that fall outside their longest common subsequence, i.e. the fewest
+// keys that have to move to turn one order into the other
+function movedKeys(before, after) {
+  const inAfter = new Set(after), inBefore = new Set(before);
+  const a = before.filter(k => inAfter.has(k)), b = after.filter(k => inBefore.has(k));
+  const len = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) for (let j = b.length - 1; j >= 0; j--) {
+    len[i][j] = a[i] === b[j] ? len[i + 1][j + 1] + 1 : Math.max(len[i + 1][j], len[i][j + 1]);
+  }
+  const kept = new Set();
+  for (let i = 0, j = 0; i < a.length && j < b.length;) {
+    if (a[i] === b[j]) { kept.add(a[i]); i++; j++; }
+    else if (len[i + 1][j] >= len[i][j + 1]) i++;
+    else j++;
+  }
+  return b.filter(k => !kept.has(k));
+}
+
+function diffFields(path, before, after, fields, out) {
+  fields.forEach(f => { if ((before[f] ?? "") !== (after[f] ?? "")) out.push({ kind: "changed", path: `${path}.${f}`, from: before[f] ?? "", to: after[f] ?? "" }); });
+}
+
+export function diffModels(before, after) {
+  const out = [];
+  if ((before?.version ?? "") !== (after?.version ?? "")) out.push({ kind: "changed", path: "version", from: before?.version ?? "", to: after?.version ?? "" });
+  const capsA = before?.capabilities || [], capsB = after?.capabilities || [];
+  const byKey = new Map(capsA.map(c => [c.key, c]));
+  const keysB = new Set(capsB.map(c => c.key));
+  capsA.filter(c => !keysB.has(c.key)).forEach(c => out.push({ kind: "removed", path: c.key, from: c.name }));
+  movedKeys(capsA.map(c => c.key), capsB.map(c => c.key)).forEach(k => out.push({ kind: "moved", path: k }));
+  capsB.forEach(cap => {
+    const old = byKey.get(cap.key);
+    if (!old) { out.push({ kind: "added", path: cap.key, to: cap.name }); return; }
+    diffFields(cap.key, old, cap, CAP_FIELDS, out);
+    const qsA = old.questions || [], qsB = cap.questions || [];
+    const qById = new Map(qsA.map(q => [q.id, q]));
+    const idsB = new Set(qsB.map(q => q.id));
+    qsA.filter(q => !idsB.has(q.id)).forEach(q => out.push({ kind: "removed", path: `${cap.key}/${q.id}`, from: q.text }));
+    movedKeys(qsA.map(q => q.id), qsB.map(q => q.id)).forEach(id => out.push({ kind: "moved", path: `${cap.key}/${id}` }));
+    qsB.forEach(q => {
+      const qp = `${cap.key}/${q.id}`, prev = qById.get(q.id);
+      if (!prev) { out.push({ kind: "added", path: qp, to: q.text }); return; }
+      diffFields(qp, prev, q, QUESTION_FIELDS, out);
+      LEVELS.forEach(l => {
+        if ((prev.options?.[l] ?? "") !== (q.options?.[l] ?? "")) out.push({ kind: "changed", path: `${qp}.options.${l}`, from: prev.options?.[l] ?? "", to: q.options?.[l] ?? "" });
+        if (prev.scores?.[l] !== q.scores?.[l]) out.push({ kind: "changed", path: `${qp}.scores.${l}`, from: prev.scores?.[l], to: q.scores?.[l] });
+      });
+    });
+  });
+  return out;
+}
@@ -0,0 +1,156 @@
+// ---- PDF report, drawn with jsPDF vector primitives so it looks the same in every browser
+import { jsPDF } from "jspdf";
+import { LENSES, answerLevel, isSkipAnswer, hasAnswerDetails, maturityFromScore, reportGroups } from "./model.js";
+import { loadImage } from "./image.js";
+import { makeT } from "./i18n.js";
+
+const PAGE = { w: 210, h: 297, margin: 16 };
+const CONTENT_W = PAGE.w - 2 * PAGE.margin;
+const INK = "#111827", MUTED = "#6B7280", RULE = "#E5E7EB";
+
+// `t` translates the fixed texts (see i18n.js); pass a localized model for the question texts
+export async function buildReportPdf({ appName, model, meta, brand, report, selectedCaps, answersByCap, defaultLogo, t = makeT("en") }) {
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  const [costra, partner] = await Promise.all([loadImage(brand?.costraLogo || defaultLogo), loadImage(brand?.partnerLogo)]);
+  const lensColor = Object.fromEntries(report.lensOverview.map(l => [l.label, l.color]));
+  const scale = report.maturityScale;
+  let y = PAGE.margin;
+
+  const font = (size, style = "normal", color = INK) => { doc.setFont("helvetica", style); doc.setFontSize(size); doc.setTextColor(color); };
+  const newPage = () => { doc.addPage(); y = PAGE.margin; };
+  const ensureSpace = (h) => { if (y + h > PAGE.h - PAGE.margin - 8) newPage(); };
+  const heading = (text) => { ensureSpace(14); font(14, "bold"); doc.text(text, PAGE.margin, y + 5); y += 10; };
+  const logo = (img, x, yy, h, align = "left") => {
+    if (!img) return;
+    const w = Math.min(h * img.ratio, 70);
+    doc.addImage(img.data, "PNG", align === "right" ? x - w : x, yy, w, w / img.ratio);
+  };
+  const polygon = (pts, style) => {
+    if (pts.length < 2) return;
+    doc.lines(pts.slice(1).map((p, i) => [p[0] - pts[i][0], p[1] - pts[i][1]]), pts[0][0], pts[0][1], [1, 1], style, true);
+  };
+
+  // Cover
+  logo(costra, PAGE.margin, PAGE.margin, 14);
+  logo(partner, PAGE.w - PAGE.margin, PAGE.margin, 14, "right");
+  font(28, "bold"); doc.text(appName, PAGE.margin, 110);
+  font(16, "normal", MUTED); doc.text(t("FinOps maturity assessment report"), PAGE.margin, 120);
+  font(12);
+  [[t("Customer"), meta.customer || "-"], [t("Assessor"), meta.assessor ? `${meta.assessor}@costra.io` : "-"], [t("Date"), meta.date || "-"], [t("Model version"), String(model.version || "-")]]
+    .forEach(([k, v], i) => { font(10, "normal", MUTED); doc.text(k, PAGE.margin, 145 + i * 10); font(12); doc.text(v, PAGE.margin + 35, 145 + i * 10); });
+  font(9, "normal", MUTED); doc.text(t("This assessment follows the guidelines of the FinOps Foundation."), PAGE.margin, PAGE.h - 30);
+
+  // Overall maturity (thermometer)
+  newPage();
+  heading(t("Maturity"));
+  const overall = report.overallAvgCapScore100;
+  const m = maturityFromScore(overall, scale);
+  font(12, "bold"); doc.text(`${t(m.label)}  ·  ${t("Overall")} ${Math.round(overall)} / 100`, PAGE.margin, y + 4); y += 9;
+  scale.forEach((b, i) => {
+    const from = i ? b.min : 0, to = scale[i + 1]?.min ?? 100;
+    const shade = 235 - i * 14;
+    doc.setFillColor(shade, shade, shade);
+    doc.rect(PAGE.margin + CONTENT_W * from / 100, y, CONTENT_W * (to - from) / 100, 5, "F");
+    font(7, "normal", MUTED); doc.text(t(b.label || b.key), PAGE.margin + CONTENT_W * (from + to) / 200, y + 9, { align: "center" });
+  });
+  doc.setFillColor(INK); doc.rect(PAGE.margin, y + 1.5, CONTENT_W * Math.max(0, Math.min(100, overall)) / 100, 2, "F");
+  y += 16;
+
+  // Spider
+  heading(t("Spider by capability"));
+  const data = report.spiderData, N = data.length;
+  const R = 58, cx = PAGE.w / 2, cy = y + R + 12;
+  const at = (i, ratio) => { const a = (-90 + (360 / N) * i) * Math.PI / 180; return [cx + R * ratio * Math.cos(a), cy + R * ratio * Math.sin(a)]; };
+  doc.setDrawColor(RULE); doc.setLineWidth(0.2);
+  [0.25, 0.5, 0.75, 1].forEach(f => doc.circle(cx, cy, R * f, "S"));
+  data.forEach((_, i) => { const [x2, y2] = at(i, 1); doc.line(cx, cy, x2, y2); });
+  const ratio = (v, full) => Math.max(0, Math.min(1, (v || 0) / (full || 1)));
+  if (N > 2) {
+    if (data.some(d => typeof d.target === "number")) {
+      doc.setDrawColor("#8b5cf6"); doc.setLineDashPattern([1.5, 1], 0); doc.setLineWidth(0.4);
+      polygon(data.map((d, i) => at(i, ratio(d.target, d.fullMark))), "S");
+      doc.setLineDashPattern([], 0);
+    }
+    doc.setDrawColor(INK); doc.setFillColor("#D1D5DB"); doc.setLineWidth(0.4);
+    polygon(data.map((d, i) => at(i, ratio(d.total, d.fullMark))), "FD");
+  }
+  font(N > 16 ? 6 : 7, "normal", "#374151");
+  data.forEach((d, i) => {
+    const [lx, ly] = at(i, 1 + 7 / R);
+    const align = Math.abs(lx - cx) < 2 ? "center" : (lx > cx ? "left" : "right");
+    doc.text(d.subject, lx, ly + 1, { align });
+  });
+  y = cy + R + 16;
+
+  // Lens bars
+  const lensBars = (items) => items.forEach(it => {
+    ensureSpace(8);
+    font(8); doc.text(t(it.label), PAGE.margin, y + 3);
+    font(8, "normal", MUTED); doc.text(`${Math.round(it.value)}%`, PAGE.w - PAGE.margin, y + 3, { align: "right" });
+    doc.setFillColor(RULE); doc.roundedRect(PAGE.margin + 28, y, CONTENT_W - 42, 3.5, 1.5, 1.5, "F");
+    if (it.value > 0) { doc.setFillColor(it.color); doc.roundedRect(PAGE.margin + 28, y, (CONTENT_W - 42) * Math.min(100, it.value) / 100, 3.5, 1.5, 1.5, "F"); }
+    y += 6;
+  });
+  heading(t("Lens trend (all capabilities)"));
+  lensBars(report.lensOverview);
+
+  // Per-capability answers
+  const cols = [{ key: "question", w: 78 }, { key: "lens", w: 22 }, { key: "answer", w: CONTENT_W - 100 }];
+  const caps = reportGroups(model).flatMap(g => g.caps).filter(c => selectedCaps.includes(c.key)); // domain order, like the spider
+  caps.forEach((cap, ci) => {
+    if (ci === 0) newPage(); else ensureSpace(60);
+    const agg = report.capTotals.find(x => x.capKey === cap.key);
+    const cm = maturityFromScore(agg?.capScore100 || 0, scale);
+    heading(cap.name);
+    font(9, "normal", MUTED); doc.text(`${t(cm.label)}  ·  ${(agg?.capScore100 || 0).toFixed(1)} / 100`, PAGE.margin, y); y += 5;
+    if (agg) lensBars(LENSES.map(l => { const tt = agg.lensTotals[l]; return { label: l, value: tt?.answered ? (tt.sum / (tt.answered * 20)) * 100 : 0, color: lensColor[l] }; }));
+    y += 2;
+
+    const headerRow = () => {
+      doc.setFillColor("#F9FAFB"); doc.rect(PAGE.margin, y, CONTENT_W, 6, "F");
+      font(8, "bold"); let x = PAGE.margin;
+      ["Question", "Lens", "Answer"].forEach((h, i) => { doc.text(t(h), x + 1.5, y + 4); x += cols[i].w; });
+      y += 7;
+    };
+    ensureSpace(14); headerRow();
+    cap.questions.forEach(q => {
+      const a = answersByCap?.[cap.key]?.[q.id];
+      const level = answerLevel(a);
+      const answerText = !level ? "-" : (isSkipAnswer(level) ? t(level === "N/A" ? "Not applicable" : level) : `${t(level)}: ${q.options?.[level] || t(level)}`);
+      font(8);
+      const cells = [doc.splitTextToSize(q.text || "", cols[0].w - 3), doc.splitTextToSize(q.lens ? t(q.lens) : "-", cols[1].w - 3), doc.splitTextToSize(answerText, cols[2].w - 3)];
+      const details = hasAnswerDetails(a) ? [
+        a.note ? `${t("Note")}: ${a.note}` : null,
+        a.evidence?.length ? `${t("Evidence")}: ${a.evidence.map(e => !e.url ? `${e.name} (${t("attachment not included in link")})` : e.url.startsWith("data:") ? e.name : e.url).join(", ")}` : null,
+        a.confidence ? `${t("Confidence")}: ${t(a.confidence)}` : null,
+      ].filter(Boolean).flatMap(line => doc.splitTextToSize(line, CONTENT_W - 3)) : [];
+      const h = Math.max(...cells.map(c => c.length)) * 3.6 + details.length * 3.3 + 3;
+      if (y + h > PAGE.h - PAGE.margin - 8) { newPage(); headerRow(); }
+      let x = PAGE.margin;
+      cells.forEach((lines, i) => {
+        font(8, "normal", i === 1 && q.lens ? (lensColor[q.lens] || INK) : INK);
+        doc.text(lines, x + 1.5, y + 3); x += cols[i].w;
+      });
+      const rowH = Math.max(...cells.map(c => c.length)) * 3.6;
+      if (details.length) { font(7, "italic", MUTED); doc.text(details, PAGE.margin + 1.5, y + rowH + 2.5); }
+      y += h;
+      doc.setDrawColor(RULE); doc.setLineWidth(0.2); doc.line(PAGE.margin, y - 1, PAGE.w - PAGE.margin, y - 1);
+    });
+    y += 4;
+  });
+
+  // Footer with page numbers on every page
+  const pages = doc.getNumberOfPages();
+  for (let i = 1; i <= pages; i++) {
+    doc.setPage(i);
+    font(7, "normal", MUTED);
+    doc.text(`${appName}${meta.customer ? ` · ${meta.customer}` : ""} · ${meta.date || ""}`, PAGE.margin, PAGE.h - 8);
+    doc.text(t("Page {n} / {total}", { n: i, total: pages }), PAGE.w - PAGE.margin, PAGE.h - 8, { align: "right" });
+  }
+  return doc;
+}
+
+export async function downloadReportPdf(opts, filename) {
+  const doc = await buildReportPdf(opts);
+  doc.save(filename);
+}
@@ -0,0 +1,128 @@
+// ---- PowerPoint deck of the report: native (editable) charts and tables so it drops into customer decks
+import PptxGenJS from "pptxgenjs";
+import { LENSES, answerLevel, isSkipAnswer, maturityFromScore, reportGroups } from "./model.js";
+import { loadImage } from "./image.js";
+import { makeT } from "./i18n.js";
+
+const W = 13.33, H = 7.5, M = 0.5; // LAYOUT_WIDE, inches
+const INK = "111827", MUTED = "6B7280", RULE = "E5E7EB";
+const hex = (c) => String(c || INK).replace("#", "").toUpperCase();
+const pct = (v) => Math.round((v || 0) * 10) / 10;
+
+export async function buildReportPptx({ appName, model, meta, brand, report, selectedCaps, answersByCap, defaultLogo, t = makeT("en") }) {
+  const pres = new PptxGenJS();
+  pres.layout = "LAYOUT_WIDE";
+  pres.title = `${appName}${meta.customer ? ` – ${meta.customer}` : ""}`;
+  pres.company = meta.customer || "";
+
+  const [costra, partner] = await Promise.all([loadImage(brand?.costraLogo || defaultLogo), loadImage(brand?.partnerLogo)]);
+  const logo = (img, x, y, h, align = "left") => {
+    if (!img) return null;
+    const w = Math.min(h * img.ratio, 2.5);
+    return { image: { data: img.data, x: align === "right" ? x - w : x, y, w, h: w / img.ratio } };
+  };
+
+  // Every content slide: title placeholder, partner logo top right, footer with customer/date and slide number
+  pres.defineSlideMaster({
+    title: "REPORT",
+    background: { color: "FFFFFF" },
+    objects: [
+      logo(partner, W - M, 0.3, 0.5, "right"),
+      { line: { x: M, y: 0.95, w: W - 2 * M, h: 0, line: { color: RULE, width: 1 } } },
+      { text: { text: `${appName}${meta.customer ? ` · ${meta.customer}` : ""} · ${meta.date || ""}`, options: { x: M, y: H - 0.4, w: 8, h: 0.3, fontSize: 9, color: MUTED } } },
+    ].filter(Boolean),
+    slideNumber: { x: W - M - 0.6, y: H - 0.4, w: 0.6, h: 0.3, fontSize: 9, color: MUTED, align: "right" },
+  });
+  const slide = (title) => {
+    const s = pres.addSlide({ masterName: "REPORT" });
+    s.addText(title, { x: M, y: 0.3, w: W - 2 * M - 3, h: 0.55, fontSize: 24, bold: true, color: INK, fit: "shrink" });
+    return s;
+  };
+  const scale = report.maturityScale;
+  const lensColor = Object.fromEntries(report.lensOverview.map(l => [l.label, hex(l.color)]));
+  const lensChart = (s, items, opts) => s.addChart(pres.charts.BAR, [{ name: t("Score"), labels: items.map(i => t(i.label)), values: items.map(i => pct(i.value)) }], {
+    barDir: "bar", chartColors: items.map(i => hex(i.color)), valAxisMinVal: 0, valAxisMaxVal: 100, valAxisMajorUnit: 25,
+    catAxisOrientation: "maxMin", showValue: true, dataLabelFormatCode: "0", dataLabelFontSize: 10, catAxisLabelFontSize: 11, valAxisLabelFontSize: 9,
+    valGridLine: { color: RULE, size: 0.5 }, showLegend: false, ...opts,
+  });
+
+  // Title
+  const title = pres.addSlide();
+  const costraLogo = logo(costra, M, 0.4, 0.7);
+  const partnerLogo = logo(partner, W - M, 0.4, 0.7, "right");
+  if (costraLogo) title.addImage(costraLogo.image);
+  if (partnerLogo) title.addImage(partnerLogo.image);
+  title.addText(appName, { x: M, y: 2.3, w: W - 2 * M, h: 0.9, fontSize: 40, bold: true, color: INK });
+  title.addText(t("FinOps maturity assessment report"), { x: M, y: 3.2, w: W - 2 * M, h: 0.5, fontSize: 20, color: MUTED });
+  title.addTable([[t("Customer"), meta.customer || "-"], [t("Assessor"), meta.assessor ? `${meta.assessor}@costra.io` : "-"], [t("Date"), meta.date || "-"], [t("Model version"), String(model.version || "-")]]
+    .map(([k, v]) => [{ text: k, options: { color: MUTED } }, { text: v, options: { color: INK } }]), { x: M, y: 4.3, w: 6, colW: [1.8, 4.2], fontSize: 14, border: { type: "none" } });
+  title.addText(t("This assessment follows the guidelines of the FinOps Foundation."), { x: M, y: H - 0.8, w: W - 2 * M, h: 0.3, fontSize: 10, color: MUTED });
+
+  // Overall maturity: score, thermometer of the maturity scale, lens trend
+  const overall = report.overallAvgCapScore100;
+  const m = maturityFromScore(overall, scale);
+  const ov = slide(t("Overall maturity"));
+  ov.addText([{ text: `${Math.round(overall)}`, options: { fontSize: 66, bold: true, color: INK } }, { text: " / 100", options: { fontSize: 24, color: MUTED } }], { x: M, y: 1.3, w: 4, h: 1.2 });
+  ov.addText(`${m.emoji ? m.emoji + " " : ""}${t(m.label)}`, { x: M, y: 2.5, w: 4, h: 0.5, fontSize: 22, bold: true, color: INK });
+  const barW = W - 2 * M, barY = 3.4;
+  scale.forEach((b, i) => {
+    const from = i ? b.min : 0, to = scale[i + 1]?.min ?? 100;
+    const shade = (235 - i * 14).toString(16).padStart(2, "0").toUpperCase();
+    ov.addShape(pres.shapes.RECTANGLE, { x: M + barW * from / 100, y: barY, w: barW * (to - from) / 100, h: 0.3, fill: { color: shade.repeat(3) }, line: { color: "FFFFFF", width: 1 } });
+    ov.addText(t(b.label || b.key), { x: M + barW * from / 100, y: barY + 0.35, w: barW * (to - from) / 100, h: 0.3, fontSize: 10, color: MUTED, align: "center" });
+  });
+  ov.addShape(pres.shapes.RECTANGLE, { x: M, y: barY + 0.1, w: Math.max(0.01, barW * Math.max(0, Math.min(100, overall)) / 100), h: 0.1, fill: { color: INK }, line: { color: INK, width: 0 } });
+  ov.addText(t("Lens trend (all capabilities)"), { x: M, y: 4.2, w: 6, h: 0.4, fontSize: 14, bold: true, color: INK });
+  lensChart(ov, report.lensOverview, { x: M, y: 4.6, w: W - 2 * M, h: 2.4 });
+
+  // Spider (radar) with optional target series
+  const sp = slide(t("Spider by capability"));
+  const hasTarget = report.spiderData.some(d => typeof d.target === "number");
+  const labels = report.spiderData.map(d => d.subject);
+  sp.addChart(pres.charts.RADAR, [
+    { name: t("Score"), labels, values: report.spiderData.map(d => pct(d.total)) },
+    ...(hasTarget ? [{ name: t("Target"), labels, values: report.spiderData.map(d => pct(d.target)) }] : []),
+  ], {
+    x: M, y: 1.1, w: W - 2 * M, h: H - 1.7, radarStyle: "marker", chartColors: ["374151", "8B5CF6"], lineSize: 2, lineDataSymbolSize: 5,
+    valAxisMinVal: 0, valAxisMaxVal: 100, valAxisMajorUnit: 25, catAxisLabelFontSize: labels.length > 16 ? 8 : 10, valAxisLabelFontSize: 8,
+    showLegend: hasTarget, legendPos: "b",
+  });
+
+  // One slide per selected capability: lens bars above the answers (the table continues on extra slides when long)
+  const caps = reportGroups(model).flatMap(g => g.caps).filter(c => selectedCaps.includes(c.key));
+  caps.forEach(cap => {
+    const agg = report.capTotals.find(x => x.capKey === cap.key);
+    const score = agg?.capScore100 || 0;
+    const s = slide(cap.name);
+    s.addText(`${t(maturityFromScore(score, scale).label)} · ${score.toFixed(1)} / 100${agg?.targetLevel ? ` · ${t("target {level}", { level: t(agg.targetLevel) })}` : ""}`, { x: M, y: 1.05, w: 6, h: 0.35, fontSize: 13, color: MUTED });
+    if (agg) lensChart(s, LENSES.map(l => { const tt = agg.lensTotals[l]; return { label: l, value: tt?.answered ? (tt.sum / (tt.answered * 20)) * 100 : 0, color: lensColor[l] }; }), { x: M, y: 1.4, w: 7, h: 1.7, catAxisLabelFontSize: 9, dataLabelFontSize: 8 });
+    const rows = cap.questions.map(q => {
+      const level = answerLevel(answersByCap?.[cap.key]?.[q.id]);
+      const answer = !level ? "-" : (isSkipAnswer(level) ? t(level === "N/A" ? "Not applicable" : level) : `${t(level)}: ${q.options?.[level] || t(level)}`);
+      return [{ text: q.text || "" }, { text: q.lens ? t(q.lens) : "-", options: { color: lensColor[q.lens] || INK, bold: true } }, { text: answer }];
+    });
+    s.addTable([[{ text: t("Question") }, { text: t("Lens") }, { text: t("Answer") }].map(c => ({ ...c, options: { bold: true, fill: { color: "F9FAFB" } } })), ...rows], {
+      x: M, y: 3.2, w: W - 2 * M, colW: [5.2, 1.0, W - 2 * M - 6.2], fontSize: 9, color: INK, valign: "top",
+      border: { type: "solid", pt: 0.5, color: RULE }, autoPage: true, autoPageRepeatHeader: true, autoPageSlideStartY: 1.1,
+    });
+  });
+
+  // Recommendations: highest-priority next steps
+  const steps = report.nextSteps.slice(0, 12);
+  const rec = slide(t("Recommended next steps"));
+  if (!steps.length) rec.addText(t("No next steps — every answered question is at its target level."), { x: M, y: 1.3, w: W - 2 * M, h: 0.5, fontSize: 14, color: MUTED });
+  else rec.addTable([
+    ["#", t("Capability"), t("Lens"), t("Now"), t("Next"), t("Next step")].map(h => ({ text: h, options: { bold: true, fill: { color: "F9FAFB" } } })),
+    ...steps.map((st, i) => [String(i + 1), st.capability, { text: t(st.lens), options: { color: lensColor[st.lens] || INK, bold: true } }, t(st.currentLevel), t(st.nextLevel), st.nextStep]),
+  ], {
+    x: M, y: 1.2, w: W - 2 * M, colW: [0.4, 2.4, 0.9, 0.9, 0.9, W - 2 * M - 5.5], fontSize: 9, color: INK, valign: "top",
+    border: { type: "solid", pt: 0.5, color: RULE }, autoPage: true, autoPageRepeatHeader: true, autoPageSlideStartY: 1.1,
+  });
+
+  return pres;
+}
+
+export async function downloadReportPptx(opts, filename) {
+  const pres = await buildReportPptx(opts);
+  await pres.writeFile({ fileName: filename });
+}
@@ -0,0 +1,68 @@
+// ---- Several respondents per assessment (finance, engineering, procurement, ...), each with own answers
+// respondent: { id, name, role, answersByCap }
+import { LEVELS, NOT_APPLICABLE, DONT_KNOW, CONFIDENCE, answerLevel, hasAnswerDetails } from "./model.js";
+
+export const ROLES = ["FinOps practitioner", "Finance", "Engineering", "Procurement", "Product", "Leadership", "Other"];
+// The combined answer is a level, so mean and median land on one; `rounding` says how
+export const AGGREGATIONS = [
+  { key: "mean", label: "Mean", rounding: "rounded to the nearest level" },
+  { key: "median", label: "Median", rounding: "lower middle level for an even count" },
+  { key: "min", label: "Minimum" },
+  { key: "max", label: "Maximum" },
+];
+export const DISAGREEMENT_STEPS = 2; // levels apart before a question counts as disputed
+
+const newId = () => (typeof crypto !== "undefined" && crypto.randomUUID) ? crypto.randomUUID() : `r-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+export const newRespondent = (name, role, answersByCap = {}) => ({ id: newId(), name: name.trim(), role: role || ROLES[0], answersByCap });
+
+const combine = (idxs, method) => {
+  const s = [...idxs].sort((a, b) => a - b);
+  if (method === "min") return s[0];
+  if (method === "max") return s[s.length - 1];
+  if (method === "median") return s[Math.floor((s.length - 1) / 2)]; // lower median: stays on a real level
+  return Math.round(s.reduce((a, b) => a + b, 0) / s.length); // mean rounded to the nearest level, halves up
+};
+
+// The respondents' notes, evidence and confidence on one question as a single answer's details:
+// notes prefixed with the respondent's name, all evidence, and the lowest confidence given
+function combineDetails(respondents, answers) {
+  const withDetails = answers.map((a, i) => [respondents[i], a]).filter(([, a]) => hasAnswerDetails(a));
+  if (!withDetails.length) return null;
+  const notes = withDetails.filter(([, a]) => a.note).map(([r, a]) => `${r.name || "?"}: ${a.note}`);
+  const evidence = withDetails.flatMap(([, a]) => a.evidence || []);
+  const confidence = CONFIDENCE.find(c => withDetails.some(([, a]) => a.confidence === c));
+  return { ...(notes.length ? { note: notes.join("\n") } : {}), ...(evidence.length ? { evidence } : {}), ...(confidence ? { confidence } : {}) };
+}
+
+// One answer set combining all respondents, per question on the level scale (Pre-crawl = 0 … Fly = 4).
+// Respondents who skipped a question do not count; if nobody gave a level it stays N/A only when
+// everyone said N/A, otherwise "Don't know". Notes, evidence and confidence travel along (combineDetails).
+export function aggregateAnswers(model, respondents, method = "mean") {
+  const out = {};
+  (model?.capabilities || []).forEach(cap => (cap.questions || []).forEach(q => {
+    const answers = respondents.map(r => r.answersByCap?.[cap.key]?.[q.id]);
+    const given = answers.map(answerLevel).filter(Boolean);
+    const details = combineDetails(respondents, answers);
+    if (!given.length && !details) return;
+    const idxs = given.map(l => LEVELS.indexOf(l)).filter(i => i >= 0);
+    const level = idxs.length ? LEVELS[combine(idxs, method)] : !given.length ? undefined : (given.every(l => l === NOT_APPLICABLE) ? NOT_APPLICABLE : DONT_KNOW);
+    (out[cap.key] = out[cap.key] || {})[q.id] = details ? { level, ...details } : level;
+  }));
+  return out;
+}
+
+// Questions where the respondents' levels are `minSteps` or more apart, widest spread first
+export function disagreements(model, respondents, selectedCaps, minSteps = DISAGREEMENT_STEPS) {
+  const rows = [];
+  (model?.capabilities || []).filter(c => !selectedCaps?.length || selectedCaps.includes(c.key)).forEach(cap => (cap.questions || []).forEach(q => {
+    const answers = respondents.map(r => ({ respondent: r.name, role: r.role, level: answerLevel(r.answersByCap?.[cap.key]?.[q.id]) || "" }));
+    const idxs = answers.map(a => LEVELS.indexOf(a.level)).filter(i => i >= 0);
+    if (idxs.length < 2) return;
+    const spread = Math.max(...idxs) - Math.min(...idxs);
+    if (spread >= minSteps) rows.push({ capKey: cap.key, capability: cap.name, questionId: q.id, question: q.text, lens: q.lens || "", spread, answers });
+  }));
+  return rows.sort((a, b) => b.spread - a.spread || a.capability.localeCompare(b.capability));
+}
+
+// Number of questions a respondent gave any answer to (levels and skips)
+export const answeredCount = (r) => Object.values(r.answersByCap || {}).reduce((n, qs) => n + Object.values(qs || {}).filter(a => answerLevel(a)).length, 0);
@@ -0,0 +1,65 @@
+// ---- Flat result tables for BI tools (Excel, Power BI) and the scoring command line: one row per question, capability, lens or score
+import { LENSES, answerLevel, isSkipAnswer, maturityFromScore } from "./model.js";
+import { reportSummary } from "./scoring.js";
+
+export const ANSWER_COLUMNS = ["customer", "assessor", "date", "model_version", "capability_key", "capability", "report_group", "lens", "question_id", "question", "level", "option_text", "score", "max_score", "confidence", "note"];
+export const CAPABILITY_COLUMNS = ["customer", "date", "capability_key", "capability", "report_group", "weight", "score100", "maturity", "answered_points", "max_points", "skipped", "target_level", "target100"];
+export const LENS_COLUMNS = ["customer", "date", "capability_key", "capability", "lens", "answered", "skipped", "score100"];
+export const SCORE_COLUMNS = ["source", "customer", "date", "model_version", "scope", "key", "name", "group", "score100", "maturity"];
+
+const round1 = (v) => v == null ? "" : Math.round(v * 10) / 10;
+const header = (meta) => ({ customer: meta?.customer || "", date: meta?.date || "" });
+
+// score = the question's score (0..20) for the chosen level; empty for unanswered, N/A and "Don't know"
+export function answerRows({ model, meta, selectedCaps, answersByCap }) {
+  const caps = (model.capabilities || []).filter(c => !selectedCaps?.length || selectedCaps.includes(c.key));
+  return caps.flatMap(cap => (cap.questions || []).map(q => {
+    const a = answersByCap?.[cap.key]?.[q.id];
+    const level = answerLevel(a) || "";
+    const scored = level && !isSkipAnswer(level) && typeof q.scores?.[level] === "number";
+    return {
+      ...header(meta), assessor: meta?.assessor || "", model_version: model.version || "",
+      capability_key: cap.key, capability: cap.name, report_group: cap.report_group || "", lens: q.lens || "",
+      question_id: q.id, question: q.text || "", level, option_text: level && !isSkipAnswer(level) ? (q.options?.[level] || "") : "",
+      score: scored ? q.scores[level] : "", max_score: scored ? 20 : "",
+      confidence: (a && typeof a === "object" && a.confidence) || "", note: (a && typeof a === "object" && a.note) || "",
+    };
+  }));
+}
+
+export function capabilityRows({ model, meta, report }) {
+  const group = Object.fromEntries((model.capabilities || []).map(c => [c.key, c.report_group || ""]));
+  return report.capTotals.map(c => ({
+    ...header(meta), capability_key: c.capKey, capability: c.name, report_group: group[c.capKey], weight: c.weight,
+    score100: c.applicable ? round1(c.capScore100) : "", maturity: c.applicable ? maturityFromScore(c.capScore100, report.maturityScale).label : "",
+    answered_points: c.sum20, max_points: c.max20, skipped: c.skipped, target_level: c.targetLevel || "", target100: round1(c.target100),
+  }));
+}
+
+// Per capability × lens, followed by the weighted lens trend over all capabilities (capability "All capabilities")
+export function lensRows({ meta, report }) {
+  const perCap = report.capTotals.flatMap(c => LENSES.map(l => {
+    const tt = c.lensTotals[l];
+    return { ...header(meta), capability_key: c.capKey, capability: c.name, lens: l, answered: tt.answered, skipped: tt.skipped, score100: tt.answered ? round1((tt.sum / (tt.answered * 20)) * 100) : "" };
+  }));
+  const overall = report.lensOverview.map(l => ({ ...header(meta), capability_key: "", capability: "All capabilities", lens: l.label, answered: "", skipped: "", score100: round1(l.value) }));
+  return [...perCap, ...overall];
+}
+
+// Overall, domain, capability and lens scores of one assessment in one table (scope column); with one
+// `source` per answer file the tables of a whole portfolio can be stacked
+export function scoreRows({ source = "", model, meta, report }) {
+  const sum = reportSummary(report);
+  const row = (scope, key, name, group, x) => ({ source, ...header(meta), model_version: model?.version || "", scope, key, name, group, score100: x.notScored ? "" : round1(x.score100), maturity: x.notScored ? "" : x.maturityLabel });
+  return [
+    row("overall", "", "Overall", "", sum.overall),
+    ...sum.domains.map(d => row("domain", d.group, d.group, d.group, d)),
+    ...sum.capabilities.map(c => row("capability", c.key, c.name, c.group, c)),
+    ...sum.lenses.map(l => row("lens", l.lens, l.lens, "", l)),
+  ];
+}
+
+export function toCSV(rows, columns) {
+  const cell = (v) => { const s = v == null ? "" : String(v); return /[",\n\r;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s; };
+  return [columns.map(cell).join(","), ...rows.map(r => columns.map(c => cell(r[c])).join(","))].join("\r\n");
+}
@@ -0,0 +1,182 @@
+// ---- Scoring engine: everything the Report shows, computed from a model and one answer set.
+// Pure (no React, no browser APIs), so the app, the dev self-tests and the command line (scripts/score.js)
+// share it.
+import { LEVELS, LENSES, answerLevel, isSkipAnswer, getWeighting, getMaturityScale, maturityFromScore, migrateAnswers, reportGroups } from "./model.js";
+import { aggregateAnswers } from "./respondents.js";
+
+// Lens palette used for option tints and graphs
+export const LENS_COLORS = ["#8b5cf6", "#f59e0b", "#ef4444", "#6366f1", "#3b82f6"]; // Knowledge, Process, Metrics, Adoption, Automation
+
+// Scores, spider/lens data, gaps and next steps for one answer set (pure; used by Report and Compare)
+export function computeReport({ model, selectedCaps, answersByCap, targets = {} }) {
+  const allCaps = model.capabilities || [];
+  const selectedCapsSafe = selectedCaps?.length ? selectedCaps : allCaps.map(c => c.key);
+
+  const weighting = getWeighting(model);
+
+  // capability totals (sum of question weights 0..20), in domain order; N/A and "Don't know" count nowhere.
+  // capScore100 applies the model's lens weights; sum20/max20 stay unweighted.
+  const capTotals = reportGroups(model).flatMap(g => g.caps)
+    .filter(c => selectedCapsSafe.includes(c.key))
+    .map(cap => {
+      let sum20 = 0, skipped = 0, wSum = 0, wMax = 0, wTarget = 0;
+      const targetLevel = targets[cap.key];
+      const lensTotals = LENSES.reduce((acc, l) => (acc[l] = { sum: 0, answered: 0, skipped: 0, targetSum: 0, scored: 0, answers: [] }, acc), {});
+
+      cap.questions.forEach((q) => {
+        const lvl = answerLevel(answersByCap?.[cap.key]?.[q.id]);
+        if (isSkipAnswer(lvl)) {
+          skipped += 1;
+          if (q.lens && lensTotals[q.lens]) lensTotals[q.lens].skipped += 1;
+          return;
+        }
+        const lw = weighting.lens(q.lens);
+        wMax += lw * 20;
+        const t20 = (targetLevel && typeof q.scores?.[targetLevel] === "number") ? q.scores[targetLevel] : 0;
+        wTarget += lw * t20;
+        if (q.lens && lensTotals[q.lens]) { lensTotals[q.lens].targetSum += t20; lensTotals[q.lens].scored += 1; }
+        const w = (lvl && typeof q.scores?.[lvl] === "number") ? q.scores[lvl] : null; // 0..20
+        if (typeof w === "number") {
+          sum20 += w;
+          wSum += lw * w;
+          if (q.lens && lensTotals[q.lens]) {
+            lensTotals[q.lens].sum += w;
+            lensTotals[q.lens].answered += 1;
+            const text = q.options?.[lvl] || lvl;
+            lensTotals[q.lens].answers.push({ question: q.text, choice: text, weight20: w, level: lvl });
+          }
+        }
+      });
+
+      const scored = cap.questions.length - skipped;
+      const max20 = Math.max(1, scored * 20);
+      const capScore100 = wMax ? (wSum / wMax) * 100 : 0;
+      const target100 = targetLevel ? (wMax ? (wTarget / wMax) * 100 : 0) : null;
+
+      return { capKey: cap.key, name: cap.name, group: cap.report_group || "", weight: weighting.cap(cap), sum20, max20, capScore100, targetLevel, target100, skipped, applicable: scored > 0, lensTotals };
+    });
+
+  // overall: weighted mean over capabilities (capabilities answered entirely N/A / "Don't know" are left out)
+  const scoredCaps = capTotals.filter(c => c.applicable && c.weight > 0);
+  const capWeightSum = scoredCaps.reduce((a,c) => a + c.weight, 0);
+  const overallAvgCapScore100 = capWeightSum
+    ? scoredCaps.reduce((a,c) => a + c.weight * c.capScore100, 0) / capWeightSum
+    : 0;
+
+  // domains (report_group): weighted mean of their capabilities, like the overall score; the target is the
+  // weighted mean of the capability targets that are set
+  const groupTotals = reportGroups(model).filter(g => g.group).map(({ group }) => {
+    const caps = scoredCaps.filter(c => c.group === group), withTarget = caps.filter(c => c.target100 != null);
+    const mean = (list, pick) => { const w = list.reduce((a, c) => a + c.weight, 0); return w ? list.reduce((a, c) => a + c.weight * pick(c), 0) / w : null; };
+    return { group, score100: mean(caps, c => c.capScore100) ?? 0, target100: mean(withTarget, c => c.target100), capCount: capTotals.filter(c => c.group === group).length, applicable: caps.length > 0 };
+  }).filter(g => g.capCount);
+  const groupSpiderData = groupTotals.map(g => ({ subject: g.group, total: g.score100, target: g.target100 ?? undefined, fullMark: 100 }));
+
+  // spider (weighted capability score per axis)
+  const spiderData = capTotals.map((c) => ({ subject: c.name, total: c.capScore100, target: c.target100 ?? undefined, fullMark: 100 }));
+  // the same axes with one score per lens (0..100, undefined when the lens has no answers in that capability)
+  const lensSpiderData = capTotals.map((c) => ({
+    subject: c.name, fullMark: 100,
+    ...Object.fromEntries(LENSES.map(l => [l, c.lensTotals[l]?.answered ? (c.lensTotals[l].sum / (c.lensTotals[l].answered * 20)) * 100 : undefined])),
+  }));
+
+  // overall lens trend across all capabilities (people perspective), capability weights applied
+  const lensAgg = LENSES.reduce((acc, l) => (acc[l] = { sum: 0, answered: 0 }, acc), {});
+  capTotals.forEach(c => {
+    LENSES.forEach(l => {
+      const tt = c.lensTotals[l];
+      if (tt) { lensAgg[l].sum += c.weight * tt.sum; lensAgg[l].answered += c.weight * tt.answered; }
+    });
+  });
+  const lensOverview = LENSES.map((l, i) => {
+    const a = lensAgg[l];
+    const value = a.answered ? (a.sum / (a.answered * 20)) * 100 : 0;
+    return { label: l, value, color: LENS_COLORS[i] };
+  });
+
+  // gap analysis: only capabilities with a target, biggest gap first
+  const capGaps = capTotals
+    .filter(c => c.target100 != null && c.applicable)
+    .map(c => ({ capKey: c.capKey, name: c.name, targetLevel: c.targetLevel, current: c.capScore100, target: c.target100, gap: c.target100 - c.capScore100, weight: c.weight }))
+    .sort((a, b) => b.gap - a.gap);
+  // current and target over the same questions (all but skipped, unanswered count as 0), like capScore100
+  const lensGaps = LENSES.map((l, i) => {
+    let cur = 0, tgt = 0, max = 0;
+    capTotals.filter(c => c.target100 != null).forEach(c => {
+      const tt = c.lensTotals[l];
+      cur += c.weight * tt.sum; tgt += c.weight * tt.targetSum; max += c.weight * tt.scored * 20;
+    });
+    const current = max ? (cur / max) * 100 : 0;
+    const target = max ? (tgt / max) * 100 : 0;
+    return { label: l, color: LENS_COLORS[i], current, target, gap: target - current, hasTarget: max > 0 };
+  }).filter(x => x.hasTarget).sort((a, b) => b.gap - a.gap);
+
+  // next steps: for every answered question below Fly (and below the capability target, if set),
+  // the text of the next level. priority = score gain × lens weight × capability weight × capability gap
+  const nextSteps = [];
+  capTotals.forEach(c => {
+    const cap = allCaps.find(x => x.key === c.capKey);
+    const gap = c.target100 != null ? Math.max(0, c.target100 - c.capScore100) : 100 - c.capScore100;
+    const targetIdx = c.targetLevel ? LEVELS.indexOf(c.targetLevel) : LEVELS.length - 1;
+    cap.questions.forEach(q => {
+      const level = answerLevel(answersByCap?.[cap.key]?.[q.id]);
+      const idx = LEVELS.indexOf(level);
+      if (idx < 0 || idx >= targetIdx) return;
+      const next = LEVELS[idx + 1];
+      const gain = (q.scores?.[next] ?? 0) - (q.scores?.[level] ?? 0);
+      nextSteps.push({
+        capKey: cap.key, capability: c.name, lens: q.lens || "", questionId: q.id, question: q.text,
+        currentLevel: level, nextLevel: next, nextStep: q.options?.[next] || next, targetLevel: c.targetLevel || "",
+        scoreGain: gain, priority: (gain / 20) * weighting.lens(q.lens) * c.weight * (gap / 100),
+      });
+    });
+  });
+  nextSteps.sort((a, b) => b.priority - a.priority);
+
+  const maturityScale = getMaturityScale(model);
+  return { capTotals, overallAvgCapScore100, groupTotals, groupSpiderData, spiderData, lensSpiderData, lensOverview, capGaps, lensGaps, nextSteps, weighting, maturityScale };
+}
+
+// Two answer sets (A = earlier, B = later) scored on the same model and capability set
+export function compareAssessments(model, a, b) {
+  const union = new Set([...(a.selectedCaps || []), ...(b.selectedCaps || [])]);
+  const caps = (model.capabilities || []).map(c => c.key).filter(k => !union.size || union.has(k));
+  const ra = computeReport({ model, selectedCaps: caps, answersByCap: a.answersByCap });
+  const rb = computeReport({ model, selectedCaps: caps, answersByCap: b.answersByCap });
+  const capDeltas = rb.capTotals.map((c, i) => ({ capKey: c.capKey, name: c.name, a: ra.capTotals[i].capScore100, b: c.capScore100, delta: c.capScore100 - ra.capTotals[i].capScore100 }));
+  const lensDeltas = rb.lensOverview.map((l, i) => ({ ...l, a: ra.lensOverview[i].value, b: l.value, delta: l.value - ra.lensOverview[i].value }));
+  const questionChanges = [];
+  (model.capabilities || []).filter(c => caps.includes(c.key)).forEach(cap => cap.questions.forEach(q => {
+    const from = answerLevel(a.answersByCap?.[cap.key]?.[q.id]), to = answerLevel(b.answersByCap?.[cap.key]?.[q.id]);
+    const i = LEVELS.indexOf(from), j = LEVELS.indexOf(to);
+    if (i >= 0 && j >= 0 && i !== j) questionChanges.push({ capKey: cap.key, capability: cap.name, lens: q.lens, question: q.text, from, to, steps: j - i });
+  }));
+  questionChanges.sort((x, y) => y.steps - x.steps);
+  return {
+    overall: { a: ra.overallAvgCapScore100, b: rb.overallAvgCapScore100, delta: rb.overallAvgCapScore100 - ra.overallAvgCapScore100 },
+    spiderData: rb.spiderData.map((d, i) => ({ subject: d.subject, total: d.total, baseline: ra.spiderData[i].total, fullMark: d.fullMark })),
+    capDeltas, lensDeltas, questionChanges, maturityScale: rb.maturityScale,
+  };
+}
+
+// Answers of a saved state (answer file, snapshot, workspace assessment) on `model`: migrated from the
+// question layout they were saved with, several respondents combined with the saved aggregation
+export function savedAnswers(model, data) {
+  const migrate = (set) => migrateAnswers(set, model, data.questionIds).answers;
+  const rs = data.respondents || [];
+  return rs.length > 1 ? aggregateAnswers(model, rs.map(r => ({ ...r, answersByCap: migrate(r.answersByCap) })), data.aggregation) : migrate(data.answersByCap);
+}
+
+// Overall, domain, capability and lens scores with their maturity band (key and label), as stored in
+// exported answer files and printed by the command line
+export function reportSummary(report) {
+  const band = (score) => { const m = maturityFromScore(score, report.maturityScale); return { maturity: m.key, maturityLabel: m.label }; };
+  const answered = (lens) => report.capTotals.some(c => c.lensTotals[lens]?.answered);
+  return {
+    overall: { score100: report.overallAvgCapScore100, ...band(report.overallAvgCapScore100) },
+    domains: report.groupTotals.filter(g => g.applicable).map(g => ({ group: g.group, score100: g.score100, ...band(g.score100) })),
+    capabilities: report.capTotals.map(c => ({ key: c.capKey, name: c.name, group: c.group, score100: c.capScore100, ...band(c.capScore100), ...(c.applicable ? {} : { notScored: true }), ...(c.targetLevel ? { target: c.targetLevel, target100: c.target100 } : {}) })),
+    lenses: report.lensOverview.map(l => ({ lens: l.label, score100: l.value, ...band(l.value), ...(answered(l.label) ? {} : { notScored: true }) })),
+    maturityScale: report.maturityScale,
+  };
+}
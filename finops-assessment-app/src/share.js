@@ -0,0 +1,60 @@
+// ---- Share links: the report state packed into the URL fragment (#share=...), so no server is involved.
+// Respondent invitations (#respond=...) and their resume codes use the same encoding.
+// Token: "1.z.<base64url(deflate-raw(JSON))>", or "1.j.<base64url(JSON)>" where CompressionStream is missing.
+export const SHARE_KEY = "share";
+export const INVITE_KEY = "respond";
+export const RESUME_KEY = "resume";
+
+const toBase64Url = (bytes) => {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+const fromBase64Url = (s) => Uint8Array.from(atob(s.replace(/-/g, "+").replace(/_/g, "/")), c => c.charCodeAt(0));
+const pipe = async (bytes, stream) => new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+export async function encodeShare(payload) {
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  if (typeof CompressionStream === "undefined") return `1.j.${toBase64Url(bytes)}`;
+  return `1.z.${toBase64Url(await pipe(bytes, new CompressionStream("deflate-raw")))}`;
+}
+
+export async function decodeShare(token) {
+  const [version, kind, data] = String(token).split(".");
+  if (version !== "1" || !data) throw new Error("Unsupported share link.");
+  let bytes = fromBase64Url(data);
+  if (kind === "z") {
+    if (typeof DecompressionStream === "undefined") throw new Error("This browser cannot open compressed share links.");
+    bytes = await pipe(bytes, new DecompressionStream("deflate-raw"));
+  } else if (kind !== "j") throw new Error("Unsupported share link.");
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+// Token under `key` in a location.hash ("#share=..."), or null
+export function shareFromHash(hash, key = SHARE_KEY) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  return params.get(key);
+}
+
+// `tokens` is { [key]: token }; a plain token is shorthand for { share: token }
+export const shareUrl = (base, tokens) => `${base.split("#")[0]}#${new URLSearchParams(typeof tokens === "string" ? { [SHARE_KEY]: tokens } : tokens)}`;
+
+// Short fingerprint of everything that drives the scores (ids, lenses, scores, weighting, scale);
+// wording changes do not alter it
+export async function modelFingerprint(model) {
+  const essence = {
+    caps: (model?.capabilities || []).map(c => [c.key, c.report_group || "", (c.questions || []).map(q => [q.id, q.lens, q.scores || {}])]),
+    weighting: model?.weighting || null,
+    maturity: model?.maturity || null,
+  };
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(JSON.stringify(essence)));
+  return Array.from(new Uint8Array(buf).slice(0, 8)).map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Attachments are stored as data URLs; they would blow up the link, so only their names travel,
+// marked `attachment: true` (and without `url`)
+export const stripAttachments = (answersByCap) => Object.fromEntries(Object.entries(answersByCap || {}).map(([cap, qs]) => [cap,
+  Object.fromEntries(Object.entries(qs || {}).map(([id, a]) => [id, a && typeof a === "object" && a.evidence
+    ? { ...a, evidence: a.evidence.map(e => e.url?.startsWith("data:") ? { name: e.name, attachment: true } : e) }
+    : a])),
+]));
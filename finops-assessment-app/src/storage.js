@@ -0,0 +1,83 @@
+// ---- Persistence: a small key/value layer on IndexedDB (localStorage fallback when IDB is unavailable)
+import { makeT } from "./i18n.js";
+
+const DB_NAME = "finops-assessment";
+const DB_VERSION = 1;
+const STORE = "kv";
+const MIGRATED_KEY = "finops_idb_migrated_v1"; // set in localStorage once old keys were moved over
+
+let dbPromise = null;
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => { if (!req.result.objectStoreNames.contains(STORE)) req.result.createObjectStore(STORE); };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error("IndexedDB is blocked by another open tab."));
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+const hasIDB = () => typeof indexedDB !== "undefined";
+
+async function tx(mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(STORE, mode);
+    const req = fn(t.objectStore(STORE));
+    t.oncomplete = () => resolve(req?.result);
+    t.onerror = () => reject(t.error || req?.error);
+    t.onabort = () => reject(t.error || new Error("Storage transaction aborted."));
+  });
+}
+
+export async function storageGet(key) {
+  if (!hasIDB()) { const raw = localStorage.getItem(key); return raw == null ? undefined : JSON.parse(raw); }
+  return tx("readonly", s => s.get(key));
+}
+
+export async function storageSet(key, value) {
+  if (!hasIDB()) { localStorage.setItem(key, JSON.stringify(value)); return; }
+  await tx("readwrite", s => s.put(value, key));
+}
+
+export async function storageDelete(key) {
+  if (!hasIDB()) { localStorage.removeItem(key); return; }
+  await tx("readwrite", s => s.delete(key));
+}
+
+// Move JSON values kept in localStorage by earlier versions into IndexedDB (once).
+// Existing IDB values win; returns the keys that were moved.
+export async function migrateFromLocalStorage(keys) {
+  if (!hasIDB() || localStorage.getItem(MIGRATED_KEY)) return [];
+  const moved = [];
+  for (const key of keys) {
+    const raw = localStorage.getItem(key);
+    if (raw == null) continue;
+    let value;
+    try { value = JSON.parse(raw); } catch { continue; }
+    if ((await storageGet(key)) === undefined) await storageSet(key, value);
+    localStorage.removeItem(key);
+    moved.push(key);
+  }
+  localStorage.setItem(MIGRATED_KEY, new Date().toISOString());
+  return moved;
+}
+
+// { usage, quota, persisted, backend } — numbers in bytes, undefined where the browser does not tell
+export async function storageInfo() {
+  const est = await navigator.storage?.estimate?.().catch(() => null);
+  const persisted = await navigator.storage?.persisted?.().catch(() => undefined);
+  return { usage: est?.usage, quota: est?.quota, persisted, backend: hasIDB() ? "IndexedDB" : "localStorage" };
+}
+
+// Ask the browser not to evict our data under storage pressure (best effort)
+export const requestPersistence = () => navigator.storage?.persist?.().catch(() => false) ?? Promise.resolve(false);
+
+export function describeStorageError(e, t = makeT("en")) {
+  if (e?.name === "QuotaExceededError") return t("Browser storage is full — delete old snapshots or large attachments/logos.");
+  return e?.message || String(e);
+}
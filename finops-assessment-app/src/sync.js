@@ -0,0 +1,104 @@
+// ---- Optional server sync (server/index.js). Without a configured server nothing here runs and the app
+// stays fully local. An assessment is synced as SYNC_FIELDS of its working state; the server keeps a
+// revision per record and refuses writes based on an older one, after which both sides are merged
+// three-way against the last synced version (the base):
+//   - a value changed on one side only is taken from that side;
+//   - a value changed differently on both sides is a conflict, resolved by the user (mine / theirs).
+// Values are compared per meta field, per answer (capability × question), per target and per respondent field.
+
+export const SYNC_FIELDS = ["title", "status", "meta", "selectedCaps", "targets", "answersByCap", "respondents", "aggregation", "questionIds", "modelVersion"];
+
+export function syncState(assessment) {
+  return Object.fromEntries(SYNC_FIELDS.filter(k => assessment?.[k] !== undefined).map(k => [k, assessment[k]]));
+}
+
+export class SyncConflict extends Error {
+  constructor(current) { super("Changed on the server in the meantime."); this.current = current; }
+}
+
+export function createSyncClient({ url, token }) {
+  const base = String(url || "").replace(/\/+$/, "");
+  async function request(method, path, body) {
+    let res;
+    try {
+      res = await fetch(`${base}/api/${path}`, {
+        method,
+        headers: { ...(body ? { "Content-Type": "application/json" } : {}), ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+    } catch (e) { throw new Error(`Server not reachable (${e.message}).`); }
+    if (res.status === 404 && method === "GET") return null;
+    const out = res.status === 204 ? null : await res.json().catch(() => null);
+    if (res.status === 409) throw new SyncConflict(out?.current);
+    if (!res.ok) throw new Error(out?.error || `Server answered ${res.status}.`);
+    return out;
+  }
+  const enc = encodeURIComponent;
+  return {
+    health: () => request("GET", "health"),
+    list: (col) => request("GET", enc(col)),
+    get: (col, id) => request("GET", `${enc(col)}/${enc(id)}`),
+    put: (col, id, data, baseRev) => request("PUT", `${enc(col)}/${enc(id)}`, { data, baseRev }),
+    remove: (col, id, rev) => request("DELETE", `${enc(col)}/${enc(id)}${rev != null ? `?rev=${rev}` : ""}`),
+  };
+}
+
+// State → { <path as JSON>: value } at merge granularity, and back
+function flatten(state) {
+  const out = {};
+  const put = (path, v) => { if (v !== undefined) out[JSON.stringify(path)] = v; };
+  const answers = (prefix, byCap) => Object.entries(byCap || {}).forEach(([cap, qs]) => Object.entries(qs || {}).forEach(([q, v]) => put([...prefix, cap, q], v)));
+  Object.entries(state || {}).forEach(([k, v]) => {
+    if (k === "meta" || k === "targets") Object.entries(v || {}).forEach(([f, x]) => put([k, f], x));
+    else if (k === "answersByCap") answers([k], v);
+    else if (k === "respondents") (v || []).forEach(r => Object.entries(r).forEach(([f, x]) => {
+      if (f === "answersByCap") answers([k, r.id, f], x); else put([k, r.id, f], x);
+    }));
+    else put([k], v);
+  });
+  return out;
+}
+
+function unflatten(flat, order) {
+  const state = {};
+  Object.entries(flat).forEach(([key, v]) => {
+    const path = JSON.parse(key);
+    let o = state;
+    path.slice(0, -1).forEach(p => { o = o[p] = o[p] || {}; });
+    o[path[path.length - 1]] = v;
+  });
+  const ids = Object.keys(state.respondents || {}).sort((a, b) => (order.indexOf(a) + 1 || Infinity) - (order.indexOf(b) + 1 || Infinity));
+  // emptied collections have no leaves left, but must still replace the old values
+  return { meta: {}, targets: {}, answersByCap: {}, ...state, respondents: ids.map(id => ({ answersByCap: {}, ...state.respondents[id] })) };
+}
+
+// Equal content, regardless of key order
+export function sameState(a, b) {
+  const [x, y] = [a, b].map(flatten);
+  return Object.keys(x).length === Object.keys(y).length && Object.keys(x).every(k => JSON.stringify(x[k]) === JSON.stringify(y[k]));
+}
+
+// Conflicts: [{ key, path, mine, theirs }]; `merged` takes "mine" for each of them until resolved
+export function mergeStates(base, mine, theirs) {
+  const [b, m, t] = [base, mine, theirs].map(flatten);
+  const same = (x, y) => JSON.stringify(x) === JSON.stringify(y);
+  const merged = {}, conflicts = [];
+  new Set([...Object.keys(m), ...Object.keys(t)]).forEach(key => {
+    let value = m[key];
+    if (same(m[key], b[key])) value = t[key];
+    else if (!same(m[key], t[key]) && !same(t[key], b[key])) conflicts.push({ key, path: JSON.parse(key), mine: m[key], theirs: t[key] });
+    if (value !== undefined) merged[key] = value;
+  });
+  const order = [...(mine?.respondents || []), ...(theirs?.respondents || [])].map(r => r.id);
+  return { merged: unflatten(merged, order), conflicts, order };
+}
+
+// Apply the user's choice per conflict key ("mine" | "theirs") to a merge result
+export function resolveConflicts({ merged, conflicts, order }, choices) {
+  const flat = flatten(merged);
+  conflicts.forEach(c => {
+    const v = choices[c.key] === "theirs" ? c.theirs : c.mine;
+    if (v === undefined) delete flat[c.key]; else flat[c.key] = v;
+  });
+  return unflatten(flat, order);
+}
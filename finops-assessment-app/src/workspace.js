@@ -0,0 +1,48 @@
+// ---- Customer/engagement workspace (pure state helpers; persistence lives in App)
+// { customers: [{ id, name, createdAt }],
+//   assessments: [{ id, customerId, title, status, createdAt, updatedAt, lastScore,
+//                   meta, selectedCaps, targets, answersByCap, questionIds, modelVersion }],
+//   activeId }
+export const ASSESSMENT_STATUSES = ["Draft", "In progress", "Completed"];
+
+export const emptyWorkspace = () => ({ customers: [], assessments: [], activeId: null });
+
+const newId = () => (typeof crypto !== "undefined" && crypto.randomUUID) ? crypto.randomUUID() : `id-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+export function addCustomer(ws, name) {
+  const customer = { id: newId(), name: name.trim(), createdAt: new Date().toISOString() };
+  return [{ ...ws, customers: [...ws.customers, customer] }, customer];
+}
+
+export const findCustomerByName = (ws, name) => ws.customers.find(c => c.name.trim().toLowerCase() === (name || "").trim().toLowerCase());
+
+export function addAssessment(ws, customerId, state, title) {
+  const now = new Date().toISOString();
+  const assessment = { id: newId(), customerId, title: title || state.meta?.date || now.slice(0, 10), status: ASSESSMENT_STATUSES[0], createdAt: now, updatedAt: now, lastScore: null, ...state };
+  return [{ ...ws, assessments: [...ws.assessments, assessment] }, assessment];
+}
+
+export const updateAssessment = (ws, id, patch) => ({
+  ...ws,
+  assessments: ws.assessments.map(a => a.id === id ? { ...a, ...patch, updatedAt: new Date().toISOString() } : a),
+});
+
+export const removeAssessment = (ws, id) => ({
+  ...ws,
+  assessments: ws.assessments.filter(a => a.id !== id),
+  activeId: ws.activeId === id ? null : ws.activeId,
+});
+
+export function removeCustomer(ws, id) {
+  const gone = new Set(ws.assessments.filter(a => a.customerId === id).map(a => a.id));
+  return {
+    customers: ws.customers.filter(c => c.id !== id),
+    assessments: ws.assessments.filter(a => !gone.has(a.id)),
+    activeId: gone.has(ws.activeId) ? null : ws.activeId,
+  };
+}
+
+// A customer's assessments, oldest first by assessment date (meta.date), then creation time
+export const customerAssessments = (ws, customerId) => ws.assessments
+  .filter(a => a.customerId === customerId)
+  .sort((a, b) => String(a.meta?.date || a.createdAt).localeCompare(String(b.meta?.date || b.createdAt)) || a.createdAt.localeCompare(b.createdAt));
@@ -0,0 +1,143 @@
+// ---- Scoring engine and batch scoring command line, run with `npm test` (node --test)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtemp, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { NOT_APPLICABLE, reportGroups } from "../src/model.js";
+import { computeReport, compareAssessments, savedAnswers, reportSummary } from "../src/scoring.js";
+import { scoreRows } from "../src/results.js";
+
+const SCORES = { "Pre-crawl": 0, "Crawl": 5, "Walk": 10, "Run": 15, "Fly": 20 };
+const question = (id, lens) => ({ id, text: `Question ${id}`, lens, options: Object.fromEntries(Object.keys(SCORES).map(l => [l, `${id} at ${l}`])), scores: SCORES });
+const MODEL = {
+  version: "test-1",
+  capabilities: [
+    { key: "a", name: "Allocation", report_group: "Understand", questions: [question("a-k", "Knowledge"), question("a-p", "Process"), question("a-m", "Metrics")] },
+    { key: "b", name: "Budgeting", report_group: "Quantify", questions: [question("b-k", "Knowledge"), question("b-x", "Automation")] },
+  ],
+};
+// a: (10 + 15) / 40 = 62.5 with Metrics N/A; b: (20 + 0) / 40 = 50
+const ANSWERS = { a: { "a-k": "Walk", "a-p": { level: "Run", note: "monthly review" }, "a-m": "N/A" }, b: { "b-k": "Fly", "b-x": "Pre-crawl" } };
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+test("computeReport: capability, domain and overall scores leave skipped questions out", () => {
+  const report = computeReport({ model: MODEL, selectedCaps: [], answersByCap: ANSWERS });
+  const [a, b] = report.capTotals;
+  near(a.capScore100, 62.5); assert.equal(a.skipped, 1); assert.equal(a.max20, 40);
+  near(b.capScore100, 50);
+  near(report.overallAvgCapScore100, 56.25);
+  assert.deepEqual(report.groupTotals.map(g => [g.group, g.score100]), [["Understand", 62.5], ["Quantify", 50]]);
+  assert.deepEqual(report.lensOverview.map(l => l.value), [75, 75, 0, 0, 0]);
+});
+
+test("computeReport: only selected capabilities count", () => {
+  const report = computeReport({ model: MODEL, selectedCaps: ["b"], answersByCap: ANSWERS });
+  assert.deepEqual(report.capTotals.map(c => c.capKey), ["b"]);
+  near(report.overallAvgCapScore100, 50);
+});
+
+test("computeReport: targets give gaps and next steps up to the target level", () => {
+  const report = computeReport({ model: MODEL, selectedCaps: [], answersByCap: ANSWERS, targets: { a: "Run" } });
+  assert.equal(report.capTotals[0].target100, 75);
+  assert.deepEqual(report.capGaps.map(g => [g.capKey, g.gap]), [["a", 12.5]]);
+  assert.deepEqual(report.nextSteps.filter(s => s.capKey === "a").map(s => [s.questionId, s.nextLevel]), [["a-k", "Run"]]);
+  assert.deepEqual(report.nextSteps.filter(s => s.capKey === "b").map(s => s.questionId), ["b-x"]);
+});
+
+test("computeReport: lens gaps score current and target over the same questions", () => {
+  const model = { capabilities: [{ key: "c", name: "Commitments", questions: [question("c-1", "Knowledge"), question("c-2", "Knowledge"), question("c-3", "Knowledge")] }] };
+  const report = computeReport({ model, selectedCaps: [], answersByCap: { c: { "c-1": "Run", "c-3": "N/A" } }, targets: { c: "Run" } });
+  assert.deepEqual(report.lensGaps.map(g => [g.label, g.current, g.target, g.gap]), [["Knowledge", 37.5, 75, 37.5]]);
+  near(report.capTotals[0].capScore100, 37.5);
+});
+
+test("computeReport: a capability answered only N/A is not scored", () => {
+  const report = computeReport({ model: MODEL, selectedCaps: [], answersByCap: { a: { "a-k": "N/A", "a-p": "Don't know", "a-m": "N/A" }, b: ANSWERS.b } });
+  assert.equal(report.capTotals[0].applicable, false);
+  near(report.overallAvgCapScore100, 50);
+});
+
+test("computeReport: domains in framework order, a domain scores the weighted mean of its capabilities", () => {
+  const q = { id: "q", lens: "Process", scores: { Walk: 10, Fly: 20 } };
+  const model = { capabilities: [["x", ""], ["b", "Manage the FinOps Practice"], ["a", "Understand Usage & Cost"], ["c", "Understand Usage & Cost"]].map(([key, report_group]) => ({ key, name: key, report_group, questions: [q] })) };
+  assert.deepEqual(reportGroups(model).map(g => g.group), ["Understand Usage & Cost", "Manage the FinOps Practice", ""]);
+  const report = computeReport({ model, selectedCaps: [], answersByCap: { a: { q: "Walk" }, b: { q: "Fly" }, c: { q: "Fly" } } });
+  assert.deepEqual(report.capTotals.map(c => c.capKey), ["a", "c", "b", "x"]);
+  assert.deepEqual(report.groupTotals.map(g => g.score100), [75, 100]);
+});
+
+test("computeReport: lens spider has one score per lens and capability, none for lenses without answers", () => {
+  const model = { capabilities: [{ key: "a", name: "A", questions: [question("k", "Knowledge"), question("p", "Process")] }] };
+  const [d] = computeReport({ model, selectedCaps: [], answersByCap: { a: { k: "Walk", p: NOT_APPLICABLE } } }).lensSpiderData;
+  assert.equal(d.subject, "A");
+  assert.equal(d.Knowledge, 50);
+  assert.equal(d.Process, undefined);
+  assert.equal(d.Metrics, undefined);
+});
+
+test("compareAssessments: level changes and capability deltas", () => {
+  const model = { capabilities: [{ key: "a", name: "A", questions: [question("q", "Process")] }] };
+  const c = compareAssessments(model, { answersByCap: { a: { q: "Crawl" } } }, { answersByCap: { a: { q: "Run" } } });
+  assert.equal(c.questionChanges[0].steps, 2);
+  assert.equal(Math.round(c.capDeltas[0].delta), 50);
+});
+
+test("savedAnswers: index-keyed answers are migrated to question ids", () => {
+  const answers = savedAnswers(MODEL, { answersByCap: { a: { 0: "Walk", 1: "Run" } }, questionIds: { a: ["a-k", "a-p", "a-m"] } });
+  assert.deepEqual(answers, { a: { "a-k": "Walk", "a-p": "Run" } });
+});
+
+test("savedAnswers: several respondents are combined with the saved aggregation", () => {
+  const respondents = [
+    { name: "Ann", answersByCap: { a: { "a-k": "Crawl" } } },
+    { name: "Bob", answersByCap: { a: { "a-k": { level: "Run", note: "tagging policy" } } } },
+  ];
+  assert.deepEqual(savedAnswers(MODEL, { respondents, aggregation: "max" }).a["a-k"], { level: "Run", note: "Bob: tagging policy" });
+  assert.equal(savedAnswers(MODEL, { respondents, aggregation: "min" }).a["a-k"].level, "Crawl");
+  assert.deepEqual(savedAnswers(MODEL, { respondents: respondents.slice(0, 1), answersByCap: { a: { "a-k": "Fly" } } }), { a: { "a-k": "Fly" } });
+});
+
+test("reportSummary: scores with maturity bands, unscored capabilities and lenses marked", () => {
+  const summary = reportSummary(computeReport({ model: MODEL, selectedCaps: [], answersByCap: { a: ANSWERS.a, b: { "b-k": "N/A", "b-x": "N/A" } }, targets: { a: "Fly" } }));
+  assert.deepEqual(summary.overall, { score100: 62.5, maturity: "Run", maturityLabel: "Run" });
+  assert.deepEqual(summary.domains.map(d => d.group), ["Understand"]);
+  assert.deepEqual(summary.capabilities[0], { key: "a", name: "Allocation", group: "Understand", score100: 62.5, maturity: "Run", maturityLabel: "Run", target: "Fly", target100: 100 });
+  assert.equal(summary.capabilities[1].notScored, true);
+  assert.deepEqual(summary.lenses.filter(l => l.notScored).map(l => l.lens), ["Metrics", "Adoption", "Automation"]);
+});
+
+test("scoreRows: one row per scope, lenses without answers left blank", () => {
+  const model = { version: "2", capabilities: [{ key: "a", name: "A", report_group: "Optimize Usage & Cost", questions: [question("q1", "Process")] }] };
+  const report = computeReport({ model, selectedCaps: [], answersByCap: savedAnswers(model, { questionIds: { a: ["q1"] }, answersByCap: { a: { 0: "Run" } } }) });
+  assert.deepEqual(scoreRows({ source: "f.json", model, meta: {}, report }).map(x => `${x.scope}:${x.score100}`),
+    ["overall:75", "domain:75", "capability:75", "lens:", "lens:75", "lens:", "lens:", "lens:"]);
+});
+
+test("scripts/score.js: scores answer files as JSON and CSV, skipping respondent files", async (t) => {
+  const dir = await mkdtemp(path.join(tmpdir(), "finops-score-"));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const model = path.join(dir, "model.json");
+  await writeFile(model, JSON.stringify(MODEL));
+  await writeFile(path.join(dir, "acme.json"), JSON.stringify({ modelVersion: "test-1", meta: { customer: "Acme", date: "2026-01-31" }, answersByCap: ANSWERS }));
+  await writeFile(path.join(dir, "respondent.json"), JSON.stringify({ respondent: { name: "Ann" }, answersByCap: ANSWERS }));
+  const score = (...args) => promisify(execFile)(process.execPath, [fileURLToPath(new URL("../scripts/score.js", import.meta.url)), "--model", model, ...args, dir]);
+
+  const json = await score();
+  const out = JSON.parse(json.stdout);
+  assert.equal(out.modelVersion, "test-1");
+  assert.equal(out.assessments.length, 1);
+  assert.equal(out.assessments[0].customer, "Acme");
+  assert.equal(out.assessments[0].overall.score100, 56.25);
+  assert.deepEqual(out.assessments[0].capabilities.map(c => [c.key, c.score100, c.maturity]), [["a", 62.5, "Run"], ["b", 50, "Walk"]]);
+  assert.match(json.stderr, /respondent\.json: not an answers export/);
+  assert.match(json.stderr, /1 answer file\(s\) scored/);
+
+  const csv = (await score("--format", "csv")).stdout.trim().split("\r\n");
+  assert.equal(csv[0], "source,customer,date,model_version,scope,key,name,group,score100,maturity");
+  assert.ok(csv.some(line => line.endsWith(",Acme,2026-01-31,test-1,overall,,Overall,,56.3,Run")), csv.join("\n"));
+});